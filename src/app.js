@@ -1,14 +1,34 @@
 import express from "express";
 import cors from "cors";
 import cookieParser from "cookie-parser";
+import { verifyAuth } from "./middlewares/auth.middleware.js";
+import {
+  tusProtocol,
+  TUS_EXPOSED_HEADERS,
+} from "./middlewares/tus.middleware.js";
 import userRouter from "./routes/user.routes.js";
 import fileRouter from "./routes/file.routes.js";
+import tusRouter from "./routes/tus.routes.js";
+import fileManagementRouter from "./routes/fileManagement.routes.js";
+import sharingRouter from "./routes/sharing.routes.js";
+import searchRouter from "./routes/search.routes.js";
+import trashRouter from "./routes/trash.routes.js";
+import sharedRouter from "./routes/shared.routes.js";
+import jobRouter from "./routes/job.routes.js";
+import usageRouter from "./routes/usage.routes.js";
+import archiveRouter from "./routes/archive.routes.js";
+import publicRouter from "./routes/public.routes.js";
+import storageRouter from "./routes/storage.routes.js";
 const app = express();
 
+// Before cors() so tus OPTIONS responses include the Tus-* headers
+app.use("/api/v1/files/tus", tusProtocol);
+
 app.use(
   cors({
     origin: "http://localhost:5173",
     credentials: true, // allow cookies to be sent
+    exposedHeaders: TUS_EXPOSED_HEADERS,
   })
 );
 
@@ -17,6 +37,20 @@ app.use(express.static("public"));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
+// Open routes
 app.use("/api/v1/auth", userRouter);
-app.use("/api/v1/files", fileRouter);
+app.use("/api/v1", publicRouter);
+app.use("/api/v1", storageRouter);
+
+// Protected routes (req.user is populated by verifyAuth)
+app.use("/api/v1/files/tus", verifyAuth, tusRouter);
+app.use("/api/v1/files", verifyAuth, fileRouter);
+app.use("/api/v1", verifyAuth, fileManagementRouter);
+app.use("/api/v1", verifyAuth, sharingRouter);
+app.use("/api/v1", verifyAuth, searchRouter);
+app.use("/api/v1", verifyAuth, trashRouter);
+app.use("/api/v1", verifyAuth, sharedRouter);
+app.use("/api/v1", verifyAuth, jobRouter);
+app.use("/api/v1", verifyAuth, usageRouter);
+app.use("/api/v1", verifyAuth, archiveRouter);
 export default app;
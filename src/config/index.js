@@ -0,0 +1,157 @@
+import "./env.js";
+import os from "os";
+import path from "path";
+
+const PORT = process.env.PORT || 8080;
+const APP_BASE_URL = process.env.APP_BASE_URL || `http://localhost:${PORT}`;
+
+// Storage backend: "s3" | "supabase" | "local"
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || "s3",
+
+  s3: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION,
+    bucket: process.env.AWS_BUCKET_NAME,
+  },
+
+  supabase: {
+    bucket: process.env.SUPABASE_STORAGE_BUCKET || "files",
+  },
+
+  // Local disk driver (offline development & testing)
+  local: {
+    root: process.env.STORAGE_LOCAL_ROOT || "storage",
+    signingSecret: process.env.STORAGE_LOCAL_SIGNING_SECRET || null,
+    publicUrl:
+      process.env.STORAGE_LOCAL_PUBLIC_URL ||
+      `${APP_BASE_URL}/api/v1/storage/local`,
+  },
+};
+
+// Upload limits (bytes)
+const uploadConfig = {
+  maxFileSize: Number(process.env.MAX_UPLOAD_SIZE_BYTES) || 5 * 1024 ** 3, // 5 GiB
+  // Multipart chunks are buffered in memory, so keep them bounded
+  maxChunkSize: Number(process.env.MAX_CHUNK_SIZE_BYTES) || 64 * 1024 ** 2, // 64 MiB
+  // Files accepted by one folder (batch) upload request
+  maxBatchFiles: Number(process.env.MAX_BATCH_UPLOAD_FILES) || 500,
+
+  // Multipart sessions idle for longer than this are aborted by the sweeper
+  sessionTtlMs:
+    (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  sweepIntervalMs:
+    (Number(process.env.UPLOAD_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000,
+
+  // tus uploads are assembled here before being moved to storage, so
+  // resuming requires reaching the same instance (or a shared volume)
+  tusStagingDir:
+    process.env.TUS_STAGING_DIR || path.join(os.tmpdir(), "cloudnest-tus"),
+};
+
+// Trash retention (trashed nodes older than this are purged for good)
+const retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const trashConfig = {
+  retentionDays,
+  retentionMs: retentionDays * 24 * 60 * 60 * 1000,
+  purgeIntervalMs:
+    (Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  // Log what would be purged without deleting anything
+  dryRun: process.env.TRASH_PURGE_DRY_RUN === "true",
+};
+
+// Version history pruning: an older version is dropped once it is both
+// beyond the last `keepLast` versions and older than `keepDays` (0 turns a
+// rule off; with both off every version is kept)
+const versionConfig = {
+  keepLast: Number(process.env.VERSION_KEEP_LAST ?? 10),
+  keepDays: Number(process.env.VERSION_KEEP_DAYS ?? 30),
+  pruneIntervalMs:
+    (Number(process.env.VERSION_PRUNE_INTERVAL_MINUTES) || 60) * 60 * 1000,
+};
+
+// Storage quota per user; an account's storage_quota_bytes overrides it
+// (0 means unlimited)
+const quotaConfig = {
+  defaultQuotaBytes: Number(
+    process.env.DEFAULT_STORAGE_QUOTA_BYTES ?? 15 * 1024 ** 3 // 15 GiB
+  ),
+};
+
+// Limits on unpacking an uploaded archive, which keep zip bombs out: the
+// number of entries, the total bytes they expand to, and how many times
+// larger than the archive they may get
+const extractConfig = {
+  maxEntries: Number(process.env.EXTRACT_MAX_ENTRIES) || 10000,
+  maxTotalBytes: Number(process.env.EXTRACT_MAX_TOTAL_BYTES) || 20 * 1024 ** 3, // 20 GiB
+  maxRatio: Number(process.env.EXTRACT_MAX_RATIO) || 100,
+};
+
+// Thumbnails and snippets, generated in the background after upload
+const previewConfig = {
+  intervalMs: (Number(process.env.PREVIEW_INTERVAL_SECONDS) || 30) * 1000,
+  // Larger images and PDFs are left without a thumbnail
+  maxSourceBytes:
+    Number(process.env.PREVIEW_MAX_SOURCE_BYTES) || 50 * 1024 ** 2, // 50 MiB
+};
+
+// On-the-fly image transformations (GET /files/:id/image)
+const imageConfig = {
+  // Largest width/height a rendition may ask for
+  maxDimension: Number(process.env.IMAGE_MAX_DIMENSION) || 4096,
+  maxSourceBytes: Number(process.env.IMAGE_MAX_SOURCE_BYTES) || 50 * 1024 ** 2, // 50 MiB
+  // Renditions kept per image; further variants are served without caching
+  maxRenditions: Number(process.env.IMAGE_MAX_RENDITIONS) || 20,
+};
+
+// Outgoing mail: "log" (write messages to the log) | "smtp"
+const mailConfig = {
+  driver: process.env.MAIL_DRIVER || "log",
+  from: process.env.MAIL_FROM || "CloudNest <no-reply@localhost>",
+  // Links in messages point here (e.g. the sign-up page)
+  appUrl: process.env.FRONTEND_URL || APP_BASE_URL,
+
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  },
+};
+
+// Background jobs (GET /jobs/:id). A running job bumps its updated_at every
+// heartbeat; one that stops doing so (its server died) is marked failed.
+const jobConfig = {
+  heartbeatMs: (Number(process.env.JOB_HEARTBEAT_SECONDS) || 30) * 1000,
+  staleAfterMs: (Number(process.env.JOB_STALE_MINUTES) || 5) * 60 * 1000,
+  sweepIntervalMs:
+    (Number(process.env.JOB_SWEEP_INTERVAL_MINUTES) || 5) * 60 * 1000,
+};
+
+// Public links (GET /public/:token)
+const publicLinkConfig = {
+  // Where the public endpoints live (download URLs point here)
+  baseUrl: `${APP_BASE_URL}/api/v1/public`,
+  // Signs the cookie that unlocks a password-protected link. Without one,
+  // unlocks last only until the server restarts.
+  unlockSecret: process.env.PUBLIC_LINK_SECRET || null,
+  unlockTtlSeconds: Number(process.env.PUBLIC_LINK_UNLOCK_TTL_SECONDS) || 3600,
+};
+
+export {
+  storageConfig,
+  uploadConfig,
+  trashConfig,
+  versionConfig,
+  quotaConfig,
+  extractConfig,
+  previewConfig,
+  imageConfig,
+  mailConfig,
+  publicLinkConfig,
+  jobConfig,
+};
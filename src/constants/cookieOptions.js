@@ -0,0 +1,7 @@
+// Cookie options for access and refresh tokens
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+};
+
+export default cookieOptions;
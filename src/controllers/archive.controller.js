@@ -0,0 +1,395 @@
+import contentDisposition from "content-disposition";
+import mime from "mime-types";
+import { supabase } from "../utils/supabaseClient.js";
+import {
+  findZipRoots,
+  collectZipEntries,
+  streamZip,
+} from "../services/zip.service.js";
+import {
+  detectArchiveFormat,
+  archiveBaseName,
+  openZip,
+} from "../services/archive.service.js";
+import {
+  inspectArchive,
+  extractArchive as runExtraction,
+} from "../services/extract.service.js";
+import { assertParentFolder, claimName } from "../services/node.service.js";
+import {
+  getConflictPolicy,
+  conflictError,
+  isNameConflict,
+} from "../services/naming.service.js";
+import { assertQuota } from "../services/quota.service.js";
+import { assertRole } from "../services/permission.service.js";
+import { createJob, runJob } from "../services/job.service.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { applyContentSecurity } from "../utils/contentSecurity.js";
+
+// Items one POST /download/zip may ask for
+const MAX_ZIP_ITEMS = 1000;
+
+// Entries one page of an archive listing may hold
+const MAX_ENTRIES_PAGE = 1000;
+
+// A live file the user can read and its archive format (null if it isn't
+// one)
+async function findArchive(id, userId) {
+  const { data: archive, error } = await supabase
+    .from("nodes")
+    .select(
+      "id, owner_id, type, name, mime_type, parent_id, path, size_bytes, deleted_at"
+    )
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error || !archive || archive.deleted_at) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "File not found",
+      errorCode: "FILE_NOT_FOUND",
+    });
+  }
+
+  await assertRole(
+    archive,
+    userId,
+    "read",
+    "You do not have permission to access this file"
+  );
+
+  const format =
+    archive.type === "file" && archive.path
+      ? detectArchiveFormat(archive)
+      : null;
+
+  return { archive, format };
+}
+
+// Open a user's stored ZIP for browsing. Tarballs have no index to read
+// entries from without going through the whole file.
+async function openUserZip(id, userId) {
+  const { archive, format } = await findArchive(id, userId);
+
+  if (format !== "zip") {
+    throw new ApiError({
+      statusCode: 415,
+      message: "Only ZIP archives can be browsed",
+      errorCode: "UNSUPPORTED_ARCHIVE",
+    });
+  }
+
+  return openZip(archive);
+}
+
+const describeEntry = (entry) => ({
+  path: entry.name.replace(/\/$/, ""),
+  type: entry.type,
+  size_bytes: entry.size,
+  compressed_size_bytes: entry.compressedSize,
+  modified_at: entry.date,
+  readable: entry.readable,
+});
+
+function sendZip(res, name, entries) {
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", contentDisposition(`${name}.zip`));
+  res.setHeader("Cache-Control", "no-store");
+  streamZip(res, entries);
+}
+
+/* ============================================================================
+   GET /folders/:id/download - Download a folder as a ZIP archive
+============================================================================ */
+const downloadFolder = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const [folder] = await findZipRoots([req.params.id], userId);
+
+  if (folder.type !== "folder") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Target is not a folder",
+      errorCode: "INVALID_NODE_TYPE",
+    });
+  }
+
+  const entries = await collectZipEntries([folder]);
+  sendZip(res, folder.name, entries);
+});
+
+/* ============================================================================
+   POST /download/zip - Download a selection of files and folders as one ZIP
+   Body: { ids: [nodeId, ...] }
+============================================================================ */
+const downloadZip = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { ids } = req.body || {};
+
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    !ids.every((id) => typeof id === "string" && id.trim() !== "")
+  ) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "ids must be a non-empty array of node ids",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (ids.length > MAX_ZIP_ITEMS) {
+    throw new ApiError({
+      statusCode: 422,
+      message: `At most ${MAX_ZIP_ITEMS} items can be downloaded at once`,
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  // 1. Every requested item must exist and be readable
+  const roots = await findZipRoots([...new Set(ids)], userId);
+
+  // 2. A single folder is named after itself
+  const name =
+    roots.length === 1 && roots[0].type === "folder"
+      ? roots[0].name
+      : "download";
+
+  const entries = await collectZipEntries(roots);
+  sendZip(res, name, entries);
+});
+
+/* ============================================================================
+   POST /files/:id/extract - Unpack a stored ZIP or tarball into a new folder
+   Body: { parent_id?, onConflict? } (defaults: the archive's folder, rename)
+============================================================================ */
+const extractArchive = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
+
+  if (!userId) {
+    throw new ApiError({
+      statusCode: 401,
+      message: "Unauthorized",
+      errorCode: "UNAUTHORIZED",
+    });
+  }
+
+  // 1. The archive must be a live file of the user's in a format we read
+  const { archive, format } = await findArchive(id, userId);
+
+  if (!format) {
+    throw new ApiError({
+      statusCode: 415,
+      message: "Only .zip, .tar.gz, .tgz and .tar archives can be extracted",
+      errorCode: "UNSUPPORTED_ARCHIVE",
+    });
+  }
+
+  // 2. Validate the destination (defaults to the archive's own folder)
+  const parentId =
+    req.body?.parent_id !== undefined
+      ? req.body.parent_id || null
+      : archive.parent_id;
+  await assertParentFolder(parentId, userId);
+
+  // 3. ZIPs are checked against the extraction limits and the quota before
+  //    anything is written; tarballs as they are read
+  const { entryCount, totalBytes } = await inspectArchive(archive, format);
+  if (totalBytes !== null) await assertQuota(userId, totalBytes);
+
+  // 4. Create the folder the archive unpacks into
+  const folderName = await claimName({
+    userId,
+    ownerId: userId,
+    parentId,
+    name: archiveBaseName(archive.name),
+    type: "folder",
+    policy: getConflictPolicy(req, "rename"),
+  });
+
+  const { data: folder, error: insertError } = await supabase
+    .from("nodes")
+    .insert([
+      {
+        owner_id: userId,
+        type: "folder",
+        name: folderName,
+        parent_id: parentId,
+      },
+    ])
+    .select("id, name, parent_id, created_at, updated_at")
+    .single();
+
+  if (isNameConflict(insertError)) {
+    throw conflictError({ type: "folder", name: folderName });
+  }
+
+  if (insertError) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to create folder",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  // 5. Extract in the background: progress counts entries for ZIPs and
+  //    archive bytes read for tarballs
+  const job = await createJob({
+    userId,
+    type: "archive_extract",
+    total: entryCount ?? Number(archive.size_bytes || 0),
+  });
+
+  runJob(job, (reportProgress) =>
+    runExtraction({
+      archive,
+      format,
+      ownerId: userId,
+      folder,
+      onProgress: reportProgress,
+    })
+  );
+
+  return res
+    .status(202)
+    .json(new ApiResponse(202, { job, folder }, "Extraction started"));
+});
+
+/* ============================================================================
+   GET /files/:id/archive/entries - List the entries of a stored ZIP
+   Query: prefix (optional, e.g. "docs/"), page, limit
+   Read from the central directory with ranged requests, so even a
+   multi-GB archive costs a few small reads.
+============================================================================ */
+const listArchiveEntries = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const prefix = typeof req.query.prefix === "string" ? req.query.prefix : "";
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = Math.min(
+    parseInt(req.query.limit, 10) || 100,
+    MAX_ENTRIES_PAGE
+  );
+  const offset = (page - 1) * limit;
+
+  // 1. Read the central directory
+  const zip = await openUserZip(req.params.id, userId);
+  let entries;
+  try {
+    entries = await zip.entries();
+  } finally {
+    zip.close();
+  }
+
+  // 2. Filter and page through it in archive order
+  const matching = entries
+    .map(describeEntry)
+    .filter((entry) => entry.path.startsWith(prefix));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        entries: matching.slice(offset, offset + limit),
+        pagination: {
+          total: matching.length,
+          page,
+          limit,
+          totalPages: Math.ceil(matching.length / limit),
+        },
+      },
+      "Archive entries fetched successfully"
+    )
+  );
+});
+
+/* ============================================================================
+   GET /files/:id/archive/entries/*path - Download one entry of a stored ZIP
+   Query: disposition (attachment | inline, default attachment; inline only
+   applies to types that are safe to display)
+============================================================================ */
+const downloadArchiveEntry = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { disposition = "attachment" } = req.query;
+  const path = [].concat(req.params.path).join("/");
+
+  if (!["attachment", "inline"].includes(disposition)) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "disposition must be one of: attachment, inline",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  // 1. Find the entry in the central directory
+  const zip = await openUserZip(req.params.id, userId);
+  let stream;
+  let entry;
+  try {
+    entry = (await zip.entries()).find(
+      (e) => e.name === path || e.name === `${path}/`
+    );
+
+    if (!entry) {
+      throw new ApiError({
+        statusCode: 404,
+        message: `No entry "${path}" in the archive`,
+        errorCode: "ENTRY_NOT_FOUND",
+      });
+    }
+
+    if (entry.type !== "file") {
+      throw new ApiError({
+        statusCode: 400,
+        message: "Only file entries can be downloaded",
+        errorCode: "INVALID_NODE_TYPE",
+      });
+    }
+
+    if (!entry.readable) {
+      throw new ApiError({
+        statusCode: 422,
+        message: "The entry is encrypted or uses an unsupported compression",
+        errorCode: "UNSUPPORTED_ARCHIVE",
+      });
+    }
+
+    stream = await entry.open();
+  } catch (err) {
+    zip.close();
+    throw err;
+  }
+
+  // 2. Stream just that entry, decompressed on the way
+  //    (the type is only guessed from the name, so only safe ones inline)
+  const name = path.split("/").at(-1);
+  const contentType = mime.contentType(name) || "application/octet-stream";
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Length", entry.size);
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(name, {
+      type: applyContentSecurity(res, contentType, disposition),
+    })
+  );
+  res.setHeader("Cache-Control", "private, no-cache");
+
+  res.on("close", () => {
+    stream.destroy();
+    zip.close();
+  });
+  // The size was promised up front: all we can do is cut the response short
+  stream.on("error", () => res.destroy());
+  stream.pipe(res);
+});
+
+export {
+  downloadFolder,
+  downloadZip,
+  extractArchive,
+  listArchiveEntries,
+  downloadArchiveEntry,
+};
@@ -1,20 +1,41 @@
-import multer from "multer";
-import AWS from "aws-sdk";
 import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { uploadConfig } from "../config/index.js";
+import {
+  findUploadSession,
+  touchUploadSession,
+  deleteUploadSession,
+  abortUploadSession,
+} from "../services/uploadSession.service.js";
+import {
+  assertParentFolder,
+  ensureFolderPath,
+  splitRelativePath,
+  saveUploadedFile,
+  saveDuplicateFile,
+} from "../services/node.service.js";
+import {
+  getConflictPolicy,
+  findNameConflict,
+  conflictError,
+} from "../services/naming.service.js";
+import { findFileVersion } from "../services/version.service.js";
+import { hashStoredObject } from "../services/blob.service.js";
+import { assertQuota } from "../services/quota.service.js";
+import { assertRole } from "../services/permission.service.js";
+import { sendStoredFile } from "../utils/sendStoredFile.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 
-// Multer config (in memory storage for direct S3 upload)
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+// S3 limits a multipart upload to 10,000 parts
+const MAX_PART_NUMBER = 10000;
 
-// AWS S3 config
-const s3 = new AWS.S3({
-  accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-  secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION,
-});
+// Hex SHA-256 a client may send to skip uploading contents it already stored
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+// ?disposition= on downloads: save to disk or display in the browser
+const DISPOSITIONS = ["attachment", "inline"];
 
 /* ============================================================================
    Upload File
@@ -31,60 +52,187 @@ const uploadFile = asyncHandler(async (req, res) => {
     });
   }
 
-  // 1. Upload to S3
-  const params = {
-    Bucket: process.env.AWS_BUCKET_NAME,
-    Key: `${userId}/${Date.now()}_${file.originalname}`, // unique path
-    Body: file.buffer,
-    ContentType: file.mimetype,
-  };
+  // 1. Save metadata to DB (the upload middleware already streamed the
+  //    file to storage, counting its size and hashing it on the way).
+  //    onConflict: rename (default) | fail | replace (adds a new version)
+  //    Contents the user already has are deduplicated.
+  let node, replaced, deduplicated;
+  try {
+    ({ node, replaced, deduplicated } = await saveUploadedFile({
+      ownerId: userId,
+      name: file.originalname,
+      sizeBytes: file.size,
+      mimeType: file.mimetype,
+      path: file.key,
+      checksum: file.checksum,
+      policy: getConflictPolicy(req, "rename"),
+    }));
+  } catch (err) {
+    // Don't leave an orphaned object behind
+    await storage.delete(file.key).catch(() => {});
+    throw err;
+  }
 
-  const s3Response = await s3.upload(params).promise();
+  // 2. Response
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        fileId: node.id,
+        version: node.version,
+        replaced,
+        deduplicated,
+        url: deduplicated ? null : file.location,
+      },
+      "File uploaded successfully"
+    )
+  );
+});
 
-  // 2. Save metadata to DB
-  const { error: dbError } = await supabase.from("nodes").insert([
-    {
-      owner_id: userId,
-      type: "file",
-      name: file.originalname,
-      size_bytes: file.size,
-      mime_type: file.mimetype,
-      // custom metadata
-      path: s3Response.Key, // saved file path
-    },
-  ]);
+/* ============================================================================
+   POST /files/upload-batch - Upload many files at once (e.g. a dropped
+   folder), recreating their folders under the target folder
+   Multipart fields: files (repeated), paths (repeated, the relative path
+   of each file in the same order, e.g. "photos/2024/a.jpg"), parent_id
+   (optional), onConflict (optional: rename | fail | replace)
+============================================================================ */
+const uploadBatch = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const files = req.files || [];
+  const paths = [].concat(req.body?.paths ?? []);
+  const parentId = req.body?.parent_id || null;
 
-  if (dbError) {
+  // Nothing gets saved: don't leave the uploaded objects behind
+  const discardAll = () =>
+    Promise.all(files.map((f) => storage.delete(f.key).catch(() => {})));
+
+  if (files.length === 0) {
     throw new ApiError({
-      statusCode: 500,
-      message: "Failed to save file metadata",
-      errorCode: "DB_INSERT_FAILED",
+      statusCode: 400,
+      message: "No files uploaded",
+      errorCode: "FILE_MISSING",
     });
   }
 
-  // 3. Response
-  return res
-    .status(201)
-    .json(
-      new ApiResponse(
-        201,
-        { url: s3Response.Location },
-        "File uploaded successfully"
-      )
-    );
+  let policy;
+  try {
+    if (paths.length > 0 && paths.length !== files.length) {
+      throw new ApiError({
+        statusCode: 422,
+        message: `Got ${paths.length} paths for ${files.length} files`,
+        errorCode: "VALIDATION_ERROR",
+      });
+    }
+
+    policy = getConflictPolicy(req, "rename");
+    await assertParentFolder(parentId, userId);
+  } catch (err) {
+    await discardAll();
+    throw err;
+  }
+
+  // 1. Save each file in its folder; one failure doesn't stop the rest
+  const folders = new Map(); // shared folder lookups for the whole batch
+  const results = [];
+
+  for (const [i, file] of files.entries()) {
+    const relativePath = paths[i] ?? file.originalname;
+
+    try {
+      const target = splitRelativePath(relativePath);
+      if (!target) {
+        throw new ApiError({
+          statusCode: 422,
+          message: "Not a valid relative file path",
+          errorCode: "VALIDATION_ERROR",
+        });
+      }
+
+      const folderId = await ensureFolderPath({
+        ownerId: userId,
+        parentId,
+        segments: target.folders,
+        cache: folders,
+      });
+
+      const { node, replaced, deduplicated } = await saveUploadedFile({
+        ownerId: userId,
+        name: target.name,
+        sizeBytes: file.size,
+        mimeType: file.mimetype,
+        parentId: folderId,
+        path: file.key,
+        checksum: file.checksum,
+        policy,
+      });
+
+      results.push({
+        path: relativePath,
+        status: "uploaded",
+        fileId: node.id,
+        name: node.name,
+        parent_id: folderId,
+        replaced,
+        deduplicated,
+      });
+    } catch (err) {
+      await storage.delete(file.key).catch(() => {});
+
+      results.push({
+        path: relativePath,
+        status: "failed",
+        error: {
+          statusCode: err.statusCode || 500,
+          errorCode: err.errorCode || "UPLOAD_FAILED",
+          message:
+            err instanceof ApiError ? err.message : "Failed to save file",
+        },
+      });
+    }
+  }
+
+  // 2. 201 if everything was saved, 207 with the per-file outcome otherwise
+  const failedCount = results.filter((r) => r.status === "failed").length;
+  const statusCode = failedCount === 0 ? 201 : 207;
+
+  return res.status(statusCode).json(
+    new ApiResponse(
+      statusCode,
+      {
+        results,
+        uploaded_count: results.length - failedCount,
+        failed_count: failedCount,
+      },
+      failedCount === 0
+        ? "Files uploaded successfully"
+        : `${failedCount} of ${results.length} files failed to upload`
+    )
+  );
 });
 
 /* ============================================================================
    Download File by ID
+   Query: versionId (optional) - download an earlier version
 ============================================================================ */
-const downloadFile = asyncHandler(async (req, res) => {
+const downloadFile = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
+  const { versionId, disposition = "attachment" } = req.query;
   const userId = req.user?.id || null;
 
+  if (!DISPOSITIONS.includes(disposition)) {
+    throw new ApiError({
+      statusCode: 422,
+      message: `disposition must be one of: ${DISPOSITIONS.join(", ")}`,
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
   // 1. Get file metadata
   const { data: file, error: fileError } = await supabase
     .from("nodes")
-    .select("id, owner_id, name, mime_type, path")
+    .select(
+      "id, owner_id, parent_id, name, mime_type, path, size_bytes, checksum_sha256, content_updated_at, updated_at"
+    )
     .eq("id", id)
     .single();
 
@@ -96,37 +244,40 @@ const downloadFile = asyncHandler(async (req, res) => {
     });
   }
 
-  // (Optional) Check ownership or sharing permission
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to access this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
-
-  // 2. Get file from S3
-  const params = {
-    Bucket: process.env.AWS_BUCKET_NAME,
-    Key: file.path,
+  // Owner, or shared with the user (directly or through a folder)
+  await assertRole(
+    file,
+    userId,
+    "read",
+    "You do not have permission to access this file"
+  );
+
+  let contents = {
+    path: file.path,
+    mimeType: file.mime_type,
+    size: file.size_bytes,
+    checksum: file.checksum_sha256,
+    lastModified: file.content_updated_at || file.updated_at,
   };
 
-  try {
-    const s3Stream = s3.getObject(params).createReadStream();
-
-    // Set response headers
-    res.setHeader("Content-Type", file.mime_type);
-    res.setHeader("Content-Disposition", `attachment; filename="${file.name}"`);
-
-    // Pipe S3 stream to response
-    s3Stream.pipe(res);
-  } catch (err) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Error downloading file",
-      errorCode: "DOWNLOAD_ERROR",
-    });
+  // An earlier version is served from its own object
+  if (versionId) {
+    const version = await findFileVersion(file.id, versionId);
+    contents = {
+      path: version.path,
+      mimeType: version.mime_type,
+      size: version.size_bytes,
+      checksum: version.checksum_sha256,
+      lastModified: version.created_at,
+    };
   }
+
+  // 2. Stream it (honouring Range / If-None-Match / If-Range)
+  await sendStoredFile(req, res, next, {
+    ...contents,
+    name: file.name,
+    disposition,
+  });
 });
 
 /* ============================================================================
@@ -140,7 +291,7 @@ const getFileMetadata = asyncHandler(async (req, res) => {
   const { data: file, error } = await supabase
     .from("nodes")
     .select(
-      "id, owner_id, name, size_bytes, mime_type, path, created_at, updated_at"
+      "id, owner_id, parent_id, name, size_bytes, mime_type, path, created_at, updated_at"
     )
     .eq("id", id)
     .single();
@@ -154,31 +305,237 @@ const getFileMetadata = asyncHandler(async (req, res) => {
   }
 
   // 2. Verify permissions (owner or shared)
-  if (file.owner_id !== userId) {
+  const role = await assertRole(
+    file,
+    userId,
+    "read",
+    "You do not have permission to view this file"
+  );
+
+  // 3. Return metadata, with the user's role on the file
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { file: { ...file, role } },
+        "File metadata fetched successfully"
+      )
+    );
+});
+
+/* ============================================================================
+   POST /files/upload-init - Start a multipart (chunked) upload
+   Body: name, size_bytes, mime_type, parent_id (optional),
+         relative_path (optional, instead of name: "photos/2024/a.jpg"
+         creates the folders under parent_id as needed),
+         onConflict (optional: rename | fail | replace),
+         sha256 (optional: contents the user already stored aren't uploaded
+         again; the file is created straight away. Otherwise the completed
+         upload must match it)
+============================================================================ */
+const initChunkUpload = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const {
+    size_bytes,
+    mime_type = null,
+    parent_id = null,
+    relative_path = null,
+    sha256 = null,
+  } = req.body;
+  const sizeBytes = Number(size_bytes);
+
+  // A member of a folder upload: "photos/2024/a.jpg" goes into photos/2024
+  const target =
+    relative_path != null ? splitRelativePath(relative_path) : null;
+  if (relative_path != null && !target) {
     throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to view this file",
-      errorCode: "ACCESS_DENIED",
+      statusCode: 422,
+      message: "relative_path must be a relative file path",
+      errorCode: "VALIDATION_ERROR",
     });
   }
+  const name = target?.name ?? req.body.name;
 
-  // 3. Return metadata
-  return res
-    .status(200)
-    .json(new ApiResponse(200, { file }, "File metadata fetched successfully"));
+  if (!userId) {
+    throw new ApiError({
+      statusCode: 401,
+      message: "Unauthorized",
+      errorCode: "UNAUTHORIZED",
+    });
+  }
+
+  if (!name || typeof name !== "string" || name.trim() === "") {
+    throw new ApiError({
+      statusCode: 422,
+      message: "File name is required",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (name.includes("/") || name.includes("\\")) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "File name cannot contain path separators",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (!Number.isSafeInteger(sizeBytes) || sizeBytes <= 0) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "size_bytes must be a positive integer",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (sizeBytes > uploadConfig.maxFileSize) {
+    throw new ApiError({
+      statusCode: 413,
+      message: `File exceeds the maximum upload size of ${uploadConfig.maxFileSize} bytes`,
+      errorCode: "FILE_TOO_LARGE",
+    });
+  }
+
+  if (sha256 != null && !SHA256_PATTERN.test(sha256)) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "sha256 must be a hex-encoded SHA-256 digest",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  // 1. Validate the parent folder (if not root), create the folders of a
+  //    relative path and check the file fits in the user's quota (checked
+  //    again when the upload completes)
+  await assertParentFolder(parent_id, userId);
+  const parentId = await ensureFolderPath({
+    ownerId: userId,
+    parentId: parent_id || null,
+    segments: target?.folders ?? [],
+  });
+  await assertQuota(userId, sizeBytes);
+
+  // Fail early; the policy is applied again when the upload completes
+  const policy = getConflictPolicy(req, "rename");
+  if (policy === "fail") {
+    const existing = await findNameConflict({
+      ownerId: userId,
+      parentId,
+      name: name.trim(),
+    });
+    if (existing) throw conflictError(existing);
+  }
+
+  // The user already has these contents: save the file without uploading
+  if (sha256) {
+    const saved = await saveDuplicateFile({
+      ownerId: userId,
+      name: name.trim(),
+      sizeBytes,
+      mimeType: mime_type,
+      parentId,
+      checksum: sha256.toLowerCase(),
+      policy,
+    });
+
+    if (saved) {
+      return res.status(201).json(
+        new ApiResponse(
+          201,
+          {
+            fileId: saved.node.id,
+            version: saved.node.version,
+            replaced: saved.replaced,
+            deduplicated: true,
+          },
+          "File already stored, no upload needed"
+        )
+      );
+    }
+  }
+
+  // 2. Reserve a server-chosen key and start the multipart upload
+  const key = `${userId}/${Date.now()}_${name.trim()}`;
+  let uploadId;
+
+  try {
+    uploadId = await storage.createMultipartUpload(key, {
+      contentType: mime_type || undefined,
+    });
+  } catch (err) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to start multipart upload",
+      errorCode: "UPLOAD_INIT_FAILED",
+    });
+  }
+
+  // 3. Track the session so later calls can only target this key
+  const { data: session, error: dbError } = await supabase
+    .from("upload_sessions")
+    .insert([
+      {
+        user_id: userId,
+        upload_id: uploadId,
+        storage_key: key,
+        name: name.trim(),
+        size_bytes: sizeBytes,
+        mime_type,
+        parent_id: parentId,
+        metadata: {
+          onConflict: policy,
+          sha256: sha256 ? sha256.toLowerCase() : null,
+        },
+      },
+    ])
+    .select("upload_id, name, size_bytes, mime_type, parent_id, created_at")
+    .single();
+
+  if (dbError) {
+    await storage.abortMultipartUpload(key, uploadId).catch(() => {});
+
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to create upload session",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        uploadId: session.upload_id,
+        session,
+        maxChunkSize: uploadConfig.maxChunkSize,
+      },
+      "Upload session created successfully"
+    )
+  );
 });
 
 /* ============================================================================
    Upload Chunk (Multipart)
 ============================================================================ */
 const uploadFileChunk = asyncHandler(async (req, res) => {
-  const { uploadId, partNumber, key } = req.body;
+  const { uploadId, partNumber } = req.body;
+  const userId = req.user?.id;
   const chunk = req.file;
+  const partNo = Number(partNumber);
+
+  if (!uploadId || !partNumber) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "uploadId and partNumber are required",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
 
-  if (!uploadId || !partNumber || !key) {
+  if (!Number.isInteger(partNo) || partNo < 1 || partNo > MAX_PART_NUMBER) {
     throw new ApiError({
       statusCode: 422,
-      message: "uploadId, partNumber, and key are required",
+      message: `partNumber must be an integer between 1 and ${MAX_PART_NUMBER}`,
       errorCode: "VALIDATION_ERROR",
     });
   }
@@ -191,24 +548,26 @@ const uploadFileChunk = asyncHandler(async (req, res) => {
     });
   }
 
-  // Upload chunk to S3 multipart upload
-  const params = {
-    Bucket: process.env.AWS_BUCKET_NAME,
-    Key: key,
-    UploadId: uploadId,
-    PartNumber: parseInt(partNumber, 10),
-    Body: chunk.buffer,
-  };
+  // Only the caller's own session (and its reserved key) can be written to
+  const session = await findUploadSession(uploadId, userId);
 
+  // Upload chunk to the storage multipart upload
   try {
-    const response = await s3.uploadPart(params).promise();
+    const part = await storage.uploadPart(
+      session.storage_key,
+      session.upload_id,
+      partNo,
+      chunk.buffer,
+      { contentLength: chunk.size }
+    );
+    await touchUploadSession(session);
 
     return res.status(200).json(
       new ApiResponse(
         200,
         {
-          ETag: response.ETag,
-          PartNumber: partNumber,
+          ETag: part.etag,
+          PartNumber: partNo,
         },
         "Chunk uploaded successfully"
       )
@@ -222,71 +581,185 @@ const uploadFileChunk = asyncHandler(async (req, res) => {
   }
 });
 
+/* ============================================================================
+   GET /files/upload/:uploadId/parts - List uploaded parts (to resume)
+============================================================================ */
+const listUploadedParts = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const userId = req.user?.id;
+
+  const session = await findUploadSession(uploadId, userId);
+
+  let parts;
+  try {
+    parts = await storage.listParts(session.storage_key, session.upload_id);
+  } catch (err) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to list uploaded parts",
+      errorCode: "LIST_PARTS_FAILED",
+    });
+  }
+
+  const uploadedBytes = parts.reduce((sum, part) => sum + (part.size || 0), 0);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        uploadId: session.upload_id,
+        name: session.name,
+        size_bytes: session.size_bytes,
+        uploadedBytes,
+        parts: parts.map((part) => ({
+          PartNumber: part.partNumber,
+          ETag: part.etag,
+          Size: part.size,
+        })),
+      },
+      "Uploaded parts fetched successfully"
+    )
+  );
+});
+
+/* ============================================================================
+   DELETE /files/upload/:uploadId - Abort a multipart upload
+============================================================================ */
+const abortChunkUpload = asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+  const userId = req.user?.id;
+
+  const session = await findUploadSession(uploadId, userId);
+
+  try {
+    await abortUploadSession(session);
+  } catch (err) {
+    if (err instanceof ApiError) throw err;
+
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to abort upload",
+      errorCode: "UPLOAD_ABORT_FAILED",
+    });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { uploadId }, "Upload aborted successfully"));
+});
+
 /* ============================================================================
    Complete Multipart Upload
+   Body: parts (optional) - [{ ETag, PartNumber }]; defaults to every part
+   the server has received
 ============================================================================ */
 const completeChunkUpload = asyncHandler(async (req, res) => {
   const { uploadId } = req.params;
-  const { key, parts, name, size_bytes, mime_type } = req.body;
+  const { parts } = req.body;
   const userId = req.user?.id || null;
 
-  if (!uploadId || !key || !parts) {
+  if (!uploadId) {
     throw new ApiError({
       statusCode: 422,
-      message: "uploadId, key, and parts are required",
+      message: "uploadId is required",
       errorCode: "VALIDATION_ERROR",
     });
   }
 
-  try {
-    // 1. Complete multipart upload in S3
-    const params = {
-      Bucket: process.env.AWS_BUCKET_NAME,
-      Key: key,
-      UploadId: uploadId,
-      MultipartUpload: {
-        Parts: parts, // [{ ETag, PartNumber }]
-      },
-    };
+  if (parts !== undefined && !Array.isArray(parts)) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "parts must be an array of { ETag, PartNumber }",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
 
-    const s3Response = await s3.completeMultipartUpload(params).promise();
+  const session = await findUploadSession(uploadId, userId);
 
-    // 2. Save metadata in DB (nodes table)
-    const { data, error: dbError } = await supabase
-      .from("nodes")
-      .insert([
-        {
-          owner_id: userId,
-          type: "file",
-          name,
-          size_bytes,
-          mime_type,
-          path: key,
-        },
-      ])
-      .select("id")
-      .single();
+  try {
+    // 1. Check the received parts add up to the size declared at init
+    const storedParts = await storage.listParts(
+      session.storage_key,
+      session.upload_id
+    );
+    const selectedParts = parts
+      ? parts.map((p) => ({ partNumber: Number(p.PartNumber), etag: p.ETag }))
+      : storedParts;
+
+    const sizeByPart = new Map(storedParts.map((p) => [p.partNumber, p.size]));
+    const totalBytes = selectedParts.reduce(
+      (sum, p) => sum + (sizeByPart.get(p.partNumber) ?? 0),
+      0
+    );
 
-    if (dbError) {
+    if (
+      selectedParts.length === 0 ||
+      totalBytes !== Number(session.size_bytes)
+    ) {
       throw new ApiError({
-        statusCode: 500,
-        message: "Failed to save file metadata",
-        errorCode: "DB_INSERT_FAILED",
+        statusCode: 422,
+        message: `Uploaded parts total ${totalBytes} bytes, expected ${session.size_bytes}`,
+        errorCode: "UPLOAD_INCOMPLETE",
       });
     }
 
-    // 3. Respond with success
+    // 2. Complete multipart upload in storage
+    const stored = await storage.completeMultipartUpload(
+      session.storage_key,
+      session.upload_id,
+      selectedParts
+    );
+
+    // 3. Hash the assembled object (for dedup) and check it against the
+    // sha256 declared at init, if any
+    let node, deduplicated;
+    try {
+      const checksum = await hashStoredObject(session.storage_key);
+      const declared = session.metadata?.sha256;
+
+      if (declared && declared !== checksum) {
+        throw new ApiError({
+          statusCode: 422,
+          message: "Uploaded contents don't match the declared sha256",
+          errorCode: "CHECKSUM_MISMATCH",
+        });
+      }
+
+      // 4. Save metadata in DB (nodes table)
+      ({ node, deduplicated } = await saveUploadedFile({
+        ownerId: userId,
+        name: session.name,
+        sizeBytes: session.size_bytes,
+        mimeType: session.mime_type,
+        parentId: session.parent_id,
+        path: session.storage_key,
+        checksum,
+        policy: session.metadata?.onConflict,
+      }));
+    } catch (err) {
+      // The object is complete but unreferenced: drop it with the session
+      await storage.delete(session.storage_key).catch(() => {});
+      await deleteUploadSession(session).catch(() => {});
+      throw err;
+    }
+
+    await deleteUploadSession(session);
+
+    // 5. Respond with success
     return res.status(201).json(
       new ApiResponse(
         201,
         {
-          fileId: data.id,
-          location: s3Response.Location,
+          fileId: node.id,
+          location: stored.location,
+          deduplicated,
         },
         "File upload completed successfully"
       )
     );
   } catch (err) {
+    if (err instanceof ApiError) throw err;
+
     throw new ApiError({
       statusCode: 500,
       message: err.message || "Error completing multipart upload",
@@ -296,10 +769,13 @@ const completeChunkUpload = asyncHandler(async (req, res) => {
 });
 
 export {
-  upload,
   uploadFile,
+  uploadBatch,
   downloadFile,
   getFileMetadata,
+  initChunkUpload,
   uploadFileChunk,
+  listUploadedParts,
+  abortChunkUpload,
   completeChunkUpload,
 };
@@ -2,6 +2,27 @@ import { supabase } from "../utils/supabaseClient.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { trashSubtree, collectDescendants } from "../services/trash.service.js";
+import {
+  assertParentFolder,
+  claimName,
+  isWithin,
+} from "../services/node.service.js";
+import { assertRole } from "../services/permission.service.js";
+import {
+  getConflictPolicy,
+  conflictError,
+  isNameConflict,
+} from "../services/naming.service.js";
+import { COPY_COLUMNS, copyTree } from "../services/copy.service.js";
+import { createJob, runJob } from "../services/job.service.js";
+import { assertQuota } from "../services/quota.service.js";
+import { withPreviews } from "../services/preview.service.js";
+import { listShortcutTargets } from "../services/shortcut.service.js";
+
+// Folder copies up to this many nodes finish within the request; larger
+// ones run as a background job the client can poll
+const SYNC_COPY_LIMIT = 200;
 
 /* ============================================================================
    GET /files - List all user files with pagination
@@ -29,7 +50,7 @@ const listFiles = asyncHandler(async (req, res) => {
     count,
   } = await supabase
     .from("nodes")
-    .select("id, name, size_bytes, mime_type, created_at, updated_at", {
+    .select("id, name, size_bytes, mime_type, path, created_at, updated_at", {
       count: "exact",
     })
     .eq("owner_id", userId)
@@ -45,12 +66,12 @@ const listFiles = asyncHandler(async (req, res) => {
     });
   }
 
-  // 2. Build response with pagination metadata
+  // 2. Build response with pagination metadata (and each file's preview)
   return res.status(200).json(
     new ApiResponse(
       200,
       {
-        files,
+        files: await withPreviews(files),
         pagination: {
           total: count,
           page,
@@ -144,6 +165,20 @@ const createFolder = asyncHandler(async (req, res) => {
     });
   }
 
+  // The parent must be a folder the user can write to
+  await assertParentFolder(parent_id, userId);
+
+  // Apply the onConflict policy (fail | rename | replace)
+  const policy = getConflictPolicy(req, "fail");
+  const folderName = await claimName({
+    userId,
+    ownerId: userId,
+    parentId: parent_id || null,
+    name: name.trim(),
+    type: "folder",
+    policy,
+  });
+
   // Insert into DB
   const { data, error } = await supabase
     .from("nodes")
@@ -151,13 +186,17 @@ const createFolder = asyncHandler(async (req, res) => {
       {
         owner_id: userId,
         type: "folder",
-        name: name.trim(),
+        name: folderName,
         parent_id: parent_id || null,
       },
     ])
     .select("id, name, parent_id, created_at, updated_at")
     .single();
 
+  if (isNameConflict(error)) {
+    throw conflictError({ type: "folder", name: folderName });
+  }
+
   if (error) {
     throw new ApiError({
       statusCode: 500,
@@ -197,10 +236,10 @@ const renameFile = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if file exists and belongs to user
+  // Check if file exists and the user can edit it
   const { data: file, error: fetchError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type")
+    .select("id, owner_id, type, parent_id")
     .eq("id", id)
     .single();
 
@@ -220,22 +259,36 @@ const renameFile = asyncHandler(async (req, res) => {
     });
   }
 
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to rename this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  await assertRole(
+    file,
+    userId,
+    "write",
+    "You do not have permission to rename this file"
+  );
+
+  // Apply the onConflict policy among the new siblings
+  const newName = await claimName({
+    userId,
+    ownerId: file.owner_id,
+    parentId: file.parent_id,
+    name: name.trim(),
+    type: "file",
+    policy: getConflictPolicy(req, "fail"),
+    excludeId: id,
+  });
 
   // Update file name
   const { data: updatedFile, error: updateError } = await supabase
     .from("nodes")
-    .update({ name: name.trim(), updated_at: new Date().toISOString() })
+    .update({ name: newName, updated_at: new Date().toISOString() })
     .eq("id", id)
     .select("id, name, updated_at")
     .single();
 
+  if (isNameConflict(updateError)) {
+    throw conflictError({ type: "file", name: newName });
+  }
+
   if (updateError) {
     throw new ApiError({
       statusCode: 500,
@@ -275,10 +328,10 @@ const renameFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if folder exists and belongs to user
+  // Check if folder exists and the user can edit it
   const { data: folder, error: fetchError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type")
+    .select("id, owner_id, type, parent_id")
     .eq("id", id)
     .single();
 
@@ -298,22 +351,36 @@ const renameFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  if (folder.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to rename this folder",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  await assertRole(
+    folder,
+    userId,
+    "write",
+    "You do not have permission to rename this folder"
+  );
+
+  // Apply the onConflict policy among the new siblings
+  const newName = await claimName({
+    userId,
+    ownerId: folder.owner_id,
+    parentId: folder.parent_id,
+    name: name.trim(),
+    type: "folder",
+    policy: getConflictPolicy(req, "fail"),
+    excludeId: id,
+  });
 
   // Update folder name
   const { data: updatedFolder, error: updateError } = await supabase
     .from("nodes")
-    .update({ name: name.trim(), updated_at: new Date().toISOString() })
+    .update({ name: newName, updated_at: new Date().toISOString() })
     .eq("id", id)
     .select("id, name, updated_at")
     .single();
 
+  if (isNameConflict(updateError)) {
+    throw conflictError({ type: "folder", name: newName });
+  }
+
   if (updateError) {
     throw new ApiError({
       statusCode: 500,
@@ -351,7 +418,7 @@ const softDeleteFile = asyncHandler(async (req, res) => {
   // 1. Check if file exists
   const { data: file, error: fetchError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type, deleted_at")
+    .select("id, owner_id, type, name, parent_id, deleted_at")
     .eq("id", id)
     .single();
 
@@ -371,13 +438,12 @@ const softDeleteFile = asyncHandler(async (req, res) => {
     });
   }
 
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to delete this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  await assertRole(
+    file,
+    userId,
+    "write",
+    "You do not have permission to delete this file"
+  );
 
   if (file.deleted_at) {
     throw new ApiError({
@@ -387,31 +453,23 @@ const softDeleteFile = asyncHandler(async (req, res) => {
     });
   }
 
-  // 2. Soft delete (set deleted_at timestamp)
-  const { data: deletedFile, error: updateError } = await supabase
-    .from("nodes")
-    .update({ deleted_at: new Date().toISOString() })
-    .eq("id", id)
-    .select("id, name, deleted_at")
-    .single();
+  // 2. Soft delete (set deleted_at timestamp and deletion batch)
+  const { deletedAt, batchId } = await trashSubtree(file);
 
-  if (updateError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to delete file",
-      errorCode: "DB_UPDATE_FAILED",
-    });
-  }
-
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(
-        200,
-        { file: deletedFile },
-        "File moved to trash successfully"
-      )
-    );
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        file: {
+          id: file.id,
+          name: file.name,
+          deleted_at: deletedAt,
+          deletion_batch_id: batchId,
+        },
+      },
+      "File moved to trash successfully"
+    )
+  );
 });
 
 /* ============================================================================
@@ -432,7 +490,7 @@ const softDeleteFolder = asyncHandler(async (req, res) => {
   // 1. Check if folder exists
   const { data: folder, error: fetchError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type, deleted_at")
+    .select("id, owner_id, type, parent_id, deleted_at")
     .eq("id", id)
     .single();
 
@@ -452,13 +510,12 @@ const softDeleteFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  if (folder.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to delete this folder",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  await assertRole(
+    folder,
+    userId,
+    "write",
+    "You do not have permission to delete this folder"
+  );
 
   if (folder.deleted_at) {
     throw new ApiError({
@@ -468,47 +525,22 @@ const softDeleteFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  const deletedAt = new Date().toISOString();
-
-  // 2. Soft delete the folder itself
-  const { error: updateFolderError } = await supabase
-    .from("nodes")
-    .update({ deleted_at: deletedAt })
-    .eq("id", id);
-
-  if (updateFolderError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to delete folder",
-      errorCode: "DB_UPDATE_FAILED",
-    });
-  }
-
-  // 3. Soft delete all child files/folders (recursive effect)
-  const { error: updateChildrenError } = await supabase
-    .from("nodes")
-    .update({ deleted_at: deletedAt })
-    .eq("owner_id", userId)
-    .eq("parent_id", id)
-    .is("deleted_at", null);
-
-  if (updateChildrenError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to delete child nodes",
-      errorCode: "DB_UPDATE_FAILED",
-    });
-  }
+  // 2. Soft delete the folder and its entire subtree as one batch, so a
+  //    restore brings back exactly this set
+  const { deletedAt, batchId, count } = await trashSubtree(folder);
 
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(
-        200,
-        { folderId: id, deleted_at: deletedAt },
-        "Folder and its contents moved to trash successfully"
-      )
-    );
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        folderId: id,
+        deleted_at: deletedAt,
+        deletion_batch_id: batchId,
+        deleted_count: count,
+      },
+      "Folder and its contents moved to trash successfully"
+    )
+  );
 });
 
 /* ============================================================================
@@ -530,7 +562,9 @@ const copyFile = asyncHandler(async (req, res) => {
   // 1. Fetch the file metadata
   const { data: file, error: fetchError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type, name, size_bytes, mime_type, path, parent_id")
+    .select(
+      "id, owner_id, type, name, size_bytes, mime_type, path, checksum_sha256, parent_id"
+    )
     .eq("id", id)
     .single();
 
@@ -550,17 +584,32 @@ const copyFile = asyncHandler(async (req, res) => {
     });
   }
 
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to copy this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
-
-  // 2. Insert new file entry (copy)
-  const copyName = `${file.name}_copy`;
+  await assertRole(
+    file,
+    userId,
+    "read",
+    "You do not have permission to copy this file"
+  );
 
+  // 2. Pick the copy's name (onConflict defaults to "rename", so a copy
+  //    next to the original becomes "report (1).pdf")
+  const targetId = parent_id || file.parent_id;
+  await assertParentFolder(targetId, userId);
+
+  // The copy counts against the quota in full
+  await assertQuota(userId, file.size_bytes);
+
+  const copyName = await claimName({
+    userId,
+    ownerId: userId,
+    parentId: targetId,
+    name: file.name,
+    type: "file",
+    policy: getConflictPolicy(req, "rename"),
+    sourceId: file.id,
+  });
+
+  // 3. Insert new file entry (copy)
   const { data: newFile, error: insertError } = await supabase
     .from("nodes")
     .insert([
@@ -570,13 +619,18 @@ const copyFile = asyncHandler(async (req, res) => {
         name: copyName,
         size_bytes: file.size_bytes,
         mime_type: file.mime_type,
-        path: file.path, // same S3 path (shared)
-        parent_id: parent_id || file.parent_id,
+        path: file.path, // same storage path (shared)
+        checksum_sha256: file.checksum_sha256,
+        parent_id: targetId,
       },
     ])
     .select("id, name, parent_id, created_at")
     .single();
 
+  if (isNameConflict(insertError)) {
+    throw conflictError({ type: "file", name: copyName });
+  }
+
   if (insertError) {
     throw new ApiError({
       statusCode: 500,
@@ -590,6 +644,124 @@ const copyFile = asyncHandler(async (req, res) => {
     .json(new ApiResponse(201, { file: newFile }, "File copied successfully"));
 });
 
+/* ============================================================================
+   POST /folders/:id/copy - Copy a folder and its whole subtree
+   Large trees are copied in the background (202 + job to poll)
+============================================================================ */
+const copyFolder = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
+  const { parent_id = null } = req.body;
+
+  if (!userId) {
+    throw new ApiError({
+      statusCode: 401,
+      message: "Unauthorized",
+      errorCode: "UNAUTHORIZED",
+    });
+  }
+
+  // 1. Fetch the folder
+  const { data: folder, error: fetchError } = await supabase
+    .from("nodes")
+    .select("id, owner_id, type, name, parent_id, deleted_at")
+    .eq("id", id)
+    .single();
+
+  if (fetchError || !folder || folder.deleted_at) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Folder not found",
+      errorCode: "FOLDER_NOT_FOUND",
+    });
+  }
+
+  if (folder.type !== "folder") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Target is not a folder",
+      errorCode: "INVALID_NODE_TYPE",
+    });
+  }
+
+  await assertRole(
+    folder,
+    userId,
+    "read",
+    "You do not have permission to copy this folder"
+  );
+
+  // 2. Validate the destination (defaults to next to the original)
+  const targetId = parent_id || folder.parent_id;
+  await assertParentFolder(targetId, userId);
+
+  // 3. Collect the live subtree and refuse to copy a folder into itself
+  const descendants = await collectDescendants(
+    [id],
+    (query) => query.is("deleted_at", null),
+    COPY_COLUMNS
+  );
+
+  if (targetId === id || descendants.some((n) => n.id === targetId)) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Cannot copy a folder into itself or its subfolders",
+      errorCode: "INVALID_MOVE",
+    });
+  }
+
+  await assertQuota(
+    userId,
+    descendants.reduce((sum, n) => sum + Number(n.size_bytes || 0), 0)
+  );
+
+  // 4. Pick the copy's name (onConflict defaults to "rename")
+  const copyName = await claimName({
+    userId,
+    ownerId: userId,
+    parentId: targetId,
+    name: folder.name,
+    type: "folder",
+    policy: getConflictPolicy(req, "rename"),
+    sourceId: folder.id,
+  });
+
+  const copyOptions = {
+    folder,
+    descendants,
+    parentId: targetId,
+    ownerId: userId,
+    name: copyName,
+  };
+  const total = descendants.length + 1;
+
+  // 5. Small trees: copy right away
+  if (total <= SYNC_COPY_LIMIT) {
+    const { folder: newFolder, copied } = await copyTree(copyOptions);
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          { folder: newFolder, copied_count: copied },
+          "Folder copied successfully"
+        )
+      );
+  }
+
+  // 6. Large trees: copy in the background and report progress on a job
+  const job = await createJob({ userId, type: "folder_copy", total });
+
+  runJob(job, (reportProgress) =>
+    copyTree({ ...copyOptions, onProgress: reportProgress })
+  );
+
+  return res
+    .status(202)
+    .json(new ApiResponse(202, { job }, "Folder copy started"));
+});
+
 /* ============================================================================
    POST /files/:id/move - Move file to different folder
 ============================================================================ */
@@ -614,10 +786,10 @@ const moveFile = asyncHandler(async (req, res) => {
     });
   }
 
-  // 1. Check if file exists and belongs to user
+  // 1. Check if file exists and the user can edit it
   const { data: file, error: fetchError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type, parent_id")
+    .select("id, owner_id, type, name, parent_id")
     .eq("id", id)
     .single();
 
@@ -637,18 +809,17 @@ const moveFile = asyncHandler(async (req, res) => {
     });
   }
 
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to move this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  const role = await assertRole(
+    file,
+    userId,
+    "write",
+    "You do not have permission to move this file"
+  );
 
-  // 2. Validate target folder exists & belongs to user
+  // 2. Validate target folder exists & the user can write to it
   const { data: folder, error: folderError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type")
+    .select("id, owner_id, type, parent_id")
     .eq("id", target_folder_id)
     .single();
 
@@ -668,25 +839,50 @@ const moveFile = asyncHandler(async (req, res) => {
     });
   }
 
-  if (folder.owner_id !== userId) {
+  await assertRole(
+    folder,
+    userId,
+    "write",
+    "You do not have permission to move files into this folder"
+  );
+
+  // Collaborators can rearrange the owner's items, but not take them into a
+  // folder the owner doesn't own (where the owner might lose track of them)
+  if (role !== "owner" && folder.owner_id !== file.owner_id) {
     throw new ApiError({
       statusCode: 403,
-      message: "You do not have permission to move files into this folder",
+      message: "Only the owner can move this file into someone else's folder",
       errorCode: "ACCESS_DENIED",
     });
   }
 
-  // 3. Update file's parent_id (move file)
+  // 3. Apply the onConflict policy in the target folder
+  const newName = await claimName({
+    userId,
+    ownerId: userId,
+    parentId: target_folder_id,
+    name: file.name,
+    type: "file",
+    policy: getConflictPolicy(req, "fail"),
+    excludeId: id,
+  });
+
+  // 4. Update file's parent_id (move file)
   const { data: movedFile, error: updateError } = await supabase
     .from("nodes")
     .update({
       parent_id: target_folder_id,
+      name: newName,
       updated_at: new Date().toISOString(),
     })
     .eq("id", id)
     .select("id, name, parent_id, updated_at")
     .single();
 
+  if (isNameConflict(updateError)) {
+    throw conflictError({ type: "file", name: newName });
+  }
+
   if (updateError) {
     throw new ApiError({
       statusCode: 500,
@@ -724,10 +920,10 @@ const moveFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  // 1. Check if folder exists and belongs to user
+  // 1. Check if folder exists and the user can edit it
   const { data: folder, error: fetchError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type, parent_id")
+    .select("id, owner_id, type, name, parent_id")
     .eq("id", id)
     .single();
 
@@ -747,18 +943,17 @@ const moveFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  if (folder.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to move this folder",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  const role = await assertRole(
+    folder,
+    userId,
+    "write",
+    "You do not have permission to move this folder"
+  );
 
-  // 2. Validate target folder exists and belongs to user
+  // 2. Validate target folder exists and the user can write to it
   const { data: targetFolder, error: targetError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type")
+    .select("id, owner_id, type, parent_id")
     .eq("id", target_folder_id)
     .single();
 
@@ -778,10 +973,19 @@ const moveFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  if (targetFolder.owner_id !== userId) {
+  await assertRole(
+    targetFolder,
+    userId,
+    "write",
+    "You do not have permission to move folders here"
+  );
+
+  // Collaborators can rearrange the owner's items, but not take them into a
+  // folder the owner doesn't own (where the owner might lose track of them)
+  if (role !== "owner" && targetFolder.owner_id !== folder.owner_id) {
     throw new ApiError({
       statusCode: 403,
-      message: "You do not have permission to move folders here",
+      message: "Only the owner can move this folder into someone else's folder",
       errorCode: "ACCESS_DENIED",
     });
   }
@@ -795,43 +999,41 @@ const moveFolder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Fetch all children of the folder (basic check)
-  const { data: childNodes, error: childError } = await supabase
-    .from("nodes")
-    .select("id, parent_id")
-    .eq("owner_id", userId);
-
-  if (!childError && childNodes) {
-    const checkCircular = (folderId, targetId) => {
-      for (const node of childNodes) {
-        if (node.parent_id === folderId) {
-          if (node.id === targetId) return true;
-          if (checkCircular(node.id, targetId)) return true;
-        }
-      }
-      return false;
-    };
-
-    if (checkCircular(id, target_folder_id)) {
-      throw new ApiError({
-        statusCode: 400,
-        message: "Cannot move a folder inside its own subfolder",
-        errorCode: "INVALID_MOVE",
-      });
-    }
+  if (await isWithin(target_folder_id, id)) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Cannot move a folder inside its own subfolder",
+      errorCode: "INVALID_MOVE",
+    });
   }
 
-  // 4. Move the folder
+  // 4. Apply the onConflict policy in the target folder
+  const newName = await claimName({
+    userId,
+    ownerId: userId,
+    parentId: target_folder_id,
+    name: folder.name,
+    type: "folder",
+    policy: getConflictPolicy(req, "fail"),
+    excludeId: id,
+  });
+
+  // 5. Move the folder
   const { data: movedFolder, error: updateError } = await supabase
     .from("nodes")
     .update({
       parent_id: target_folder_id,
+      name: newName,
       updated_at: new Date().toISOString(),
     })
     .eq("id", id)
     .select("id, name, parent_id, updated_at")
     .single();
 
+  if (isNameConflict(updateError)) {
+    throw conflictError({ type: "folder", name: newName });
+  }
+
   if (updateError) {
     throw new ApiError({
       statusCode: 500,
@@ -867,11 +1069,12 @@ const getFolderContents = asyncHandler(async (req, res) => {
     parentId = null; // root-level fetch
   }
 
-  // 1. Validate folder exists (if not root)
+  // 1. Validate folder exists (if not root) and the user can read it
+  let role = "owner";
   if (parentId) {
     const { data: folder, error: folderError } = await supabase
       .from("nodes")
-      .select("id, type, owner_id")
+      .select("id, type, owner_id, parent_id")
       .eq("id", parentId)
       .single();
 
@@ -891,21 +1094,26 @@ const getFolderContents = asyncHandler(async (req, res) => {
       });
     }
 
-    if (folder.owner_id !== userId) {
-      throw new ApiError({
-        statusCode: 403,
-        message: "You do not have access to this folder",
-        errorCode: "ACCESS_DENIED",
-      });
-    }
+    role = await assertRole(
+      folder,
+      userId,
+      "read",
+      "You do not have access to this folder"
+    );
   }
 
-  // 2. Fetch child nodes (files + folders)
-  const { data: contents, error: fetchError } = await supabase
+  // 2. Fetch child nodes (files + folders): everything in a folder, whoever
+  //    added it, or the user's own items at root
+  let query = supabase
     .from("nodes")
-    .select("id, name, type, mime_type, size_bytes, created_at, updated_at")
-    .eq("owner_id", userId)
-    .eq("parent_id", parentId)
+    .select(
+      "id, owner_id, name, type, mime_type, size_bytes, path, created_at, updated_at"
+    );
+  query = parentId
+    ? query.eq("parent_id", parentId)
+    : query.is("parent_id", null).eq("owner_id", userId);
+
+  const { data: contents, error: fetchError } = await query
     .is("deleted_at", null)
     .order("type", { ascending: true }) // folders first, then files
     .order("name", { ascending: true });
@@ -918,12 +1126,21 @@ const getFolderContents = asyncHandler(async (req, res) => {
     });
   }
 
+  // 3. Add the user's shortcuts to items shared with them
+  const shortcuts = await listShortcutTargets(userId, parentId);
+  const items = contents.concat(shortcuts);
+  if (shortcuts.length > 0) {
+    items.sort(
+      (a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name)
+    );
+  }
+
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        { folderId: parentId, contents },
+        { folderId: parentId, role, contents: await withPreviews(items) },
         "Folder contents retrieved successfully"
       )
     );
@@ -938,6 +1155,7 @@ export {
   softDeleteFile,
   softDeleteFolder,
   copyFile,
+  copyFolder,
   moveFile,
   moveFolder,
   getFolderContents,
@@ -0,0 +1,142 @@
+import contentDisposition from "content-disposition";
+import { supabase } from "../utils/supabaseClient.js";
+import { imageConfig } from "../config/index.js";
+import { previewKind } from "../services/preview.service.js";
+import {
+  IMAGE_FITS,
+  IMAGE_FORMATS,
+  renditionKey,
+  createRendition,
+} from "../services/image.service.js";
+import { sendStoredFile } from "../utils/sendStoredFile.js";
+import { applyContentSecurity } from "../utils/contentSecurity.js";
+import { assertRole } from "../services/permission.service.js";
+import ApiError from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const DEFAULT_QUALITY = 80;
+
+function invalidOption(message) {
+  return new ApiError({
+    statusCode: 422,
+    message,
+    errorCode: "VALIDATION_ERROR",
+  });
+}
+
+// An optional whole number within [min, max]
+function parseInteger(value, name, min, max) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw invalidOption(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function parseImageOptions(query) {
+  const { fit = "inside", format = "webp" } = query;
+
+  if (!IMAGE_FITS.includes(fit)) {
+    throw invalidOption(`fit must be one of: ${IMAGE_FITS.join(", ")}`);
+  }
+
+  if (!Object.hasOwn(IMAGE_FORMATS, format)) {
+    throw invalidOption(
+      `format must be one of: ${Object.keys(IMAGE_FORMATS).join(", ")}`
+    );
+  }
+
+  return {
+    width: parseInteger(query.w, "w", 1, imageConfig.maxDimension),
+    height: parseInteger(query.h, "h", 1, imageConfig.maxDimension),
+    fit,
+    format,
+    quality: parseInteger(query.q, "q", 1, 100) ?? DEFAULT_QUALITY,
+  };
+}
+
+// "photo.heic" as a rendition in `format`: "photo.webp"
+function renditionName(name, format) {
+  const dot = name.lastIndexOf(".");
+  return `${dot > 0 ? name.slice(0, dot) : name}.${format === "jpeg" ? "jpg" : format}`;
+}
+
+/* ============================================================================
+   GET /files/:id/image - Resized / re-encoded image
+   Query: w, h (pixels, up to IMAGE_MAX_DIMENSION; never enlarged), fit
+   (cover | contain | fill | inside | outside, default inside), format
+   (webp | jpeg | png, default webp), q (1-100, default 80). The image is
+   turned upright per its EXIF orientation. Renditions are cached by
+   contents and options, so repeat requests are served from storage.
+============================================================================ */
+const getImage = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user?.id || null;
+  const options = parseImageOptions(req.query);
+
+  // 1. Get file metadata and check access
+  const { data: file, error } = await supabase
+    .from("nodes")
+    .select(
+      "id, owner_id, type, name, mime_type, parent_id, path, size_bytes, checksum_sha256"
+    )
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error || !file) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "File not found",
+      errorCode: "FILE_NOT_FOUND",
+    });
+  }
+
+  await assertRole(
+    file,
+    userId,
+    "read",
+    "You do not have permission to access this file"
+  );
+
+  if (file.type !== "file" || previewKind(file.mime_type) !== "image") {
+    throw new ApiError({
+      statusCode: 415,
+      message: "Only images can be transformed",
+      errorCode: "UNSUPPORTED_MEDIA_TYPE",
+    });
+  }
+
+  const key = renditionKey(file, options);
+  const rendition = {
+    path: key,
+    name: renditionName(file.name, options.format),
+    mimeType: IMAGE_FORMATS[options.format],
+    disposition: "inline",
+  };
+
+  // 2. Serve the cached rendition when there is one
+  try {
+    return await sendStoredFile(req, res, next, rendition);
+  } catch (err) {
+    if (!(err instanceof ApiError) || err.statusCode !== 404) throw err;
+  }
+
+  // 3. Otherwise render it, and serve it from storage if it was cached
+  const { stored, data } = await createRendition(file, options, key);
+  if (stored) return sendStoredFile(req, res, next, rendition);
+
+  res.setHeader("Content-Type", rendition.mimeType);
+  res.setHeader("Content-Length", data.length);
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(rendition.name, {
+      type: applyContentSecurity(res, rendition.mimeType, "inline"),
+    })
+  );
+  res.setHeader("Cache-Control", "private, no-cache");
+  return res.status(200).send(data);
+});
+
+export { getImage };
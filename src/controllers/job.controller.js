@@ -0,0 +1,16 @@
+import { findJob } from "../services/job.service.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/* ============================================================================
+   GET /jobs/:id - Status and progress of a background job
+============================================================================ */
+const getJob = asyncHandler(async (req, res) => {
+  const job = await findJob(req.params.id, req.user?.id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { job }, "Job fetched successfully"));
+});
+
+export { getJob };
@@ -0,0 +1,153 @@
+import { supabase } from "../utils/supabaseClient.js";
+import {
+  thumbnailKey,
+  previewKind,
+  pickThumbnailSize,
+  findPreview,
+} from "../services/preview.service.js";
+import { sendStoredFile } from "../utils/sendStoredFile.js";
+import { assertRole } from "../services/permission.service.js";
+import ApiError from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const DEFAULT_THUMBNAIL_SIZE = 256;
+
+// Lines of a text snippet drawn on its placeholder
+const SNIPPET_LINES = 14;
+const SNIPPET_LINE_CHARS = 48;
+
+const PLACEHOLDER_COLORS = {
+  image: "#0f9d58",
+  pdf: "#db4437",
+  text: "#4285f4",
+};
+
+const escapeXml = (text) =>
+  text.replace(
+    /[<>&"']/g,
+    (c) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[c]
+  );
+
+// SVG stand-in for a file without a thumbnail: the start of its text when
+// there's a snippet, otherwise an icon labelled with its extension
+function placeholderSvg({ name, mimeType, snippet, size }) {
+  const color = PLACEHOLDER_COLORS[previewKind(mimeType)] || "#5f6368";
+  const dot = name.lastIndexOf(".");
+  const label = dot > 0 ? name.slice(dot + 1, dot + 5).toUpperCase() : "";
+
+  let body;
+  if (snippet) {
+    const lines = snippet
+      .split("\n")
+      .slice(0, SNIPPET_LINES)
+      .map(
+        (line, i) =>
+          `<text x="8" y="${18 + i * 17}">${escapeXml(line.slice(0, SNIPPET_LINE_CHARS))}</text>`
+      );
+    body = `<g font-family="monospace" font-size="12" fill="#3c4043">${lines.join("")}</g>`;
+  } else {
+    body =
+      `<rect x="78" y="56" width="100" height="130" rx="8" fill="${color}"/>` +
+      `<text x="128" y="132" font-family="sans-serif" font-size="26" font-weight="bold" fill="#fff" text-anchor="middle">${escapeXml(label)}</text>`;
+  }
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 256 256">` +
+    `<rect width="256" height="256" fill="#f1f3f4"/>${body}</svg>`
+  );
+}
+
+/* ============================================================================
+   GET /files/:id/thumbnail - Thumbnail of a file
+   Query: size (longest side in pixels, default 256; served from the nearest
+   generated size). Files without a thumbnail yet, or that don't get one,
+   come back as an SVG placeholder; X-Preview-Status tells which.
+============================================================================ */
+const getThumbnail = asyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user?.id || null;
+  const requested =
+    req.query.size === undefined
+      ? DEFAULT_THUMBNAIL_SIZE
+      : Number(req.query.size);
+
+  if (!Number.isInteger(requested) || requested <= 0) {
+    throw new ApiError({
+      statusCode: 422,
+      message: "size must be a positive number of pixels",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  // 1. Get file metadata and check access
+  const { data: file, error } = await supabase
+    .from("nodes")
+    .select("id, owner_id, type, name, mime_type, parent_id, path")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error || !file) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "File not found",
+      errorCode: "FILE_NOT_FOUND",
+    });
+  }
+
+  await assertRole(
+    file,
+    userId,
+    "read",
+    "You do not have permission to access this file"
+  );
+
+  if (file.type !== "file") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Only files have thumbnails",
+      errorCode: "INVALID_NODE_TYPE",
+    });
+  }
+
+  // 2. Serve the generated thumbnail when there is one
+  const preview = file.path ? await findPreview(file.path) : null;
+  const size = pickThumbnailSize(requested);
+
+  if (preview?.thumbnail_sizes?.includes(size)) {
+    try {
+      res.setHeader("X-Preview-Status", preview.status);
+      return await sendStoredFile(req, res, next, {
+        path: thumbnailKey(file.path, size),
+        name: `${file.name}.webp`,
+        mimeType: "image/webp",
+        disposition: "inline",
+      });
+    } catch (err) {
+      // The thumbnail object went missing: fall back to the placeholder
+      if (!(err instanceof ApiError) || err.statusCode !== 404) throw err;
+    }
+  }
+
+  // 3. Otherwise a placeholder
+  res.setHeader("X-Preview-Status", preview?.status ?? "none");
+  res.setHeader("Content-Type", "image/svg+xml");
+  res.setHeader("Cache-Control", "private, no-cache");
+  res.setHeader("Content-Security-Policy", "default-src 'none'");
+  return res.status(200).send(
+    placeholderSvg({
+      name: file.name,
+      mimeType: preview?.mime_type ?? file.mime_type,
+      snippet: preview?.snippet,
+      size,
+    })
+  );
+});
+
+export { getThumbnail };
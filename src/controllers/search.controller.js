@@ -1,14 +1,19 @@
 // controllers/search.controller.js
 import { supabase } from "../utils/supabaseClient.js";
+import { assertRole } from "../services/permission.service.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 
+// Largest page of search results
+const MAX_PAGE_SIZE = 100;
+
 /* ============================================================================
    GET /search - Global search files and folders
    Query parameters:
    - q (string): search keyword
    - type (optional: "file" | "folder"): filter by type
+   - page, limit (optional): pagination (20 per page, at most 100)
 ============================================================================ */
 const searchNodes = asyncHandler(async (req, res) => {
   const userId = req.user?.id;
@@ -30,23 +35,22 @@ const searchNodes = asyncHandler(async (req, res) => {
     });
   }
 
-  // Build base query
-  let query = supabase
-    .from("nodes")
-    .select(
-      `id, name, type, owner_id, mime_type, size_bytes, parent_id, created_at, updated_at`
-    )
-    .or(`name.ilike.%${q}%,owner_id.eq.${userId},shared_with.eq.${userId}`)
-    .is("deleted_at", null);
-
-  // Filter by type if provided
-  if (type === "file" || type === "folder") {
-    query = query.eq("type", type);
-  }
-
-  // Execute query
-  const { data: nodes, error } = await query.order("updated_at", {
-    ascending: false,
+  // Pagination params
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    Math.max(1, parseInt(req.query.limit, 10) || 20),
+    MAX_PAGE_SIZE
+  );
+  const offset = (page - 1) * limit;
+
+  // 1. Match names among the nodes the user owns or can reach through a
+  // share, in the database, with the user's role on each
+  const { data: matches, error } = await supabase.rpc("search_nodes", {
+    p_user_id: userId,
+    p_query: q.trim(),
+    p_type: type === "file" || type === "folder" ? type : null,
+    p_limit: limit,
+    p_offset: offset,
   });
 
   if (error) {
@@ -57,20 +61,50 @@ const searchNodes = asyncHandler(async (req, res) => {
     });
   }
 
-  // Only include nodes user owns or has permission to view
-  const accessibleNodes = nodes.filter(
-    (node) => node.owner_id === userId // TODO: extend later for shared permissions
-  );
-
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(
-        200,
-        { results: accessibleNodes },
-        `Search results for "${q}" fetched successfully`
+  // 2. Fetch the page's nodes, keeping the search order
+  let nodes = [];
+  if (matches.length > 0) {
+    const { data, error: fetchError } = await supabase
+      .from("nodes")
+      .select(
+        `id, name, type, owner_id, mime_type, size_bytes, parent_id, created_at, updated_at`
       )
-    );
+      .in(
+        "id",
+        matches.map((m) => m.id)
+      );
+
+    if (fetchError) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Error fetching search results",
+        errorCode: "DB_QUERY_FAILED",
+      });
+    }
+    nodes = data;
+  }
+
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const accessibleNodes = matches
+    .filter((m) => byId.has(m.id))
+    .map((m) => ({ ...byId.get(m.id), role: m.role }));
+  const total = Number(matches[0]?.total_count ?? 0);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        results: accessibleNodes,
+        pagination: {
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        },
+      },
+      `Search results for "${q}" fetched successfully`
+    )
+  );
 });
 
 /* ============================================================================
@@ -179,7 +213,7 @@ const markFileAsStarred = asyncHandler(async (req, res) => {
   // 1. Verify the file exists and is not deleted
   const { data: file, error: fileError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type, deleted_at")
+    .select("id, owner_id, type, parent_id, deleted_at")
     .eq("id", fileId)
     .single();
 
@@ -199,6 +233,13 @@ const markFileAsStarred = asyncHandler(async (req, res) => {
     });
   }
 
+  await assertRole(
+    file,
+    userId,
+    "read",
+    "You do not have permission to access this file"
+  );
+
   // 2. Check if already starred
   const { data: existingStar } = await supabase
     .from("stars")
@@ -0,0 +1,329 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { resolveRoles, resolveRole } from "../services/permission.service.js";
+import { assertParentFolder } from "../services/node.service.js";
+import { withPreviews } from "../services/preview.service.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const SHARED_ITEM_COLUMNS =
+  "id, owner_id, type, name, mime_type, size_bytes, parent_id, path, created_at, updated_at, role, shared_by, shared_at, hidden_at";
+
+// ?sort= on the shared-with-me listing
+const SHARED_SORTS = ["shared_at", "name", "updated_at", "size_bytes"];
+
+// An item shared directly with the user
+async function findSharedItem(id, userId) {
+  const { data: item, error } = await supabase
+    .from("shared_items")
+    .select("id, hidden_at")
+    .eq("shared_with", userId)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch shared item",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  if (!item) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Item not found among items shared with you",
+      errorCode: "SHARE_NOT_FOUND",
+    });
+  }
+
+  return item;
+}
+
+// id -> { id, username, full_name } for the given users
+async function findUsers(ids) {
+  if (ids.length === 0) return new Map();
+
+  const { data: users, error } = await supabase
+    .from("users")
+    .select("id, username, full_name")
+    .in("id", ids);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch users",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return new Map(users.map((u) => [u.id, u]));
+}
+
+/* ============================================================================
+   GET /shared-with-me - Items other users shared with you
+   Query: page, limit, sort (shared_at | name | updated_at | size_bytes,
+   default shared_at), order (asc | desc; default desc for shared_at,
+   asc otherwise), type (file | folder), hidden (true: only hidden items)
+============================================================================ */
+const listSharedWithMe = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { sort = "shared_at", type, hidden } = req.query;
+  const order = req.query.order || (sort === "shared_at" ? "desc" : "asc");
+
+  if (!SHARED_SORTS.includes(sort)) {
+    throw new ApiError({
+      statusCode: 422,
+      message: `sort must be one of: ${SHARED_SORTS.join(", ")}`,
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (order !== "asc" && order !== "desc") {
+    throw new ApiError({
+      statusCode: 422,
+      message: "order must be asc or desc",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  // Pagination params
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const offset = (page - 1) * limit;
+
+  // 1. Query the items shared directly with the user (one row per item)
+  let query = supabase
+    .from("shared_items")
+    .select(SHARED_ITEM_COLUMNS, { count: "exact" })
+    .eq("shared_with", userId);
+
+  query =
+    hidden === "true"
+      ? query.not("hidden_at", "is", null)
+      : query.is("hidden_at", null);
+
+  if (type === "file" || type === "folder") {
+    query = query.eq("type", type);
+  }
+
+  const {
+    data: items,
+    error,
+    count,
+  } = await query
+    .order(sort, { ascending: order === "asc" })
+    .order("id", { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch items shared with you",
+      errorCode: "DB_QUERY_FAILED",
+    });
+  }
+
+  // 2. The user's effective role (a shared folder above can grant more),
+  //    and who owns and who shared each item
+  const roles = await resolveRoles(items, userId);
+  const users = await findUsers([
+    ...new Set(items.flatMap((i) => [i.owner_id, i.shared_by]).filter(Boolean)),
+  ]);
+
+  const shared = items.map(
+    ({ owner_id, shared_by, hidden_at, role, ...item }) => ({
+      ...item,
+      role: roles.get(item.id) || role,
+      owner: users.get(owner_id) || null,
+      shared_by: users.get(shared_by) || null,
+      hidden: Boolean(hidden_at),
+    })
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        items: await withPreviews(shared),
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      },
+      "Items shared with you fetched successfully"
+    )
+  );
+});
+
+/* ============================================================================
+   POST /shared-with-me/:id/hide - Hide a shared item from the listing
+   The share itself stays: the item is still accessible
+============================================================================ */
+const hideSharedItem = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
+
+  await findSharedItem(id, userId);
+
+  const { error } = await supabase
+    .from("hidden_shares")
+    .upsert([{ user_id: userId, node_id: id }], {
+      onConflict: "user_id,node_id",
+      ignoreDuplicates: true,
+    });
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to hide item",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { id, hidden: true }, "Item hidden"));
+});
+
+/* ============================================================================
+   DELETE /shared-with-me/:id/hide - Show a hidden shared item again
+============================================================================ */
+const unhideSharedItem = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
+
+  await findSharedItem(id, userId);
+
+  const { error } = await supabase
+    .from("hidden_shares")
+    .delete()
+    .eq("user_id", userId)
+    .eq("node_id", id);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to unhide item",
+      errorCode: "DB_DELETE_FAILED",
+    });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { id, hidden: false }, "Item unhidden"));
+});
+
+/* ============================================================================
+   POST /shared-with-me/:id/shortcut - Add a shared item to my drive
+   Body: parent_id (optional, a folder you can write to; default root).
+   Adding it again moves the shortcut.
+============================================================================ */
+const addShortcut = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
+  const { parent_id = null } = req.body;
+
+  // 1. The target must be a live item shared with the user
+  const { data: target, error: targetError } = await supabase
+    .from("nodes")
+    .select("id, owner_id, type, name, parent_id, deleted_at")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (targetError || !target || target.deleted_at) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Item not found",
+      errorCode: "NODE_NOT_FOUND",
+    });
+  }
+
+  const role = await resolveRole(target, userId);
+
+  if (!role) {
+    throw new ApiError({
+      statusCode: 403,
+      message: "You do not have access to this item",
+      errorCode: "ACCESS_DENIED",
+    });
+  }
+
+  if (role === "owner") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Your own items are already in your drive",
+      errorCode: "INVALID_TARGET",
+    });
+  }
+
+  // 2. Validate where it goes
+  await assertParentFolder(parent_id, userId);
+
+  // 3. One shortcut per item: adding it again moves it
+  const { data: shortcut, error } = await supabase
+    .from("shortcuts")
+    .upsert([{ owner_id: userId, target_id: id, parent_id }], {
+      onConflict: "owner_id,target_id",
+    })
+    .select("id, target_id, parent_id, created_at")
+    .single();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to add shortcut",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { shortcut }, "Shortcut added to your drive"));
+});
+
+/* ============================================================================
+   DELETE /shared-with-me/:id/shortcut - Remove an item from my drive
+   Only the shortcut goes; the item is still shared with you
+============================================================================ */
+const removeShortcut = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
+
+  const { data: removed, error } = await supabase
+    .from("shortcuts")
+    .delete()
+    .eq("owner_id", userId)
+    .eq("target_id", id)
+    .select("id");
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to remove shortcut",
+      errorCode: "DB_DELETE_FAILED",
+    });
+  }
+
+  if (removed.length === 0) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "No shortcut to this item in your drive",
+      errorCode: "SHORTCUT_NOT_FOUND",
+    });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { id }, "Shortcut removed from your drive"));
+});
+
+export {
+  listSharedWithMe,
+  hideSharedItem,
+  unhideSharedItem,
+  addShortcut,
+  removeShortcut,
+};
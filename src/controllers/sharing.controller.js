@@ -1,447 +1,441 @@
 import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { assertRole, parseShareRole } from "../services/permission.service.js";
+import {
+  parseShareMessage,
+  resolveRecipients,
+  grantPermissions,
+  createInvitations,
+  notifyRecipients,
+} from "../services/share.service.js";
+import {
+  LINK_COLUMNS,
+  parseLinkOptions,
+  serializeLink,
+  findLinkByToken,
+  unlockLink,
+  assertLinkUsable,
+  claimDownload,
+  hasResumeTicket,
+  grantResumeTicket,
+} from "../services/publicLink.service.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import logger from "../utils/logger.js";
+import { sendStoredFile } from "../utils/sendStoredFile.js";
+import { publicLinkConfig } from "../config/index.js";
 import crypto from "crypto";
 
-/* ============================================================================
-   POST /files/:id/share - Share file with specific users
-============================================================================ */
-const shareFile = asyncHandler(async (req, res) => {
-  const userId = req.user?.id; // logged-in user (file owner)
-  const { id } = req.params; // file ID
-  const { users } = req.body; // array of { user_id, permission } objects
+const NODE_TYPES = {
+  file: { label: "File", notFound: "FILE_NOT_FOUND" },
+  folder: { label: "Folder", notFound: "FOLDER_NOT_FOUND" },
+};
 
-  if (!userId) {
-    throw new ApiError({
-      statusCode: 401,
-      message: "Unauthorized",
-      errorCode: "UNAUTHORIZED",
-    });
-  }
+// Lifetime bounds for signed download URLs, in seconds
+const SIGNED_URL_MIN_EXPIRY = 60;
+const SIGNED_URL_MAX_EXPIRY = 7 * 24 * 60 * 60;
 
-  if (!Array.isArray(users) || users.length === 0) {
-    throw new ApiError({
-      statusCode: 422,
-      message: "Users array with permissions is required",
-      errorCode: "VALIDATION_ERROR",
-    });
-  }
+// Fetch the `type` node `id` for sharing, which only its owner may manage
+async function findOwnedNode(id, userId, type) {
+  const { label, notFound } = NODE_TYPES[type];
 
-  // 1. Verify file exists and belongs to current user
-  const { data: file, error: fetchError } = await supabase
+  const { data: node, error } = await supabase
     .from("nodes")
-    .select("id, owner_id, type")
+    .select("id, owner_id, type, name")
     .eq("id", id)
     .single();
 
-  if (fetchError || !file) {
+  if (error || !node) {
     throw new ApiError({
       statusCode: 404,
-      message: "File not found",
-      errorCode: "FILE_NOT_FOUND",
+      message: `${label} not found`,
+      errorCode: notFound,
     });
   }
 
-  if (file.type !== "file") {
+  if (node.type !== type) {
     throw new ApiError({
       statusCode: 400,
-      message: "Target is not a file",
+      message: `Target is not a ${type}`,
       errorCode: "INVALID_NODE_TYPE",
     });
   }
 
-  if (file.owner_id !== userId) {
+  if (node.owner_id !== userId) {
     throw new ApiError({
       statusCode: 403,
-      message: "You do not own this file",
+      message: `You do not own this ${type}`,
       errorCode: "ACCESS_DENIED",
     });
   }
 
-  // 2. Insert sharing permissions
-  const permissionEntries = users.map((u) => ({
-    node_id: id,
-    shared_with: u.user_id,
-    permission: u.permission, // e.g. "read" | "write" | "comment"
-    granted_by: userId,
-  }));
-
-  const { data, error: insertError } = await supabase
-    .from("permissions")
-    .insert(permissionEntries)
-    .select("id, node_id, shared_with, permission, created_at");
-
-  if (insertError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to share file",
-      errorCode: "DB_INSERT_FAILED",
-    });
-  }
+  return node;
+}
 
-  return res
-    .status(201)
-    .json(
-      new ApiResponse(201, { permissions: data }, "File shared successfully")
-    );
-});
+function ownerLocked() {
+  return new ApiError({
+    statusCode: 422,
+    message: "The owner's access cannot be changed or removed",
+    errorCode: "CANNOT_MODIFY_OWNER",
+  });
+}
 
 /* ============================================================================
+   POST /files/:id/share   - Share file with specific users
    POST /folders/:id/share - Share folder with specific users
 ============================================================================ */
-const shareFolder = asyncHandler(async (req, res) => {
-  const userId = req.user?.id; // logged-in user
-  const { id } = req.params; // folder ID
-  const { users } = req.body; // array of { user_id, permission }
-
-  if (!userId) {
-    throw new ApiError({
-      statusCode: 401,
-      message: "Unauthorized",
-      errorCode: "UNAUTHORIZED",
-    });
-  }
-
-  if (!Array.isArray(users) || users.length === 0) {
-    throw new ApiError({
-      statusCode: 422,
-      message: "Users array with permissions is required",
-      errorCode: "VALIDATION_ERROR",
-    });
-  }
-
-  // 1. Verify folder exists and belongs to user
-  const { data: folder, error: fetchError } = await supabase
-    .from("nodes")
-    .select("id, owner_id, type")
-    .eq("id", id)
-    .single();
+const shareNode = (type) =>
+  asyncHandler(async (req, res) => {
+    const userId = req.user?.id; // logged-in user (owner)
+    const { id } = req.params; // file or folder ID
+    // array of { user_id | email | username, permission }, plus an optional
+    // message for the notification (notify: false to send none)
+    const { users, notify = true } = req.body;
+
+    if (!userId) {
+      throw new ApiError({
+        statusCode: 401,
+        message: "Unauthorized",
+        errorCode: "UNAUTHORIZED",
+      });
+    }
 
-  if (fetchError || !folder) {
-    throw new ApiError({
-      statusCode: 404,
-      message: "Folder not found",
-      errorCode: "FOLDER_NOT_FOUND",
-    });
-  }
+    if (!Array.isArray(users) || users.length === 0) {
+      throw new ApiError({
+        statusCode: 422,
+        message: "Users array with permissions is required",
+        errorCode: "VALIDATION_ERROR",
+      });
+    }
 
-  if (folder.type !== "folder") {
-    throw new ApiError({
-      statusCode: 400,
-      message: "Target is not a folder",
-      errorCode: "INVALID_NODE_TYPE",
-    });
-  }
+    const message = parseShareMessage(req.body.message);
 
-  if (folder.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not own this folder",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+    // 1. Verify the item exists and belongs to current user
+    const node = await findOwnedNode(id, userId, type);
 
-  // 2. Insert permissions
-  const permissionEntries = users.map((u) => ({
-    node_id: id,
-    shared_with: u.user_id,
-    permission: u.permission, // "read" | "write" | "comment"
-    granted_by: userId,
-  }));
+    // 2. Resolve recipients; emails without an account get an invitation.
+    // Sharing with someone again updates their role.
+    const { users: recipients, invitees } = await resolveRecipients(
+      users,
+      userId
+    );
+    const permissions = await grantPermissions(node, recipients, userId);
+    const invitations = await createInvitations(
+      node,
+      invitees,
+      userId,
+      message
+    );
 
-  const { data, error: insertError } = await supabase
-    .from("permissions")
-    .insert(permissionEntries)
-    .select("id, node_id, shared_with, permission, created_at");
+    // 3. Let the recipients know (in the background)
+    if (notify) {
+      notifyRecipients({
+        sharerId: userId,
+        node,
+        users: recipients,
+        invitees,
+        message,
+      }).catch((err) =>
+        logger.warn(`Failed to send share notifications: ${err.message}`)
+      );
+    }
 
-  if (insertError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to share folder",
-      errorCode: "DB_INSERT_FAILED",
-    });
-  }
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          { permissions, invitations },
+          `${NODE_TYPES[type].label} shared successfully`
+        )
+      );
+  });
 
-  return res
-    .status(201)
-    .json(
-      new ApiResponse(201, { permissions: data }, "Folder shared successfully")
-    );
-});
+const shareFile = shareNode("file");
+const shareFolder = shareNode("folder");
 
 /* ============================================================================
-   GET /files/:id/permissions - Get all permissions for a file
+   GET /files/:id/permissions   - Get all permissions for a file
+   GET /folders/:id/permissions - Get all permissions for a folder
 ============================================================================ */
-const getFilePermissions = asyncHandler(async (req, res) => {
-  const userId = req.user?.id; // logged-in user
-  const { id } = req.params; // file ID
-
-  if (!userId) {
-    throw new ApiError({
-      statusCode: 401,
-      message: "Unauthorized",
-      errorCode: "UNAUTHORIZED",
-    });
-  }
-
-  // 1. Verify file exists
-  const { data: file, error: fetchError } = await supabase
-    .from("nodes")
-    .select("id, owner_id, type")
-    .eq("id", id)
-    .single();
+const getPermissions = (type) =>
+  asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    const { id } = req.params;
+
+    if (!userId) {
+      throw new ApiError({
+        statusCode: 401,
+        message: "Unauthorized",
+        errorCode: "UNAUTHORIZED",
+      });
+    }
 
-  if (fetchError || !file) {
-    throw new ApiError({
-      statusCode: 404,
-      message: "File not found",
-      errorCode: "FILE_NOT_FOUND",
-    });
-  }
+    // 1. Only the owner can see who has access
+    await findOwnedNode(id, userId, type);
+
+    // 2. Fetch permissions and pending invitations
+    const [
+      { data: permissions, error: permError },
+      { data: invitations, error: inviteError },
+    ] = await Promise.all([
+      supabase
+        .from("permissions")
+        .select(
+          `
+          id,
+          shared_with,
+          permission,
+          granted_by,
+          created_at,
+          updated_at,
+          user:shared_with (id, email, username, full_name)
+          `
+        )
+        .eq("node_id", id)
+        .order("created_at", { ascending: true }),
+      supabase
+        .from("share_invitations")
+        .select("id, email, permission, invited_by, created_at")
+        .eq("node_id", id)
+        .order("created_at", { ascending: true }),
+    ]);
+
+    if (permError || inviteError) {
+      throw new ApiError({
+        statusCode: 500,
+        message: `Failed to fetch ${type} permissions`,
+        errorCode: "DB_QUERY_FAILED",
+      });
+    }
 
-  if (file.type !== "file") {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { [`${type}Id`]: id, permissions, invitations },
+          `${NODE_TYPES[type].label} permissions retrieved successfully`
+        )
+      );
+  });
+
+const getFilePermissions = getPermissions("file");
+const getFolderPermissions = getPermissions("folder");
+
+// Body of a permissions update: { permissionId, permission } for one grant,
+// or { permissions: [...] } of those (or of { user_id, permission }) to
+// change several at once
+function parsePermissionUpdates(body) {
+  const batch = Array.isArray(body?.permissions);
+  const entries = batch ? body.permissions : [body || {}];
+
+  if (entries.length === 0) {
     throw new ApiError({
-      statusCode: 400,
-      message: "Target is not a file",
-      errorCode: "INVALID_NODE_TYPE",
+      statusCode: 422,
+      message: "permissions must not be empty",
+      errorCode: "VALIDATION_ERROR",
     });
   }
 
-  // ✅ Only file owner can fetch permissions
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have permission to view this file’s permissions",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  const updates = entries.map((entry, i) => {
+    const field = batch ? `permissions[${i}]` : "body";
+    const { permissionId, user_id, permission } = entry || {};
 
-  // 2. Fetch permissions
-  const { data: permissions, error: permError } = await supabase
-    .from("permissions")
-    .select(
-      `
-      id,
-      shared_with,
-      permission,
-      created_at,
-      users:user_id (id, email, full_name)
-      `
-    )
-    .eq("node_id", id);
+    if (Boolean(permissionId) === Boolean(user_id)) {
+      throw new ApiError({
+        statusCode: 422,
+        message: batch
+          ? `${field} must have exactly one of permissionId or user_id`
+          : "Permission ID and new permission are required",
+        errorCode: "VALIDATION_ERROR",
+      });
+    }
 
-  if (permError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to fetch file permissions",
-      errorCode: "DB_QUERY_FAILED",
-    });
-  }
+    return {
+      permissionId,
+      user_id,
+      permission: parseShareRole(
+        permission,
+        batch ? `${field}.permission` : "permission"
+      ),
+    };
+  });
 
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(
-        200,
-        { fileId: id, permissions },
-        "File permissions retrieved successfully"
-      )
-    );
-});
+  return { batch, updates };
+}
 
 /* ============================================================================
-   PUT /files/:id/permissions - Update file permissions
+   PUT /files/:id/permissions   - Update file permissions
+   PUT /folders/:id/permissions - Update folder permissions
 ============================================================================ */
-const updateFilePermissions = asyncHandler(async (req, res) => {
-  const userId = req.user?.id; // logged-in user
-  const { id } = req.params; // file ID
-  const { permissionId, permission } = req.body; // new permission level
-
-  if (!userId) {
-    throw new ApiError({
-      statusCode: 401,
-      message: "Unauthorized",
-      errorCode: "UNAUTHORIZED",
-    });
-  }
-
-  if (!permissionId || !permission) {
-    throw new ApiError({
-      statusCode: 422,
-      message: "Permission ID and new permission are required",
-      errorCode: "VALIDATION_ERROR",
-    });
-  }
-
-  // 1. Verify file exists
-  const { data: file, error: fetchError } = await supabase
-    .from("nodes")
-    .select("id, owner_id, type")
-    .eq("id", id)
-    .single();
+const updatePermissions = (type) =>
+  asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    const { id } = req.params;
+
+    if (!userId) {
+      throw new ApiError({
+        statusCode: 401,
+        message: "Unauthorized",
+        errorCode: "UNAUTHORIZED",
+      });
+    }
 
-  if (fetchError || !file) {
-    throw new ApiError({
-      statusCode: 404,
-      message: "File not found",
-      errorCode: "FILE_NOT_FOUND",
-    });
-  }
+    const { batch, updates } = parsePermissionUpdates(req.body);
 
-  if (file.type !== "file") {
-    throw new ApiError({
-      statusCode: 400,
-      message: "Target is not a file",
-      errorCode: "INVALID_NODE_TYPE",
-    });
-  }
-
-  // ✅ Only owner can update permissions
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You cannot update permissions for this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+    // 1. Only the owner can change who has access
+    const node = await findOwnedNode(id, userId, type);
 
-  // 2. Check if permission entry exists
-  const { data: existingPermission, error: checkError } = await supabase
-    .from("permissions")
-    .select("id, node_id")
-    .eq("id", permissionId)
-    .eq("node_id", id)
-    .single();
+    // 2. Match every update to an existing grant on this item
+    const { data: grants, error: fetchError } = await supabase
+      .from("permissions")
+      .select("id, shared_with")
+      .eq("node_id", id);
 
-  if (checkError || !existingPermission) {
-    throw new ApiError({
-      statusCode: 404,
-      message: "Permission not found for this file",
-      errorCode: "PERMISSION_NOT_FOUND",
-    });
-  }
+    if (fetchError) {
+      throw new ApiError({
+        statusCode: 500,
+        message: `Failed to fetch ${type} permissions`,
+        errorCode: "DB_QUERY_FAILED",
+      });
+    }
 
-  // 3. Update permission
-  const { data: updatedPermission, error: updateError } = await supabase
-    .from("permissions")
-    .update({
-      permission,
-      updated_at: new Date().toISOString(),
-    })
-    .eq("id", permissionId)
-    .select("id, permission, updated_at")
-    .single();
+    const changes = new Map(); // grantee -> role, last update wins
+    const missing = [];
+    for (const { permissionId, user_id, permission } of updates) {
+      if (user_id === node.owner_id) throw ownerLocked();
+
+      const grant = grants.find((g) =>
+        permissionId ? g.id === permissionId : g.shared_with === user_id
+      );
+      if (!grant) {
+        missing.push(permissionId || user_id);
+        continue;
+      }
+      if (grant.shared_with === node.owner_id) throw ownerLocked();
+
+      changes.set(grant.shared_with, permission);
+    }
 
-  if (updateError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to update permission",
-      errorCode: "DB_UPDATE_FAILED",
-    });
-  }
+    if (missing.length > 0) {
+      throw new ApiError({
+        statusCode: 404,
+        message: `Permission not found for this ${type}: ${missing.join(", ")}`,
+        errorCode: "PERMISSION_NOT_FOUND",
+      });
+    }
 
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(
-        200,
-        { permission: updatedPermission },
-        "Permission updated successfully"
+    // 3. Apply all changes in one statement
+    const updatedAt = new Date().toISOString();
+    const { data: updated, error: updateError } = await supabase
+      .from("permissions")
+      .upsert(
+        [...changes].map(([sharedWith, permission]) => ({
+          node_id: id,
+          shared_with: sharedWith,
+          permission,
+          updated_at: updatedAt,
+        })),
+        { onConflict: "node_id,shared_with" }
       )
-    );
-});
+      .select("id, shared_with, permission, updated_at");
+
+    if (updateError) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to update permission",
+        errorCode: "DB_UPDATE_FAILED",
+      });
+    }
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          batch ? { permissions: updated } : { permission: updated[0] },
+          batch
+            ? "Permissions updated successfully"
+            : "Permission updated successfully"
+        )
+      );
+  });
+
+const updateFilePermissions = updatePermissions("file");
+const updateFolderPermissions = updatePermissions("folder");
 
 /* ============================================================================
-   DELETE /files/:id/permissions/:permissionId - Remove specific permission
+   DELETE /files/:id/permissions/:permissionId   - Remove file permission
+   DELETE /folders/:id/permissions/:permissionId - Remove folder permission
 ============================================================================ */
-const removeFilePermission = asyncHandler(async (req, res) => {
-  const userId = req.user?.id; // logged-in user
-  const { id, permissionId } = req.params; // file ID & permission ID
-
-  if (!userId) {
-    throw new ApiError({
-      statusCode: 401,
-      message: "Unauthorized",
-      errorCode: "UNAUTHORIZED",
-    });
-  }
-
-  // 1. Verify file exists
-  const { data: file, error: fileError } = await supabase
-    .from("nodes")
-    .select("id, owner_id, type")
-    .eq("id", id)
-    .single();
-
-  if (fileError || !file) {
-    throw new ApiError({
-      statusCode: 404,
-      message: "File not found",
-      errorCode: "FILE_NOT_FOUND",
-    });
-  }
+const removePermission = (type) =>
+  asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+    const { id, permissionId } = req.params;
+
+    if (!userId) {
+      throw new ApiError({
+        statusCode: 401,
+        message: "Unauthorized",
+        errorCode: "UNAUTHORIZED",
+      });
+    }
 
-  if (file.type !== "file") {
-    throw new ApiError({
-      statusCode: 400,
-      message: "Target is not a file",
-      errorCode: "INVALID_NODE_TYPE",
-    });
-  }
+    // 1. Only the owner can remove access
+    const node = await findOwnedNode(id, userId, type);
+
+    // 2. Check if permission exists for this item
+    const { data: existingPermission, error: permError } = await supabase
+      .from("permissions")
+      .select("id, shared_with")
+      .eq("id", permissionId)
+      .eq("node_id", id)
+      .single();
+
+    if (permError || !existingPermission) {
+      throw new ApiError({
+        statusCode: 404,
+        message: `Permission not found for this ${type}`,
+        errorCode: "PERMISSION_NOT_FOUND",
+      });
+    }
 
-  // ✅ Only owner can remove permissions
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You cannot remove permissions from this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+    if (existingPermission.shared_with === node.owner_id) throw ownerLocked();
 
-  // 2. Check if permission exists for this file
-  const { data: existingPermission, error: permError } = await supabase
-    .from("permissions")
-    .select("id")
-    .eq("id", permissionId)
-    .eq("node_id", id)
-    .single();
+    // 3. Delete the permission entry
+    const { error: deleteError } = await supabase
+      .from("permissions")
+      .delete()
+      .eq("id", permissionId);
 
-  if (permError || !existingPermission) {
-    throw new ApiError({
-      statusCode: 404,
-      message: "Permission not found for this file",
-      errorCode: "PERMISSION_NOT_FOUND",
-    });
-  }
+    if (deleteError) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to remove permission",
+        errorCode: "DB_DELETE_FAILED",
+      });
+    }
 
-  // 3. Delete the permission entry
-  const { error: deleteError } = await supabase
-    .from("permissions")
-    .delete()
-    .eq("id", permissionId);
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { removedPermissionId: permissionId },
+          "Permission removed successfully"
+        )
+      );
+  });
 
-  if (deleteError) {
-    throw new ApiError({
-      statusCode: 500,
-      message: "Failed to remove permission",
-      errorCode: "DB_DELETE_FAILED",
-    });
-  }
-
-  return res
-    .status(200)
-    .json(
-      new ApiResponse(
-        200,
-        { removedPermissionId: permissionId },
-        "Permission removed successfully"
-      )
-    );
-});
+const removeFilePermission = removePermission("file");
+const removeFolderPermission = removePermission("folder");
 
 /* ============================================================================
    POST /files/:id/public-link - Generate public sharing link
+   Optional { expiresAt, password, maxDownloads, allowDownload }; for an
+   existing link, any options given are applied to it.
 ============================================================================ */
 const generatePublicLink = asyncHandler(async (req, res) => {
   const userId = req.user?.id; // logged-in user
@@ -455,56 +449,29 @@ const generatePublicLink = asyncHandler(async (req, res) => {
     });
   }
 
-  // 1. Check if file exists
-  const { data: file, error: fileError } = await supabase
-    .from("nodes")
-    .select("id, owner_id, type")
-    .eq("id", id)
-    .single();
+  const options = await parseLinkOptions(req.body);
 
-  if (fileError || !file) {
-    throw new ApiError({
-      statusCode: 404,
-      message: "File not found",
-      errorCode: "FILE_NOT_FOUND",
-    });
-  }
-
-  if (file.type !== "file") {
-    throw new ApiError({
-      statusCode: 400,
-      message: "Target is not a file",
-      errorCode: "INVALID_NODE_TYPE",
-    });
-  }
-
-  // ✅ Only owner can generate public link
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You cannot generate public links for this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
+  // 1. Only the owner can generate a public link
+  await findOwnedNode(id, userId, "file");
 
   // 2. Check if a link already exists
   const { data: existingLink } = await supabase
     .from("public_links")
-    .select("id, token, created_at")
+    .select(LINK_COLUMNS)
     .eq("node_id", id)
     .single();
 
   if (existingLink) {
-    return res.status(200).json(
-      new ApiResponse(
-        200,
-        {
-          token: existingLink.token,
-          url: `${process.env.APP_BASE_URL}/public/${existingLink.token}`,
-        },
-        "Public link already exists"
-      )
-    );
+    const link =
+      Object.keys(options).length > 0
+        ? await updateLink(existingLink, options)
+        : existingLink;
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, serializeLink(link), "Public link already exists")
+      );
   }
 
   // 3. Generate a random token
@@ -518,9 +485,10 @@ const generatePublicLink = asyncHandler(async (req, res) => {
         node_id: id,
         token,
         owner_id: userId,
+        ...options,
       },
     ])
-    .select("id, token, created_at")
+    .select(LINK_COLUMNS)
     .single();
 
   if (insertError) {
@@ -531,58 +499,105 @@ const generatePublicLink = asyncHandler(async (req, res) => {
     });
   }
 
-  return res.status(201).json(
-    new ApiResponse(
-      201,
-      {
-        token: newLink.token,
-        url: `${process.env.APP_BASE_URL}/public/${newLink.token}`,
-      },
-      "Public link generated successfully"
-    )
-  );
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        serializeLink(newLink),
+        "Public link generated successfully"
+      )
+    );
 });
 
+async function updateLink(link, options) {
+  const { data: updated, error } = await supabase
+    .from("public_links")
+    .update({ ...options, updated_at: new Date().toISOString() })
+    .eq("id", link.id)
+    .select(LINK_COLUMNS)
+    .single();
+
+  if (error || !updated) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to update public link",
+      errorCode: "DB_UPDATE_FAILED",
+    });
+  }
+
+  return updated;
+}
+
 /* ============================================================================
-   GET /public/:token - Access public file/folder
+   PATCH /files/:id/public-link - Change public link options
+   { expiresAt, password, maxDownloads, allowDownload }; null clears one
 ============================================================================ */
-const accessPublicResource = asyncHandler(async (req, res) => {
-  const { token } = req.params;
+const updatePublicLink = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const { id } = req.params;
 
-  if (!token || token.trim() === "") {
+  if (!userId) {
     throw new ApiError({
-      statusCode: 400,
-      message: "Token is required",
+      statusCode: 401,
+      message: "Unauthorized",
+      errorCode: "UNAUTHORIZED",
+    });
+  }
+
+  const options = await parseLinkOptions(req.body);
+  if (Object.keys(options).length === 0) {
+    throw new ApiError({
+      statusCode: 422,
+      message:
+        "Nothing to update (expected expiresAt, password, maxDownloads or allowDownload)",
       errorCode: "VALIDATION_ERROR",
     });
   }
 
-  // 1. Lookup token in `public_links`
-  const { data: publicLink, error: linkError } = await supabase
+  // 1. Only the owner can change the link
+  await findOwnedNode(id, userId, "file");
+
+  const { data: link } = await supabase
     .from("public_links")
-    .select("id, token, node_id, created_at")
-    .eq("token", token)
+    .select(LINK_COLUMNS)
+    .eq("node_id", id)
     .single();
 
-  if (linkError || !publicLink) {
+  if (!link) {
     throw new ApiError({
       statusCode: 404,
-      message: "Invalid or expired public link",
+      message: "This file has no public link",
       errorCode: "LINK_NOT_FOUND",
     });
   }
 
-  // 2. Fetch the file/folder metadata
-  const { data: node, error: nodeError } = await supabase
+  // 2. Apply the new options
+  const updated = await updateLink(link, options);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        serializeLink(updated),
+        "Public link updated successfully"
+      )
+    );
+});
+
+// The live node a public link points to
+async function findLinkedNode(link) {
+  const { data: node, error } = await supabase
     .from("nodes")
     .select(
-      "id, name, type, mime_type, size_bytes, parent_id, created_at, updated_at, path"
+      "id, name, type, mime_type, size_bytes, parent_id, created_at, updated_at, path, checksum_sha256, content_updated_at"
     )
-    .eq("id", publicLink.node_id)
+    .eq("id", link.node_id)
     .is("deleted_at", null)
     .single();
 
-  if (nodeError || !node) {
+  if (error || !node) {
     throw new ApiError({
       statusCode: 404,
       message: "Shared resource not found",
@@ -590,18 +605,34 @@ const accessPublicResource = asyncHandler(async (req, res) => {
     });
   }
 
-  // 3. If it’s a file, optionally generate signed URL for download
-  let signedUrl = null;
-  if (node.type === "file") {
-    const { data: signed } = await supabase.storage
-      .from("files")
-      .createSignedUrl(node.path, 60 * 60); // valid 1h
+  return node;
+}
 
-    if (signed?.signedUrl) {
-      signedUrl = signed.signedUrl;
-    }
+/* ============================================================================
+   GET /public/:token - Access public file/folder
+============================================================================ */
+const accessPublicResource = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  if (!token || token.trim() === "") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Token is required",
+      errorCode: "VALIDATION_ERROR",
+    });
   }
 
+  // 1. Lookup token in `public_links` and enforce its options
+  const publicLink = await findLinkByToken(token);
+  assertLinkUsable(req, publicLink);
+
+  // 2. Fetch the file/folder metadata
+  const { path, checksum_sha256, content_updated_at, ...node } =
+    await findLinkedNode(publicLink);
+
+  // 3. Files can be downloaded through the link unless it's view-only
+  const canDownload = node.type === "file" && publicLink.allow_download;
+
   return res.status(200).json(
     new ApiResponse(
       200,
@@ -610,21 +641,112 @@ const accessPublicResource = asyncHandler(async (req, res) => {
         publicLink: {
           token: publicLink.token,
           created_at: publicLink.created_at,
+          expires_at: publicLink.expires_at,
+          allow_download: publicLink.allow_download,
+          downloads_remaining:
+            publicLink.max_downloads == null
+              ? null
+              : publicLink.max_downloads - publicLink.download_count,
         },
-        downloadUrl: signedUrl,
+        downloadUrl: canDownload
+          ? `${publicLinkConfig.baseUrl}/${publicLink.token}/download`
+          : null,
       },
       "Public resource retrieved successfully"
     )
   );
 });
 
+/* ============================================================================
+   POST /public/:token/unlock - Unlock a password-protected link
+   Sets a short-lived cookie that the link's endpoints accept.
+============================================================================ */
+const unlockPublicLink = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = req.body || {};
+
+  const publicLink = await findLinkByToken(token);
+
+  if (!publicLink.password_hash) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "This link is not password protected",
+      errorCode: "LINK_NOT_LOCKED",
+    });
+  }
+
+  const unlockedUntil = await unlockLink(req, res, publicLink, password);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { unlockedUntil }, "Link unlocked"));
+});
+
+/* ============================================================================
+   GET /public/:token/download - Download a publicly shared file
+   Every response with a body counts against the link's maxDownloads, except
+   resuming a download already counted (see below).
+============================================================================ */
+const downloadPublicFile = asyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+
+  // 1. Enforce the link's options (the download limit when counting below,
+  // so resuming the last allowed download still works)
+  const publicLink = await findLinkByToken(token);
+  assertLinkUsable(req, publicLink, { allowExhausted: true });
+
+  if (!publicLink.allow_download) {
+    throw new ApiError({
+      statusCode: 403,
+      message: "Downloads are disabled for this link",
+      errorCode: "DOWNLOAD_DISABLED",
+    });
+  }
+
+  const node = await findLinkedNode(publicLink);
+  if (node.type !== "file") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Target is not a file",
+      errorCode: "INVALID_NODE_TYPE",
+    });
+  }
+
+  // 2. Stream the file. A body is only free when it resumes a counted
+  // download: an If-Range request (so the contents are unchanged) past the
+  // first byte, from a client holding the ticket that download handed out.
+  // HEAD and 304s send no body and aren't counted either.
+  const version =
+    node.checksum_sha256 || node.content_updated_at || node.updated_at;
+
+  return sendStoredFile(req, res, next, {
+    path: node.path,
+    name: node.name,
+    mimeType: node.mime_type,
+    size: node.size_bytes,
+    checksum: node.checksum_sha256,
+    lastModified: node.content_updated_at || node.updated_at,
+    disposition: "attachment",
+    beforeBody: async (ranges) => {
+      const resume =
+        Boolean(req.headers["if-range"]) &&
+        ranges?.every((r) => r.start > 0) &&
+        hasResumeTicket(req, publicLink, version);
+      if (resume) return;
+
+      await claimDownload(publicLink);
+      grantResumeTicket(req, res, publicLink, version);
+    },
+  });
+});
+
 /* ============================================================================
    POST /files/:id/signed-url - Generate signed download URL
 ============================================================================ */
 const generateSignedUrl = asyncHandler(async (req, res) => {
   const userId = req.user?.id;
   const { id } = req.params;
-  const { expiresIn = 3600 } = req.body; // default 1 hour
+  const expiresIn = Number(req.body?.expiresIn ?? 3600); // default 1 hour
 
   if (!userId) {
     throw new ApiError({
@@ -634,10 +756,22 @@ const generateSignedUrl = asyncHandler(async (req, res) => {
     });
   }
 
+  if (
+    !Number.isInteger(expiresIn) ||
+    expiresIn < SIGNED_URL_MIN_EXPIRY ||
+    expiresIn > SIGNED_URL_MAX_EXPIRY
+  ) {
+    throw new ApiError({
+      statusCode: 400,
+      message: `expiresIn must be a whole number of seconds between ${SIGNED_URL_MIN_EXPIRY} and ${SIGNED_URL_MAX_EXPIRY}`,
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
   // 1. Fetch file metadata
   const { data: file, error: fileError } = await supabase
     .from("nodes")
-    .select("id, owner_id, type, name, path, mime_type, size_bytes")
+    .select("id, owner_id, type, name, parent_id, path, mime_type, size_bytes")
     .eq("id", id)
     .single();
 
@@ -657,21 +791,14 @@ const generateSignedUrl = asyncHandler(async (req, res) => {
     });
   }
 
-  // 2. Permission check (only owner for now — later extend to shared users)
-  if (file.owner_id !== userId) {
-    throw new ApiError({
-      statusCode: 403,
-      message: "You do not have access to this file",
-      errorCode: "ACCESS_DENIED",
-    });
-  }
-
-  // 3. Generate signed URL from Supabase storage
-  const { data: signed, error: signedError } = await supabase.storage
-    .from("files") // bucket name
-    .createSignedUrl(file.path, expiresIn);
+  // 2. Permission check (owner, or shared with the user)
+  await assertRole(file, userId, "read", "You do not have access to this file");
 
-  if (signedError || !signed?.signedUrl) {
+  // 3. Generate signed URL from the storage provider
+  let signedUrl;
+  try {
+    signedUrl = await storage.getSignedUrl(file.path, { expiresIn });
+  } catch (err) {
     throw new ApiError({
       statusCode: 500,
       message: "Failed to generate signed URL",
@@ -689,7 +816,7 @@ const generateSignedUrl = asyncHandler(async (req, res) => {
           mime_type: file.mime_type,
           size_bytes: file.size_bytes,
         },
-        signedUrl: signed.signedUrl,
+        signedUrl,
         expiresIn,
       },
       "Signed download URL generated successfully"
@@ -701,9 +828,15 @@ export {
   shareFile,
   shareFolder,
   getFilePermissions,
+  getFolderPermissions,
   updateFilePermissions,
+  updateFolderPermissions,
   removeFilePermission,
+  removeFolderPermission,
   generatePublicLink,
+  updatePublicLink,
   accessPublicResource,
+  unlockPublicLink,
+  downloadPublicFile,
   generateSignedUrl,
 };
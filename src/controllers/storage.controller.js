@@ -0,0 +1,50 @@
+import { storage } from "../storage/index.js";
+import LocalStorageProvider from "../storage/LocalStorageProvider.js";
+import ApiError from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/* ============================================================================
+   GET /storage/local - Serve a signed URL issued by the local disk driver
+   Query parameters: key, expires, signature
+============================================================================ */
+const serveLocalObject = asyncHandler(async (req, res, next) => {
+  const { key, expires, signature } = req.query;
+
+  // Only the local driver hands out URLs pointing here
+  if (!(storage instanceof LocalStorageProvider)) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Not found",
+      errorCode: "NOT_FOUND",
+    });
+  }
+
+  if (!storage.verifySignature(key, expires, signature)) {
+    throw new ApiError({
+      statusCode: 403,
+      message: "Invalid or expired signed URL",
+      errorCode: "SHARE_LINK_INVALID",
+    });
+  }
+
+  const object = await storage.head(key);
+  if (!object) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "File not found",
+      errorCode: "FILE_NOT_FOUND",
+    });
+  }
+
+  res.setHeader(
+    "Content-Type",
+    object.contentType || "application/octet-stream"
+  );
+  res.setHeader("Content-Length", object.size);
+
+  const stream = await storage.getStream(key);
+  stream.on("error", next);
+  stream.pipe(res);
+});
+
+export { serveLocalObject };
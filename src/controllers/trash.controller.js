@@ -0,0 +1,255 @@
+import { supabase } from "../utils/supabaseClient.js";
+import {
+  TRASH_COLUMNS,
+  findTrashedNode,
+  collectDeletedWith,
+  restoreNodes,
+  resolveLocations,
+  purgeNodes,
+} from "../services/trash.service.js";
+import { resolveNameConflict } from "../services/naming.service.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Top-level trash entries fetched per round when emptying the trash
+const EMPTY_BATCH_SIZE = 100;
+
+/* ============================================================================
+   GET /trash - List trashed items with their original location
+============================================================================ */
+const listTrash = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+
+  // Pagination params
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const offset = (page - 1) * limit;
+
+  // 1. Query top-level trash entries (contents of a trashed folder are
+  //    restored/deleted together with it)
+  const {
+    data: items,
+    error,
+    count,
+  } = await supabase
+    .from("trash_items")
+    .select(TRASH_COLUMNS, { count: "exact" })
+    .eq("owner_id", userId)
+    .order("deleted_at", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch trash",
+      errorCode: "DB_QUERY_FAILED",
+    });
+  }
+
+  // 2. Attach where each item lived before it was deleted
+  const locations = await resolveLocations(items);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        items: items.map(({ path, ...item }) => ({
+          ...item,
+          original_location: locations[item.id],
+        })),
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit),
+        },
+      },
+      "Trash fetched successfully"
+    )
+  );
+});
+
+/* ============================================================================
+   POST /trash/:id/restore - Restore an item (and everything deleted with it)
+============================================================================ */
+const restoreTrashItem = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const node = await findTrashedNode(req.params.id, userId);
+
+  // 1. Everything that was deleted together with a folder comes back with it
+  const restoreIds = [node.id];
+  if (node.type === "folder") {
+    const deletedWith = await collectDeletedWith(node);
+    restoreIds.push(...deletedWith.map((n) => n.id));
+  }
+
+  // 2. Walk up to the nearest live folder; trashed ancestors are recreated,
+  //    and if the chain is broken (an ancestor was purged) fall back to root
+  const trashedAncestors = [];
+  let top = node; // topmost restored item
+  let parentId = node.parent_id;
+  let fallBackToRoot = false;
+
+  while (parentId) {
+    const { data: parent, error } = await supabase
+      .from("nodes")
+      .select("id, name, type, parent_id, deleted_at")
+      .eq("id", parentId)
+      .maybeSingle();
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to resolve original location",
+        errorCode: "DB_FETCH_FAILED",
+      });
+    }
+
+    if (!parent) {
+      fallBackToRoot = true;
+      break;
+    }
+
+    if (!parent.deleted_at) break;
+
+    trashedAncestors.push(parent.id);
+    top = parent;
+    parentId = parent.parent_id;
+  }
+
+  if (fallBackToRoot) top = node;
+
+  // 3. Something with the same name may have been created meanwhile: the
+  //    restored item gets a free name ("report (1).pdf") instead
+  const { name: freeName } = await resolveNameConflict({
+    ownerId: userId,
+    parentId: fallBackToRoot ? null : parentId,
+    name: top.name,
+    type: top.type,
+    policy: "rename",
+    excludeId: top.id,
+  });
+
+  if (freeName !== top.name) {
+    const { error: renameError } = await supabase
+      .from("nodes")
+      .update({ name: freeName })
+      .eq("id", top.id);
+
+    if (renameError) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to rename restored item",
+        errorCode: "DB_UPDATE_FAILED",
+      });
+    }
+  }
+
+  // 4. Clear deleted_at on the restored rows
+  const ids = fallBackToRoot
+    ? restoreIds
+    : [...restoreIds, ...trashedAncestors];
+
+  await restoreNodes(ids);
+
+  if (fallBackToRoot) {
+    const { error: moveError } = await supabase
+      .from("nodes")
+      .update({ parent_id: null })
+      .eq("id", node.id);
+
+    if (moveError) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to move item to root",
+        errorCode: "DB_UPDATE_FAILED",
+      });
+    }
+  }
+
+  const parentIdAfter = fallBackToRoot ? null : node.parent_id;
+  const locations = await resolveLocations([
+    { id: node.id, parent_id: parentIdAfter },
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        item: {
+          id: node.id,
+          name: top === node ? freeName : node.name,
+          type: node.type,
+        },
+        restored_to: {
+          parent_id: parentIdAfter,
+          location: locations[node.id],
+        },
+        restored_count: restoreIds.length,
+        recreated_folders: fallBackToRoot ? [] : trashedAncestors,
+      },
+      "Item restored successfully"
+    )
+  );
+});
+
+/* ============================================================================
+   DELETE /trash/:id - Permanently delete an item and its storage objects
+============================================================================ */
+const deleteTrashItem = asyncHandler(async (req, res) => {
+  const node = await findTrashedNode(req.params.id, req.user?.id);
+
+  const deletedCount = await purgeNodes([node]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { id: node.id, deleted_count: deletedCount },
+        "Item permanently deleted"
+      )
+    );
+});
+
+/* ============================================================================
+   DELETE /trash - Empty the trash
+============================================================================ */
+const emptyTrash = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  let deletedCount = 0;
+
+  // Purge in rounds so a huge trash doesn't load into memory at once
+  for (;;) {
+    const { data: items, error } = await supabase
+      .from("trash_items")
+      .select(TRASH_COLUMNS)
+      .eq("owner_id", userId)
+      .limit(EMPTY_BATCH_SIZE);
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to fetch trash",
+        errorCode: "DB_QUERY_FAILED",
+      });
+    }
+
+    if (items.length === 0) break;
+
+    deletedCount += await purgeNodes(items);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { deleted_count: deletedCount },
+        "Trash emptied successfully"
+      )
+    );
+});
+
+export { listTrash, restoreTrashItem, deleteTrashItem, emptyTrash };
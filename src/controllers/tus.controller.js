@@ -0,0 +1,390 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { uploadConfig } from "../config/index.js";
+import {
+  SESSION_COLUMNS,
+  findUploadSession,
+  touchUploadSession,
+  deleteUploadSession,
+  abortUploadSession,
+  tusStagingPath,
+} from "../services/uploadSession.service.js";
+import {
+  assertParentFolder,
+  saveUploadedFile,
+} from "../services/node.service.js";
+import { assertQuota } from "../services/quota.service.js";
+import {
+  parseConflictPolicy,
+  findNameConflict,
+  conflictError,
+} from "../services/naming.service.js";
+import { createDigestStream } from "../utils/digestStream.js";
+import ApiError from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const CHECKSUM_ALGORITHMS = ["sha1", "sha256", "md5"];
+
+// Uploads with a PATCH in flight (one writer per upload on this instance)
+const activeUploads = new Set();
+
+// "filename d29ybGQ=,parent_id MTIz" -> { filename: "world", parent_id: "123" }
+function parseMetadata(header = "") {
+  const metadata = {};
+
+  for (const pair of header.split(",")) {
+    const [key, value] = pair.trim().split(" ");
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+  }
+
+  return metadata;
+}
+
+function encodeMetadata(metadata = {}) {
+  return Object.entries(metadata)
+    .map(([key, value]) =>
+      value ? `${key} ${Buffer.from(value).toString("base64")}` : key
+    )
+    .join(",");
+}
+
+// "sha1 Kq5sNclPz7QV2+lfQIuc6R7oRu0=" -> { algorithm, expected }
+function parseChecksum(header) {
+  if (!header) return null;
+
+  const [algorithm, expected] = header.trim().split(" ");
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !expected) {
+    throw new ApiError({
+      statusCode: 400,
+      message: `Unsupported checksum algorithm (use one of: ${CHECKSUM_ALGORITHMS.join(", ")})`,
+      errorCode: "CHECKSUM_UNSUPPORTED",
+    });
+  }
+
+  return { algorithm, expected };
+}
+
+// The staging file is the source of truth for how much has been received
+async function stagedBytes(uploadId) {
+  try {
+    return (await fsp.stat(tusStagingPath(uploadId))).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return 0;
+    throw err;
+  }
+}
+
+// Fails the stream if the client sends more than `limit` bytes
+function createLimitStream(limit) {
+  let received = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > limit) {
+        return callback(
+          new ApiError({
+            statusCode: 413,
+            message: "Request body exceeds the declared Upload-Length",
+            errorCode: "FILE_TOO_LARGE",
+          })
+        );
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+// Move the assembled file into storage and create its `nodes` row
+async function finalizeTusUpload(session) {
+  const stagingPath = tusStagingPath(session.upload_id);
+  const digest = createDigestStream("sha256");
+
+  await storage.put(
+    session.storage_key,
+    fs.createReadStream(stagingPath).pipe(digest),
+    {
+      contentType: session.mime_type || undefined,
+      contentLength: Number(session.size_bytes),
+    }
+  );
+
+  let node;
+  try {
+    ({ node } = await saveUploadedFile({
+      ownerId: session.user_id,
+      name: session.name,
+      sizeBytes: Number(session.size_bytes),
+      mimeType: session.mime_type,
+      parentId: session.parent_id,
+      path: session.storage_key,
+      checksum: digest.digest("hex"),
+      policy: session.metadata?.onConflict,
+    }));
+  } catch (err) {
+    await storage.delete(session.storage_key).catch(() => {});
+    throw err;
+  }
+
+  await fsp.rm(stagingPath, { force: true });
+  await deleteUploadSession(session);
+
+  return node;
+}
+
+/* ============================================================================
+   POST /files/tus - Create a tus upload (creation extension)
+   Headers: Upload-Length, Upload-Metadata (filename, filetype, parent_id,
+            onConflict)
+============================================================================ */
+const createTusUpload = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const uploadLength = Number(req.headers["upload-length"]);
+  const metadata = parseMetadata(req.headers["upload-metadata"]);
+
+  if (req.headers["upload-defer-length"] !== undefined) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Upload-Defer-Length is not supported",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (!Number.isSafeInteger(uploadLength) || uploadLength < 0) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "A valid Upload-Length header is required",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (uploadLength > uploadConfig.maxFileSize) {
+    throw new ApiError({
+      statusCode: 413,
+      message: `File exceeds the maximum upload size of ${uploadConfig.maxFileSize} bytes`,
+      errorCode: "FILE_TOO_LARGE",
+    });
+  }
+
+  const name = (metadata.filename || metadata.name || "").trim();
+  const mimeType = metadata.filetype || metadata.type || null;
+  const parentId = metadata.parent_id || null;
+
+  if (!name) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Upload-Metadata must include a filename",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  if (name.includes("/") || name.includes("\\")) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "File name cannot contain path separators",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  // 1. Validate the parent folder (if not root) and that the file fits in
+  //    the user's quota (checked again when the upload completes)
+  await assertParentFolder(parentId, userId);
+  await assertQuota(userId, uploadLength);
+
+  // Fail early; the policy is applied again when the upload completes
+  const policy = parseConflictPolicy(metadata.onConflict, "rename");
+  if (policy === "fail") {
+    const existing = await findNameConflict({
+      ownerId: userId,
+      parentId,
+      name,
+    });
+    if (existing) throw conflictError(existing);
+  }
+
+  // 2. Reserve a server-chosen key and an empty staging file
+  const uploadId = crypto.randomUUID();
+  const key = `${userId}/${Date.now()}_${name}`;
+
+  await fsp.mkdir(uploadConfig.tusStagingDir, { recursive: true });
+  await fsp.writeFile(tusStagingPath(uploadId), "");
+
+  // 3. Track the session
+  const { data: session, error: dbError } = await supabase
+    .from("upload_sessions")
+    .insert([
+      {
+        user_id: userId,
+        upload_id: uploadId,
+        protocol: "tus",
+        storage_key: key,
+        name,
+        size_bytes: uploadLength,
+        mime_type: mimeType,
+        parent_id: parentId,
+        metadata,
+      },
+    ])
+    .select(SESSION_COLUMNS)
+    .single();
+
+  if (dbError) {
+    await fsp.rm(tusStagingPath(uploadId), { force: true });
+
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to create upload session",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  // Empty files are complete as soon as they are created
+  if (uploadLength === 0) {
+    const node = await finalizeTusUpload(session);
+    res.setHeader("X-File-Id", node.id);
+  }
+
+  res.setHeader(
+    "Location",
+    `${req.protocol}://${req.get("host")}${req.baseUrl}/${uploadId}`
+  );
+  return res.status(201).end();
+});
+
+/* ============================================================================
+   HEAD /files/tus/:id - Current offset of a tus upload
+============================================================================ */
+const getTusUploadOffset = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req.params.id, req.user?.id, "tus");
+
+  res.setHeader("Upload-Offset", await stagedBytes(session.upload_id));
+  res.setHeader("Upload-Length", session.size_bytes);
+  res.setHeader("Upload-Metadata", encodeMetadata(session.metadata));
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).end();
+});
+
+/* ============================================================================
+   PATCH /files/tus/:id - Append bytes at Upload-Offset
+   Optional Upload-Checksum (checksum extension); a mismatch discards the
+   chunk and returns 460
+============================================================================ */
+const patchTusUpload = asyncHandler(async (req, res) => {
+  if (req.headers["content-type"] !== "application/offset+octet-stream") {
+    throw new ApiError({
+      statusCode: 415,
+      message: "Content-Type must be application/offset+octet-stream",
+      errorCode: "FILE_UNSUPPORTED_TYPE",
+    });
+  }
+
+  const clientOffset = Number(req.headers["upload-offset"]);
+  if (!Number.isSafeInteger(clientOffset) || clientOffset < 0) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "A valid Upload-Offset header is required",
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  const checksum = parseChecksum(req.headers["upload-checksum"]);
+  const session = await findUploadSession(req.params.id, req.user?.id, "tus");
+  const { upload_id: uploadId } = session;
+
+  if (activeUploads.has(uploadId)) {
+    throw new ApiError({
+      statusCode: 409,
+      message: "Another request is already writing to this upload",
+      errorCode: "UPLOAD_LOCKED",
+    });
+  }
+
+  activeUploads.add(uploadId);
+  try {
+    // 1. The client must resume exactly where the server left off
+    const offset = await stagedBytes(uploadId);
+    if (clientOffset !== offset) {
+      throw new ApiError({
+        statusCode: 409,
+        message: `Upload-Offset mismatch (server is at ${offset})`,
+        errorCode: "OFFSET_MISMATCH",
+      });
+    }
+
+    // 2. Append the body to the staging file
+    const stagingPath = tusStagingPath(uploadId);
+    const digest = createDigestStream(checksum?.algorithm || "sha256");
+
+    try {
+      await pipeline(
+        req,
+        createLimitStream(Number(session.size_bytes) - offset),
+        digest,
+        fs.createWriteStream(stagingPath, { flags: "a" })
+      );
+    } catch (err) {
+      // Keep what arrived (the client can resume), unless it can't be
+      // verified or overflowed the declared length
+      if (checksum || err instanceof ApiError) {
+        await fsp.truncate(stagingPath, offset);
+      }
+      throw err;
+    }
+
+    // 3. Verify the chunk (checksum extension)
+    if (checksum && digest.digest("base64") !== checksum.expected) {
+      await fsp.truncate(stagingPath, offset);
+
+      throw new ApiError({
+        statusCode: 460,
+        message: "Checksum mismatch",
+        errorCode: "CHECKSUM_MISMATCH",
+      });
+    }
+
+    const newOffset = offset + digest.bytes;
+    await touchUploadSession(session);
+
+    // 4. Last chunk: move the file to storage and create the node
+    if (newOffset === Number(session.size_bytes)) {
+      const node = await finalizeTusUpload(session);
+      res.setHeader("X-File-Id", node.id);
+    }
+
+    res.setHeader("Upload-Offset", newOffset);
+    return res.status(204).end();
+  } finally {
+    activeUploads.delete(uploadId);
+  }
+});
+
+/* ============================================================================
+   DELETE /files/tus/:id - Terminate a tus upload (termination extension)
+============================================================================ */
+const terminateTusUpload = asyncHandler(async (req, res) => {
+  const session = await findUploadSession(req.params.id, req.user?.id, "tus");
+
+  if (activeUploads.has(session.upload_id)) {
+    throw new ApiError({
+      statusCode: 409,
+      message: "Another request is already writing to this upload",
+      errorCode: "UPLOAD_LOCKED",
+    });
+  }
+
+  await abortUploadSession(session);
+  return res.status(204).end();
+});
+
+export {
+  createTusUpload,
+  getTusUploadOffset,
+  patchTusUpload,
+  terminateTusUpload,
+};
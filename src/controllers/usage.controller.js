@@ -0,0 +1,16 @@
+import { getStorageUsage } from "../services/quota.service.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/* ============================================================================
+   GET /me/storage - Quota and bytes used (active, trashed, versions)
+============================================================================ */
+const getMyStorage = asyncHandler(async (req, res) => {
+  const usage = await getStorageUsage(req.user?.id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, usage, "Storage usage fetched successfully"));
+});
+
+export { getMyStorage };
@@ -3,6 +3,8 @@ import { supabase } from "../utils/supabaseClient.js";
 import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import cookieOptions from "../constants/cookieOptions.js";
+import { acceptInvitations } from "../services/share.service.js";
 
 const SALT_ROUNDS = 10;
 
@@ -13,12 +15,6 @@ function generateUsername(email) {
   return `${namePart}${randomNum}`;
 }
 
-// Cookie options for access and refresh tokens
-const cookieOptions = {
-  httpOnly: true,
-  secure: true,
-};
-
 const signUp = asyncHandler(async (req, res) => {
   console.log("Req.body: ", req.body);
   const { email, password, full_name = null, phone = null } = req.body;
@@ -91,6 +87,9 @@ const signUp = asyncHandler(async (req, res) => {
     });
   }
 
+  // 6. Turn pending share invitations into permissions (only applies when
+  // the email is already confirmed, otherwise on verification/sign-in)
+  await acceptInvitations(data.user);
 
   return res.status(201).json(
     new ApiResponse(201, {
@@ -139,6 +138,9 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Turn pending share invitations for this email into permissions
+  await acceptInvitations(user);
+
   // Set secure httpOnly cookies
   res
     .status(200)
@@ -344,6 +346,9 @@ const googleAuth = asyncHandler(async (req, res) => {
     });
   }
 
+  // Turn pending share invitations for this email into permissions
+  await acceptInvitations(user);
+
   // 4. Set tokens as cookies
   res
     .cookie("accessToken", accessToken, cookieOptions)
@@ -402,7 +407,10 @@ const verifyEmail = asyncHandler(async (req, res) => {
     });
   }
 
-  // 3. Respond with success
+  // 3. Turn pending share invitations for this email into permissions
+  await acceptInvitations(data.user);
+
+  // 4. Respond with success
   return res
     .status(200)
     .json(
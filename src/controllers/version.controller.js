@@ -0,0 +1,224 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import {
+  VERSIONED_NODE_COLUMNS,
+  addFileVersion,
+  listFileVersions,
+  findFileVersion,
+} from "../services/version.service.js";
+import { storeUploadedBlob } from "../services/blob.service.js";
+import { assertQuota } from "../services/quota.service.js";
+import { assertRole } from "../services/permission.service.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Fetch a live file the user has at least `role` on
+async function findAccessibleFile(id, userId, role) {
+  const { data: file, error } = await supabase
+    .from("nodes")
+    .select(VERSIONED_NODE_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error || !file || file.deleted_at) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "File not found",
+      errorCode: "FILE_NOT_FOUND",
+    });
+  }
+
+  if (file.type !== "file") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Target is not a file",
+      errorCode: "INVALID_NODE_TYPE",
+    });
+  }
+
+  await assertRole(
+    file,
+    userId,
+    role,
+    "You do not have permission to access this file"
+  );
+
+  return file;
+}
+
+/* ============================================================================
+   Runs ahead of the upload middleware on POST /files/:id/versions, so
+   nothing is streamed to storage for a missing file or a user without
+   write access. The file is kept on req.targetFile.
+============================================================================ */
+const authorizeVersionUpload = asyncHandler(async (req, res, next) => {
+  req.targetFile = await findAccessibleFile(
+    req.params.id,
+    req.user?.id,
+    "write"
+  );
+  next();
+});
+
+/* ============================================================================
+   POST /files/:id/versions - Upload new contents for an existing file
+   The previous contents are kept as an earlier version
+============================================================================ */
+const uploadFileVersion = asyncHandler(async (req, res) => {
+  const upload = req.file;
+  const userId = req.user?.id;
+
+  if (!upload) {
+    throw new ApiError({
+      statusCode: 400,
+      message: "No file uploaded",
+      errorCode: "FILE_MISSING",
+    });
+  }
+
+  let file;
+  try {
+    // 1. The target must (still) be a live file the user can write to;
+    //    re-read after the upload for its current version
+    const current = await findAccessibleFile(req.params.id, userId, "write");
+    await assertQuota(current.owner_id, upload.size);
+
+    // 2. Make the upload the current version (sharing the blob if the
+    //    owner already has identical contents)
+    ({ result: file } = await storeUploadedBlob(
+      {
+        ownerId: current.owner_id,
+        path: upload.key,
+        checksum: upload.checksum,
+        sizeBytes: upload.size,
+        mimeType: upload.mimetype,
+        name: current.name,
+      },
+      (path) =>
+        addFileVersion(current, {
+          path,
+          sizeBytes: upload.size,
+          mimeType: upload.mimetype,
+          checksum: upload.checksum,
+          uploadedBy: userId,
+        })
+    ));
+  } catch (err) {
+    // Don't leave an orphaned object behind
+    await storage.delete(upload.key).catch(() => {});
+    throw err;
+  }
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      {
+        fileId: file.id,
+        version: file.version,
+        size_bytes: file.size_bytes,
+        checksum_sha256: file.checksum_sha256,
+      },
+      "New version uploaded successfully"
+    )
+  );
+});
+
+/* ============================================================================
+   GET /files/:id/versions - Version history (current version first)
+============================================================================ */
+const listVersions = asyncHandler(async (req, res) => {
+  const file = await findAccessibleFile(req.params.id, req.user?.id, "read");
+
+  // 1. Current contents live on the node, earlier ones in file_versions
+  const earlier = await listFileVersions(file.id);
+  const versions = [
+    {
+      id: null,
+      version: file.version,
+      size_bytes: file.size_bytes,
+      mime_type: file.mime_type,
+      checksum_sha256: file.checksum_sha256,
+      uploaded_by: file.uploaded_by || file.owner_id,
+      created_at: file.content_updated_at || file.created_at,
+      is_current: true,
+    },
+    ...earlier.map(({ node_id, path, ...version }) => ({
+      ...version,
+      is_current: false,
+    })),
+  ];
+
+  // 2. Attach who uploaded each version
+  const uploaderIds = [
+    ...new Set(versions.map((v) => v.uploaded_by).filter(Boolean)),
+  ];
+  const { data: uploaders, error } = await supabase
+    .from("users")
+    .select("id, username, full_name")
+    .in("id", uploaderIds);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch version uploaders",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  const byId = new Map(uploaders.map((u) => [u.id, u]));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        fileId: file.id,
+        versions: versions.map((v) => ({
+          ...v,
+          uploader: byId.get(v.uploaded_by) || null,
+        })),
+      },
+      "File versions fetched successfully"
+    )
+  );
+});
+
+/* ============================================================================
+   POST /files/:id/versions/:versionId/restore - Make an earlier version
+   current again (recorded as a new version, so nothing is lost)
+============================================================================ */
+const restoreVersion = asyncHandler(async (req, res) => {
+  const userId = req.user?.id;
+  const file = await findAccessibleFile(req.params.id, userId, "write");
+  const version = await findFileVersion(file.id, req.params.versionId);
+
+  // The restored copy is counted again (the current contents are kept too)
+  await assertQuota(file.owner_id, version.size_bytes);
+
+  const restored = await addFileVersion(file, {
+    path: version.path, // shares the stored object with the old version
+    sizeBytes: version.size_bytes,
+    mimeType: version.mime_type,
+    checksum: version.checksum_sha256,
+    uploadedBy: userId,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        fileId: restored.id,
+        version: restored.version,
+        restored_from: version.version,
+      },
+      "Version restored successfully"
+    )
+  );
+});
+
+export {
+  authorizeVersionUpload,
+  uploadFileVersion,
+  listVersions,
+  restoreVersion,
+};
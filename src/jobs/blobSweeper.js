@@ -0,0 +1,51 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { uploadConfig } from "../config/index.js";
+import { releaseBlobs } from "../services/blob.service.js";
+import logger from "../utils/logger.js";
+
+// Blobs fetched per sweep (the rest are picked up next time)
+const BATCH_SIZE = 100;
+
+// A new blob is briefly unreferenced while its upload is being saved
+const GRACE_PERIOD_MS = 60 * 60 * 1000;
+
+// Delete blobs nothing references any more: left over from failed uploads,
+// or whose object couldn't be deleted when the last reference went away
+async function sweepUnreferencedBlobs() {
+  const cutoff = new Date(Date.now() - GRACE_PERIOD_MS).toISOString();
+
+  const { data: blobs, error } = await supabase
+    .from("blobs")
+    .select("path")
+    .eq("ref_count", 0)
+    .lt("created_at", cutoff)
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    logger.error("Blob sweeper: failed to fetch blobs: " + error.message);
+    return;
+  }
+
+  if (blobs.length === 0) return;
+
+  const deleted = await releaseBlobs(blobs.map((b) => b.path));
+  logger.info(
+    `Blob sweeper: deleted ${deleted}/${blobs.length} unreferenced objects`
+  );
+}
+
+// Run the sweeper on an interval; returns a function that stops it
+function startBlobSweeper() {
+  const timer = setInterval(() => {
+    sweepUnreferencedBlobs().catch((err) =>
+      logger.error("Blob sweeper error: " + err.message)
+    );
+  }, uploadConfig.sweepIntervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export { sweepUnreferencedBlobs, startBlobSweeper };
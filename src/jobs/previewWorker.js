@@ -0,0 +1,28 @@
+import { previewConfig } from "../config/index.js";
+import { generatePendingPreviews } from "../services/preview.service.js";
+import logger from "../utils/logger.js";
+
+// Generate queued previews: whatever wasn't picked up right after upload,
+// previews queued by other instances and retries of failed attempts
+async function runPreviewWorker() {
+  const processed = await generatePendingPreviews();
+  if (processed > 0) {
+    logger.info(`Preview worker: processed ${processed} previews`);
+  }
+}
+
+// Run the worker on an interval; returns a function that stops it
+function startPreviewWorker() {
+  const timer = setInterval(() => {
+    runPreviewWorker().catch((err) =>
+      logger.error("Preview worker error: " + err.message)
+    );
+  }, previewConfig.intervalMs);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export { runPreviewWorker, startPreviewWorker };
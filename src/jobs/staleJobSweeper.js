@@ -0,0 +1,32 @@
+import { jobConfig } from "../config/index.js";
+import { failStaleJobs } from "../services/job.service.js";
+import logger from "../utils/logger.js";
+
+// Jobs run in the process that started them, so a restart or crash leaves
+// them `running` forever; fail them once their heartbeat is stale
+async function sweepStaleJobs() {
+  const failed = await failStaleJobs();
+
+  if (failed > 0) {
+    logger.warn(`Job sweeper: marked ${failed} interrupted jobs as failed`);
+  }
+}
+
+// Sweep now (jobs a previous run left behind) and then on an interval;
+// returns a function that stops it
+function startStaleJobSweeper() {
+  const sweep = () =>
+    sweepStaleJobs().catch((err) =>
+      logger.error("Job sweeper error: " + err.message)
+    );
+
+  sweep();
+  const timer = setInterval(sweep, jobConfig.sweepIntervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export { sweepStaleJobs, startStaleJobSweeper };
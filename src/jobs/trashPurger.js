@@ -0,0 +1,99 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { trashConfig } from "../config/index.js";
+import { TRASH_COLUMNS, purgeNodes } from "../services/trash.service.js";
+import { withJobLock } from "../services/jobLock.service.js";
+import logger from "../utils/logger.js";
+
+// Top-level trash entries purged per round
+const BATCH_SIZE = 100;
+
+// Fetch expired top-level trash entries (their subtrees go with them),
+// oldest first, starting after the `after` entry
+async function fetchExpired(cutoff, after = null) {
+  let query = supabase
+    .from("trash_items")
+    .select(TRASH_COLUMNS)
+    .lt("deleted_at", cutoff)
+    .order("deleted_at", { ascending: true })
+    .order("id", { ascending: true });
+
+  if (after) {
+    query = query.or(
+      `deleted_at.gt.${after.deleted_at},and(deleted_at.eq.${after.deleted_at},id.gt.${after.id})`
+    );
+  }
+
+  const { data, error } = await query.limit(BATCH_SIZE);
+  if (error) throw new Error("failed to fetch expired trash: " + error.message);
+
+  return data;
+}
+
+// Permanently delete trashed nodes older than the retention window.
+// In dry-run mode nothing is deleted; the summary says what would be.
+async function purgeExpiredTrash({ dryRun = trashConfig.dryRun } = {}) {
+  const cutoff = new Date(Date.now() - trashConfig.retentionMs).toISOString();
+  const summary = { items: 0, nodes: 0, failed: 0 };
+
+  // Each round picks up after the previous one, so items that failed (and
+  // stay in the trash until the next run) aren't fetched again
+  for (let after = null; ; ) {
+    const items = await fetchExpired(cutoff, after);
+    if (items.length === 0) break;
+    after = items[items.length - 1];
+
+    if (dryRun) {
+      summary.items += items.length;
+      continue;
+    }
+
+    for (const item of items) {
+      try {
+        summary.nodes += await purgeNodes([item]);
+        summary.items += 1;
+      } catch (err) {
+        summary.failed += 1;
+        logger.warn(`Trash purger: failed to purge ${item.id}: ${err.message}`);
+      }
+    }
+  }
+
+  return summary;
+}
+
+// Lease-locked run so only one instance purges at a time
+async function runTrashPurge() {
+  const { acquired, result } = await withJobLock(
+    "trash-purge",
+    trashConfig.purgeIntervalMs,
+    () => purgeExpiredTrash()
+  );
+
+  if (!acquired) return;
+
+  if (trashConfig.dryRun) {
+    logger.info(
+      `Trash purger (dry run): ${result.items} items older than ${trashConfig.retentionDays} days would be purged`
+    );
+  } else if (result.items > 0 || result.failed > 0) {
+    logger.info(
+      `Trash purger: purged ${result.items} items (${result.nodes} nodes), ${result.failed} failed`
+    );
+  }
+}
+
+// Run the purger on an interval; returns a function that stops it
+function startTrashPurger() {
+  const timer = setInterval(() => {
+    runTrashPurge().catch((err) =>
+      logger.error("Trash purger error: " + err.message)
+    );
+  }, trashConfig.purgeIntervalMs);
+
+  // Don't keep the process alive just for the purger
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export { purgeExpiredTrash, runTrashPurge, startTrashPurger };
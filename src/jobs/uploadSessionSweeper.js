@@ -0,0 +1,57 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { uploadConfig } from "../config/index.js";
+import { abortUploadSession } from "../services/uploadSession.service.js";
+import logger from "../utils/logger.js";
+
+// Sessions fetched per sweep (the rest are picked up next time)
+const BATCH_SIZE = 100;
+
+// Abort multipart uploads that have been idle for longer than the TTL
+async function sweepStaleUploadSessions() {
+  const cutoff = new Date(Date.now() - uploadConfig.sessionTtlMs).toISOString();
+
+  const { data: sessions, error } = await supabase
+    .from("upload_sessions")
+    .select("id, upload_id, protocol, storage_key")
+    .lt("updated_at", cutoff)
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    logger.error("Upload sweeper: failed to fetch sessions: " + error.message);
+    return;
+  }
+
+  let aborted = 0;
+  for (const session of sessions) {
+    try {
+      await abortUploadSession(session);
+      aborted += 1;
+    } catch (err) {
+      logger.warn(
+        `Upload sweeper: failed to abort ${session.upload_id}: ${err.message}`
+      );
+    }
+  }
+
+  if (sessions.length > 0) {
+    logger.info(
+      `Upload sweeper: aborted ${aborted}/${sessions.length} stale uploads`
+    );
+  }
+}
+
+// Run the sweeper on an interval; returns a function that stops it
+function startUploadSessionSweeper() {
+  const timer = setInterval(() => {
+    sweepStaleUploadSessions().catch((err) =>
+      logger.error("Upload sweeper error: " + err.message)
+    );
+  }, uploadConfig.sweepIntervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export { sweepStaleUploadSessions, startUploadSessionSweeper };
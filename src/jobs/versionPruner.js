@@ -0,0 +1,84 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { versionConfig } from "../config/index.js";
+import { pruneFileVersions } from "../services/version.service.js";
+import { withJobLock } from "../services/jobLock.service.js";
+import logger from "../utils/logger.js";
+
+// Version rows scanned per round
+const BATCH_SIZE = 500;
+
+// Versions age past `keepDays` without any new upload, so files that aren't
+// being written to are pruned here (new uploads prune on the spot)
+async function pruneAgedVersions() {
+  if (!(versionConfig.keepDays > 0)) return { files: 0, versions: 0 };
+
+  const cutoff = new Date(
+    Date.now() - versionConfig.keepDays * 86400000
+  ).toISOString();
+  const summary = { files: 0, versions: 0 };
+  let lastNodeId = null;
+
+  for (;;) {
+    let query = supabase
+      .from("file_versions")
+      .select("node_id")
+      .lt("created_at", cutoff)
+      .order("node_id", { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (lastNodeId) query = query.gt("node_id", lastNodeId);
+
+    const { data: rows, error } = await query;
+    if (error) throw new Error("failed to fetch versions: " + error.message);
+    if (rows.length === 0) break;
+
+    for (const nodeId of new Set(rows.map((r) => r.node_id))) {
+      try {
+        const removed = await pruneFileVersions(nodeId);
+        if (removed > 0) {
+          summary.files += 1;
+          summary.versions += removed;
+        }
+      } catch (err) {
+        logger.warn(
+          `Version pruner: failed to prune ${nodeId}: ${err.message}`
+        );
+      }
+    }
+
+    lastNodeId = rows[rows.length - 1].node_id;
+  }
+
+  return summary;
+}
+
+// Lease-locked run so only one instance prunes at a time
+async function runVersionPrune() {
+  const { acquired, result } = await withJobLock(
+    "version-prune",
+    versionConfig.pruneIntervalMs,
+    () => pruneAgedVersions()
+  );
+
+  if (acquired && result.versions > 0) {
+    logger.info(
+      `Version pruner: removed ${result.versions} versions of ${result.files} files`
+    );
+  }
+}
+
+// Run the pruner on an interval; returns a function that stops it
+function startVersionPruner() {
+  const timer = setInterval(() => {
+    runVersionPrune().catch((err) =>
+      logger.error("Version pruner error: " + err.message)
+    );
+  }, versionConfig.pruneIntervalMs);
+
+  // Don't keep the process alive just for the pruner
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export { pruneAgedVersions, runVersionPrune, startVersionPruner };
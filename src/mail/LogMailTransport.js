@@ -0,0 +1,17 @@
+import crypto from "crypto";
+import MailTransport from "./MailTransport.js";
+import logger from "../utils/logger.js";
+
+// Writes messages to the log instead of sending them (development, tests)
+class LogMailTransport extends MailTransport {
+  async send({ to, subject, text, replyTo, from = this.from }) {
+    const messageId = `<${crypto.randomUUID()}@log>`;
+    logger.info(
+      { mail: { messageId, from, to, replyTo, subject, text } },
+      "Mail"
+    );
+    return { messageId };
+  }
+}
+
+export default LogMailTransport;
@@ -0,0 +1,22 @@
+// Base class for mail drivers. Notifications only talk to this interface,
+// so how mail goes out (SMTP, or just the log in development) is picked by
+// config.
+//
+// A message is { to, subject, text, html, replyTo }; `from` comes from
+// MAIL_FROM unless the message sets it.
+class MailTransport {
+  constructor({ from }) {
+    this.from = from;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // Send one message. Resolves to { messageId }
+  async send(message) {
+    this.notImplemented("send");
+  }
+}
+
+export default MailTransport;
@@ -0,0 +1,23 @@
+import nodemailer from "nodemailer";
+import MailTransport from "./MailTransport.js";
+
+class SmtpMailTransport extends MailTransport {
+  constructor({ from, host, port, secure, auth }) {
+    super({ from });
+    this.transporter = nodemailer.createTransport({ host, port, secure, auth });
+  }
+
+  async send({ to, subject, text, html, replyTo, from = this.from }) {
+    const info = await this.transporter.sendMail({
+      from,
+      to,
+      replyTo,
+      subject,
+      text,
+      html,
+    });
+    return { messageId: info.messageId };
+  }
+}
+
+export default SmtpMailTransport;
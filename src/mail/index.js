@@ -0,0 +1,24 @@
+import { mailConfig } from "../config/index.js";
+import LogMailTransport from "./LogMailTransport.js";
+import SmtpMailTransport from "./SmtpMailTransport.js";
+
+const drivers = {
+  log: LogMailTransport,
+  smtp: SmtpMailTransport,
+};
+
+// Build the transport for a driver name ("log" | "smtp")
+function createMailTransport(driver = mailConfig.driver) {
+  const Transport = drivers[driver];
+  if (!Transport) {
+    throw new Error(
+      `Unknown MAIL_DRIVER "${driver}" (expected one of: ${Object.keys(drivers).join(", ")})`
+    );
+  }
+  return new Transport({ from: mailConfig.from, ...mailConfig[driver] });
+}
+
+// Shared transport used for every notification
+const mailer = createMailTransport();
+
+export { mailer, createMailTransport };
@@ -0,0 +1,105 @@
+import { supabase } from "../utils/supabaseClient.js";
+import ApiError from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import cookieOptions from "../constants/cookieOptions.js";
+
+// Bearer token from the Authorization header (non-browser clients)
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token.trim() : null;
+}
+
+/* ============================================================================
+   verifyAuth - Validate the session and populate req.user / req.profile
+   - Accepts the `accessToken` cookie set by login/googleAuth, or an
+     `Authorization: Bearer <token>` header
+   - When the cookie session has expired, refreshes it with the
+     `refreshToken` cookie and sets fresh cookies on the response
+============================================================================ */
+const verifyAuth = asyncHandler(async (req, res, next) => {
+  // Several routers share the /api/v1 prefix, so this may run more than once
+  if (req.user) {
+    return next();
+  }
+
+  const bearerToken = getBearerToken(req);
+  const accessToken = bearerToken || req.cookies?.accessToken;
+  const refreshTokenCookie = bearerToken ? null : req.cookies?.refreshToken;
+
+  if (!accessToken && !refreshTokenCookie) {
+    throw new ApiError({
+      statusCode: 401,
+      message: "Access token missing. Please login again.",
+      errorCode: "TOKEN_MISSING",
+    });
+  }
+
+  // 1. Validate the access token with Supabase
+  let user = null;
+
+  if (accessToken) {
+    const { data, error } = await supabase.auth.getUser(accessToken);
+    if (!error && data?.user) {
+      user = data.user;
+    }
+  }
+
+  // 2. Expired (or missing) access token: refresh the cookie session
+  if (!user && refreshTokenCookie) {
+    const { data, error } = await supabase.auth.refreshSession({
+      refresh_token: refreshTokenCookie,
+    });
+
+    const {
+      access_token: newAccessToken,
+      refresh_token: newRefreshToken,
+      user: refreshedUser,
+    } = (!error && data?.session) || {};
+
+    if (newAccessToken && newRefreshToken && refreshedUser) {
+      res
+        .cookie("accessToken", newAccessToken, cookieOptions)
+        .cookie("refreshToken", newRefreshToken, cookieOptions);
+      user = refreshedUser;
+    }
+  }
+
+  if (!user) {
+    throw new ApiError({
+      statusCode: 401,
+      message: "Invalid or expired token",
+      errorCode: "TOKEN_INVALID",
+    });
+  }
+
+  // 3. Attach the profile row from the "users" table
+  const { data: profile, error: profileError } = await supabase
+    .from("users")
+    .select("id, email, username, full_name, phone, created_at")
+    .eq("id", user.id)
+    .maybeSingle();
+
+  if (profileError) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch user profile",
+      errorCode: "PROFILE_ERROR",
+    });
+  }
+
+  if (!profile) {
+    throw new ApiError({
+      statusCode: 401,
+      message: "User profile not found",
+      errorCode: "UNAUTHORIZED",
+    });
+  }
+
+  req.user = user;
+  req.profile = profile;
+
+  next();
+});
+
+export { verifyAuth };
@@ -0,0 +1,52 @@
+import { uploadConfig } from "../config/index.js";
+import ApiError from "../utils/ApiError.js";
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,termination,checksum";
+const TUS_CHECKSUM_ALGORITHMS = "sha1,sha256,md5";
+
+/* ============================================================================
+   tusProtocol - Common tus 1.0 headers and version negotiation
+   Mounted ahead of cors() so OPTIONS discovery responses carry the
+   Tus-* headers before cors ends the request.
+============================================================================ */
+const tusProtocol = (req, res, next) => {
+  res.setHeader("Tus-Resumable", TUS_VERSION);
+
+  if (req.method === "OPTIONS") {
+    res.setHeader("Tus-Version", TUS_VERSION);
+    res.setHeader("Tus-Extension", TUS_EXTENSIONS);
+    res.setHeader("Tus-Max-Size", uploadConfig.maxFileSize);
+    res.setHeader("Tus-Checksum-Algorithm", TUS_CHECKSUM_ALGORITHMS);
+    return next();
+  }
+
+  if (req.headers["tus-resumable"] !== TUS_VERSION) {
+    res.setHeader("Tus-Version", TUS_VERSION);
+    return next(
+      new ApiError({
+        statusCode: 412,
+        message: `Unsupported tus version (expected ${TUS_VERSION})`,
+        errorCode: "TUS_VERSION_UNSUPPORTED",
+      })
+    );
+  }
+
+  next();
+};
+
+// Headers browsers must be allowed to read from tus responses
+const TUS_EXPOSED_HEADERS = [
+  "Location",
+  "Upload-Offset",
+  "Upload-Length",
+  "Upload-Metadata",
+  "Tus-Resumable",
+  "Tus-Version",
+  "Tus-Extension",
+  "Tus-Max-Size",
+  "Tus-Checksum-Algorithm",
+  "X-File-Id",
+];
+
+export { tusProtocol, TUS_EXPOSED_HEADERS };
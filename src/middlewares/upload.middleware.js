@@ -0,0 +1,94 @@
+import multer from "multer";
+import { storage } from "../storage/index.js";
+import StreamingStorageEngine from "../storage/StreamingStorageEngine.js";
+import { uploadConfig } from "../config/index.js";
+import { assertQuota } from "../services/quota.service.js";
+import ApiError from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+// Files are streamed straight to the storage provider (never held in memory)
+const streamingUpload = multer({
+  storage: new StreamingStorageEngine({
+    provider: storage,
+    getKey: (req, file) =>
+      `${req.user?.id || null}/${Date.now()}_${file.originalname}`, // unique path
+  }),
+  limits: { fileSize: uploadConfig.maxFileSize },
+});
+
+// Multipart chunks are small and S3 needs their exact length up front
+const chunkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: uploadConfig.maxChunkSize },
+});
+
+// Translate multer errors into ApiErrors
+function withUploadErrors(middleware, maxSize) {
+  return (req, res, next) =>
+    middleware(req, res, (err) => {
+      if (!err || err instanceof ApiError) return next(err);
+
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return next(
+          new ApiError({
+            statusCode: 413,
+            message: `File exceeds the maximum upload size of ${maxSize} bytes`,
+            errorCode: "FILE_TOO_LARGE",
+          })
+        );
+      }
+
+      if (err instanceof multer.MulterError) {
+        return next(
+          new ApiError({
+            statusCode: 400,
+            message: err.message,
+            errorCode: "BAD_REQUEST",
+          })
+        );
+      }
+
+      next(err);
+    });
+}
+
+const uploadSingle = (fieldName) =>
+  withUploadErrors(streamingUpload.single(fieldName), uploadConfig.maxFileSize);
+
+const uploadMany = (fieldName, maxCount) =>
+  withUploadErrors(
+    streamingUpload.array(fieldName, maxCount),
+    uploadConfig.maxFileSize
+  );
+
+const uploadChunk = (fieldName) =>
+  withUploadErrors(chunkUpload.single(fieldName), uploadConfig.maxChunkSize);
+
+// Size an upload request claims before its body is read: X-Upload-Size (the
+// total of its files) and Content-Length (which also counts the multipart
+// framing), whichever is smaller; null when neither is sent
+function declaredUploadSize(req) {
+  const sizes = [req.headers["x-upload-size"], req.headers["content-length"]]
+    .filter((value) => value !== undefined && /^\d+$/.test(value))
+    .map(Number);
+
+  return sizes.length ? Math.min(...sizes) : null;
+}
+
+/* ============================================================================
+   checkUploadQuota - Refuse an upload that can't fit in the quota before any
+   of it is streamed to storage. The bytes count against req.targetFile's
+   owner (new versions) or the user. Sizes are only the client's claim, so
+   the stored size is checked again when the file is saved.
+============================================================================ */
+const checkUploadQuota = asyncHandler(async (req, res, next) => {
+  const bytes = declaredUploadSize(req);
+
+  if (bytes !== null) {
+    await assertQuota(req.targetFile?.owner_id ?? req.user?.id, bytes);
+  }
+
+  next();
+});
+
+export { uploadSingle, uploadMany, uploadChunk, checkUploadQuota };
@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  downloadFolder,
+  downloadZip,
+  extractArchive,
+  listArchiveEntries,
+  downloadArchiveEntry,
+} from "../controllers/archive.controller.js";
+
+const router = express.Router();
+
+/* ================================
+   ZIP Download Routes
+================================ */
+router.get("/folders/:id/download", downloadFolder); // Folder as ZIP
+router.post("/download/zip", downloadZip); // Selected items as one ZIP
+
+/* ================================
+   Archive Extraction Routes
+================================ */
+router.post("/files/:id/extract", extractArchive); // Unpack into a new folder
+
+/* ================================
+   Archive Browsing Routes (ZIP)
+================================ */
+router.get("/files/:id/archive/entries", listArchiveEntries); // Central directory
+router.get("/files/:id/archive/entries/*path", downloadArchiveEntry); // One entry
+
+export default router;
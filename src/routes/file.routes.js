@@ -1,20 +1,66 @@
 import express from "express";
 import {
-  upload,
   uploadFile,
+  uploadBatch,
   downloadFile,
   getFileMetadata,
+  initChunkUpload,
   uploadFileChunk,
-  completeChunkUpload
+  listUploadedParts,
+  abortChunkUpload,
+  completeChunkUpload,
 } from "../controllers/file.controller.js";
+import {
+  authorizeVersionUpload,
+  uploadFileVersion,
+  listVersions,
+  restoreVersion,
+} from "../controllers/version.controller.js";
+import { getThumbnail } from "../controllers/preview.controller.js";
+import { getImage } from "../controllers/image.controller.js";
+import {
+  uploadSingle,
+  uploadMany,
+  uploadChunk,
+  checkUploadQuota,
+} from "../middlewares/upload.middleware.js";
+import { uploadConfig } from "../config/index.js";
 
 const router = express.Router();
 
 // POST /files/upload
-router.route("/upload").post(upload.single("file"), uploadFile);
+router
+  .route("/upload")
+  .post(checkUploadQuota, uploadSingle("file"), uploadFile);
+router
+  .route("/upload-batch")
+  .post(
+    checkUploadQuota,
+    uploadMany("files", uploadConfig.maxBatchFiles),
+    uploadBatch
+  );
 router.route("/download/:id").get(downloadFile);
 router.route("/:id/metadata").get(getFileMetadata);
-router.route("/upload-chunk").post(upload.single("chunk"), uploadFileChunk);
+router.route("/:id/thumbnail").get(getThumbnail);
+router.route("/:id/image").get(getImage);
+
+// Version history
+router
+  .route("/:id/versions")
+  .get(listVersions)
+  .post(
+    authorizeVersionUpload,
+    checkUploadQuota,
+    uploadSingle("file"),
+    uploadFileVersion
+  );
+router.route("/:id/versions/:versionId/restore").post(restoreVersion);
+
+// Chunked (multipart) uploads
+router.route("/upload-init").post(initChunkUpload);
+router.route("/upload-chunk").post(uploadChunk("chunk"), uploadFileChunk);
 router.route("/upload-complete/:uploadId").post(completeChunkUpload);
+router.route("/upload/:uploadId/parts").get(listUploadedParts);
+router.route("/upload/:uploadId").delete(abortChunkUpload);
 
 export default router;
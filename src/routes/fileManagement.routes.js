@@ -8,6 +8,7 @@ import {
   softDeleteFile,
   softDeleteFolder,
   copyFile,
+  copyFolder,
   moveFile,
   moveFolder,
   getFolderContents,
@@ -31,6 +32,7 @@ router.get("/folders", listFolders); // List folders with pagination
 router.post("/folders", createFolder); // Create new folder
 router.put("/folders/:id", renameFolder); // Rename folder
 router.delete("/folders/:id", softDeleteFolder); // Soft delete folder
+router.post("/folders/:id/copy", copyFolder); // Copy folder (recursive)
 router.post("/folders/:id/move", moveFolder); // Move folder
 router.get("/folders/:id/contents", getFolderContents); // Get contents
 
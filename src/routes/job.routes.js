@@ -0,0 +1,11 @@
+import express from "express";
+import { getJob } from "../controllers/job.controller.js";
+
+const router = express.Router();
+
+/* ================================
+   Background Job Routes
+================================ */
+router.get("/jobs/:id", getJob); // Job status & progress
+
+export default router;
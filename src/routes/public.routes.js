@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  accessPublicResource,
+  unlockPublicLink,
+  downloadPublicFile,
+} from "../controllers/sharing.controller.js";
+
+const router = express.Router();
+
+// GET /public/:token → Access public file/folder (no login required)
+router.route("/public/:token").get(accessPublicResource);
+
+// POST /public/:token/unlock → Unlock a password-protected link
+router.route("/public/:token/unlock").post(unlockPublicLink);
+
+// GET /public/:token/download → Download the shared file
+router.route("/public/:token/download").get(downloadPublicFile);
+
+export default router;
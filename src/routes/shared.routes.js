@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  listSharedWithMe,
+  hideSharedItem,
+  unhideSharedItem,
+  addShortcut,
+  removeShortcut,
+} from "../controllers/shared.controller.js";
+
+const router = express.Router();
+
+/* ================================
+   Shared With Me Routes
+================================ */
+router.get("/shared-with-me", listSharedWithMe); // Items shared with you
+router.post("/shared-with-me/:id/hide", hideSharedItem); // Hide from the list
+router.delete("/shared-with-me/:id/hide", unhideSharedItem); // Show again
+router.post("/shared-with-me/:id/shortcut", addShortcut); // Add to my drive
+router.delete("/shared-with-me/:id/shortcut", removeShortcut); // Remove from my drive
+
+export default router;
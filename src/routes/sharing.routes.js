@@ -3,10 +3,13 @@ import {
   shareFile,
   shareFolder,
   getFilePermissions,
+  getFolderPermissions,
   updateFilePermissions,
+  updateFolderPermissions,
   removeFilePermission,
+  removeFolderPermission,
   generatePublicLink,
-  accessPublicResource,
+  updatePublicLink,
   generateSignedUrl,
 } from "../controllers/sharing.controller.js";
 
@@ -29,11 +32,22 @@ router
   .route("/files/:id/permissions/:permissionId")
   .delete(removeFilePermission);
 
+// GET /folders/:id/permissions → Get all permissions for a folder
+router.route("/folders/:id/permissions").get(getFolderPermissions);
+
+// PUT /folders/:id/permissions → Update folder permissions
+router.route("/folders/:id/permissions").put(updateFolderPermissions);
+
+// DELETE /folders/:id/permissions/:permissionId → Remove specific permission
+router
+  .route("/folders/:id/permissions/:permissionId")
+  .delete(removeFolderPermission);
+
 // POST /files/:id/public-link → Generate public sharing link
 router.route("/files/:id/public-link").post(generatePublicLink);
 
-// GET /public/:token → Access public file/folder
-router.route("/public/:token").get(accessPublicResource);
+// PATCH /files/:id/public-link → Change public link options
+router.route("/files/:id/public-link").patch(updatePublicLink);
 
 // POST /files/:id/signed-url → Generate signed download URL
 router.route("/files/:id/signed-url").post(generateSignedUrl);
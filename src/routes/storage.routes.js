@@ -0,0 +1,9 @@
+import express from "express";
+import { serveLocalObject } from "../controllers/storage.controller.js";
+
+const router = express.Router();
+
+// GET /storage/local → Download via a local-driver signed URL (no login required)
+router.route("/storage/local").get(serveLocalObject);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  listTrash,
+  restoreTrashItem,
+  deleteTrashItem,
+  emptyTrash,
+} from "../controllers/trash.controller.js";
+
+const router = express.Router();
+
+/* ================================
+   Trash Routes
+================================ */
+router.get("/trash", listTrash); // List trashed items
+router.delete("/trash", emptyTrash); // Permanently delete everything in trash
+router.post("/trash/:id/restore", restoreTrashItem); // Restore item
+router.delete("/trash/:id", deleteTrashItem); // Permanently delete item
+
+export default router;
@@ -0,0 +1,19 @@
+import express from "express";
+import {
+  createTusUpload,
+  getTusUploadOffset,
+  patchTusUpload,
+  terminateTusUpload,
+} from "../controllers/tus.controller.js";
+
+const router = express.Router();
+
+// tus 1.0 resumable uploads (creation, termination and checksum extensions)
+router.route("/").post(createTusUpload);
+router
+  .route("/:id")
+  .head(getTusUploadOffset)
+  .patch(patchTusUpload)
+  .delete(terminateTusUpload);
+
+export default router;
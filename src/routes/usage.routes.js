@@ -0,0 +1,11 @@
+import express from "express";
+import { getMyStorage } from "../controllers/usage.controller.js";
+
+const router = express.Router();
+
+/* ================================
+   Storage Usage Routes
+================================ */
+router.get("/me/storage", getMyStorage); // Quota & usage breakdown
+
+export default router;
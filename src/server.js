@@ -2,10 +2,22 @@ import "./config/env.js";
 
 import app from "./app.js";
 import logger from "./utils/logger.js";
+import { startUploadSessionSweeper } from "./jobs/uploadSessionSweeper.js";
+import { startTrashPurger } from "./jobs/trashPurger.js";
+import { startVersionPruner } from "./jobs/versionPruner.js";
+import { startBlobSweeper } from "./jobs/blobSweeper.js";
+import { startPreviewWorker } from "./jobs/previewWorker.js";
+import { startStaleJobSweeper } from "./jobs/staleJobSweeper.js";
 
 const PORT = process.env.PORT || 8080; // Use PORT from env or default 3000
 
 let server;
+let stopUploadSweeper;
+let stopTrashPurger;
+let stopVersionPruner;
+let stopBlobSweeper;
+let stopPreviewWorker;
+let stopJobSweeper;
 
 const startServer = async () => {
   try {
@@ -16,6 +28,24 @@ const startServer = async () => {
       logger.info(`Server running at http://localhost:${PORT}`);
     });
 
+    // Abort multipart uploads that were abandoned mid-way
+    stopUploadSweeper = startUploadSessionSweeper();
+
+    // Permanently delete trash older than the retention window
+    stopTrashPurger = startTrashPurger();
+
+    // Drop old file versions outside the retention rules
+    stopVersionPruner = startVersionPruner();
+
+    // Delete stored objects nothing references any more
+    stopBlobSweeper = startBlobSweeper();
+
+    // Generate thumbnails and snippets for new uploads
+    stopPreviewWorker = startPreviewWorker();
+
+    // Fail background jobs whose server went away mid-run
+    stopJobSweeper = startStaleJobSweeper();
+
     server.on("error", (error) => {
       logger.error("Server error: " + error.message);
       process.exit(1);
@@ -29,6 +59,12 @@ const startServer = async () => {
       if (isShuttingDown) return;
       isShuttingDown = true;
       logger.warn("Shutdown initiated");
+      stopUploadSweeper?.();
+      stopTrashPurger?.();
+      stopVersionPruner?.();
+      stopBlobSweeper?.();
+      stopPreviewWorker?.();
+      stopJobSweeper?.();
       server?.close(() => {
         logger.info("Server closed");
         process.exit(0);
@@ -0,0 +1,257 @@
+import zlib from "zlib";
+import { PassThrough, Readable, Transform, pipeline } from "stream";
+import yauzl from "yauzl";
+import tar from "tar-stream";
+import { storage } from "../storage/index.js";
+import ApiError from "../utils/ApiError.js";
+
+// Reading archives that are stored as files. ZIPs are read with ranged
+// requests (their directory sits at the end of the file); tarballs are read
+// front to back in a single pass.
+
+const ARCHIVE_FORMATS = [
+  {
+    format: "zip",
+    extensions: [".zip"],
+    mimeTypes: ["application/zip", "application/x-zip-compressed"],
+  },
+  {
+    format: "tar.gz",
+    extensions: [".tar.gz", ".tgz"],
+    mimeTypes: ["application/gzip", "application/x-gzip"],
+  },
+  {
+    format: "tar",
+    extensions: [".tar"],
+    mimeTypes: ["application/x-tar"],
+  },
+];
+
+// The archive format of a file node ("zip", "tar.gz" or "tar"), by its
+// extension and then its MIME type. Null if it isn't one we can read.
+function detectArchiveFormat({ name, mime_type }) {
+  const lower = name.toLowerCase();
+  const match =
+    ARCHIVE_FORMATS.find((f) => f.extensions.some((e) => lower.endsWith(e))) ||
+    ARCHIVE_FORMATS.find((f) => f.mimeTypes.includes(mime_type));
+
+  return match?.format ?? null;
+}
+
+// "backup.tar.gz" -> "backup"
+function archiveBaseName(name) {
+  const lower = name.toLowerCase();
+  const extension = ARCHIVE_FORMATS.flatMap((f) => f.extensions).find((e) =>
+    lower.endsWith(e)
+  );
+  const base = extension ? name.slice(0, -extension.length) : name;
+  return base.trim() || name;
+}
+
+function corruptArchive(err) {
+  return new ApiError({
+    statusCode: 422,
+    message: `The archive could not be read: ${err.message}`,
+    errorCode: "INVALID_ARCHIVE",
+  });
+}
+
+/* ============================================================================
+   ZIP
+============================================================================ */
+
+// Small reads are served from one read-ahead block, so walking the central
+// directory (or a run of small entries) doesn't cost a request per read
+const READ_AHEAD_BYTES = 1024 * 1024;
+
+// Unix file type bits in a ZIP entry's external attributes
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const MADE_BY_UNIX = 3;
+
+// yauzl reader over a stored object, backed by ranged reads
+class StoredObjectReader extends yauzl.RandomAccessReader {
+  constructor(path, size) {
+    super();
+    this.path = path;
+    this.size = size;
+    this.block = null;
+  }
+
+  // Chunks of bytes [start, end)
+  async readRange(start, end) {
+    if (end - start > READ_AHEAD_BYTES) {
+      return storage.getStream(this.path, { start, end: end - 1 });
+    }
+
+    const block = this.block;
+    if (
+      !block ||
+      start < block.start ||
+      end > block.start + block.data.length
+    ) {
+      const blockEnd = Math.min(start + READ_AHEAD_BYTES, this.size);
+      const chunks = [];
+      for await (const chunk of await storage.getStream(this.path, {
+        start,
+        end: blockEnd - 1,
+      })) {
+        chunks.push(chunk);
+      }
+      this.block = { start, data: Buffer.concat(chunks) };
+    }
+
+    const offset = start - this.block.start;
+    return [this.block.data.subarray(offset, offset + end - start)];
+  }
+
+  _readStreamForRange(start, end) {
+    if (end <= start) return Readable.from([]);
+
+    const reader = this;
+    return Readable.from(
+      (async function* () {
+        yield* await reader.readRange(start, end);
+      })()
+    );
+  }
+}
+
+function describeZipEntry(zipfile, entry) {
+  const name = yauzl.getFileNameLowLevel(
+    entry.generalPurposeBitFlag,
+    entry.fileNameRaw,
+    entry.extraFields,
+    false
+  );
+  const mode = entry.externalFileAttributes >>> 16;
+  const isLink =
+    entry.versionMadeBy >> 8 === MADE_BY_UNIX && (mode & S_IFMT) === S_IFLNK;
+
+  let type = "file";
+  if (name.endsWith("/")) type = "directory";
+  else if (isLink) type = "symlink";
+
+  return {
+    name,
+    type,
+    size: entry.uncompressedSize,
+    compressedSize: entry.compressedSize,
+    date: entry.getLastModDate(),
+    // Encrypted entries and methods other than store/deflate can't be read
+    readable:
+      !entry.isEncrypted() &&
+      (entry.compressionMethod === 0 || entry.compressionMethod === 8),
+    open: () =>
+      new Promise((resolve, reject) =>
+        zipfile.openReadStream(entry, (err, stream) =>
+          err ? reject(corruptArchive(err)) : resolve(stream)
+        )
+      ),
+  };
+}
+
+// Open a stored ZIP: resolves to { entryCount, entries(), close() }.
+// Entry names are returned as stored, unvalidated: callers decide what to
+// do with unsafe paths. Sizes are checked against the data as it's read.
+async function openZip({ path, size_bytes }) {
+  const size = Number(size_bytes);
+  const reader = new StoredObjectReader(path, size);
+
+  let zipfile;
+  try {
+    zipfile = await yauzl.fromRandomAccessReaderPromise(reader, size, {
+      autoClose: false,
+      decodeStrings: false,
+    });
+  } catch (err) {
+    throw corruptArchive(err);
+  }
+
+  // Walk the central directory (only once per open ZIP)
+  const entries = () =>
+    new Promise((resolve, reject) => {
+      const list = [];
+      zipfile.on("entry", (entry) => {
+        list.push(describeZipEntry(zipfile, entry));
+        zipfile.readEntry();
+      });
+      zipfile.once("end", () => resolve(list));
+      zipfile.once("error", (err) => reject(corruptArchive(err)));
+      zipfile.readEntry();
+    });
+
+  return {
+    entryCount: zipfile.entryCount,
+    entries,
+    close: () => zipfile.close(),
+  };
+}
+
+/* ============================================================================
+   TAR (optionally gzipped)
+============================================================================ */
+
+const TAR_TYPES = {
+  file: "file",
+  "contiguous-file": "file",
+  directory: "directory",
+  symlink: "symlink",
+  link: "symlink",
+};
+
+// Open a stored tarball for a single pass: resolves to { entries, bytesRead }
+// where `entries` yields each entry in order (its `open()` stream must be
+// read before moving on) and `bytesRead()` is how much of the archive has
+// been consumed so far.
+async function openTar({ path }, { gzip = false } = {}) {
+  const source = await storage.getStream(path);
+  let bytesRead = 0;
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytesRead += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  const extract = tar.extract();
+
+  pipeline(
+    source,
+    counter,
+    gzip ? zlib.createGunzip() : new PassThrough(),
+    extract,
+    (err) => {
+      if (err) extract.destroy(corruptArchive(err));
+    }
+  );
+
+  async function* entries() {
+    try {
+      for await (const stream of extract) {
+        const { header } = stream;
+
+        yield {
+          name: header.name,
+          type: TAR_TYPES[header.type] || "other",
+          size: header.size,
+          compressedSize: null,
+          date: header.mtime,
+          readable: true,
+          open: async () => stream,
+        };
+
+        // Skip whatever the caller didn't read
+        stream.resume();
+      }
+    } catch (err) {
+      throw err instanceof ApiError ? err : corruptArchive(err);
+    } finally {
+      source.destroy();
+    }
+  }
+
+  return { entries: entries(), bytesRead: () => bytesRead };
+}
+
+export { detectArchiveFormat, archiveBaseName, openZip, openTar };
@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { queuePreview, deletePreviewObjects } from "./preview.service.js";
+import { deleteRenditions } from "./image.service.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../utils/logger.js";
+
+// Stored objects are tracked in `blobs`, one row per storage key with the
+// SHA-256 of its contents. Nodes and file versions reference a blob through
+// their `path`; database triggers keep `ref_count` in step, so copies and
+// versions can share an object and it is only deleted with its last
+// reference.
+
+// The owner's live blob with these contents, if any
+async function findBlob({ ownerId, checksum, sizeBytes }) {
+  if (!checksum) return null;
+
+  let query = supabase
+    .from("blobs")
+    .select("path, sha256, size_bytes, ref_count")
+    .eq("owner_id", ownerId)
+    .eq("sha256", checksum)
+    .gt("ref_count", 0);
+
+  if (sizeBytes != null) query = query.eq("size_bytes", sizeBytes);
+
+  const { data, error } = await query.limit(1);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to look up stored contents",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return data[0] || null;
+}
+
+// SHA-256 (hex) of an object already in storage, for uploads whose body
+// wasn't hashed on the way in (multipart parts arrive separately)
+async function hashStoredObject(key) {
+  const hash = crypto.createHash("sha256");
+  for await (const chunk of await storage.getStream(key)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+// Record a freshly stored object so nodes can reference it
+async function registerBlob({ ownerId, path, checksum = null, sizeBytes }) {
+  const { error } = await supabase.from("blobs").upsert(
+    [
+      {
+        path,
+        owner_id: ownerId,
+        sha256: checksum,
+        size_bytes: sizeBytes,
+      },
+    ],
+    { onConflict: "path", ignoreDuplicates: true }
+  );
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to register stored contents",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+}
+
+// Save an uploaded object through `save(path)`, which creates the rows that
+// reference it. When the owner already has identical contents the existing
+// blob is referenced instead and the uploaded copy is dropped; new contents
+// are queued for a preview.
+async function storeUploadedBlob(
+  { ownerId, path, checksum, sizeBytes, mimeType, name },
+  save
+) {
+  const existing = await findBlob({ ownerId, checksum, sizeBytes });
+  if (!existing) await registerBlob({ ownerId, path, checksum, sizeBytes });
+
+  let result;
+  try {
+    result = await save(existing?.path ?? path);
+  } catch (err) {
+    if (!existing) await releaseBlobs([path]).catch(() => {});
+    throw err;
+  }
+
+  if (existing) {
+    await storage
+      .delete(path)
+      .catch((err) =>
+        logger.warn(`Failed to drop duplicate upload ${path}: ${err.message}`)
+      );
+  } else {
+    await queuePreview({ path, mimeType, name });
+  }
+
+  return { result, deduplicated: Boolean(existing) };
+}
+
+// Delete the blobs (and their storage objects) among `paths` that nothing
+// references any more. The row is claimed first, so a concurrent reference
+// either lands before (and keeps the blob) or fails. Objects that can't be
+// deleted keep an unreferenced row for the sweeper to retry. Resolves to
+// the number of objects deleted.
+async function releaseBlobs(paths) {
+  if (paths.length === 0) return 0;
+
+  const { data: claimed, error } = await supabase
+    .from("blobs")
+    .delete()
+    .in("path", paths)
+    .eq("ref_count", 0)
+    .select("path, owner_id, sha256, size_bytes, created_at");
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to release stored contents",
+      errorCode: "DB_DELETE_FAILED",
+    });
+  }
+
+  let deleted = 0;
+  for (const blob of claimed) {
+    try {
+      await storage.delete(blob.path);
+      await deletePreviewObjects(blob.path);
+      await deleteRenditions(blob.path);
+      deleted++;
+    } catch (err) {
+      logger.warn(`Failed to delete object ${blob.path}: ${err.message}`);
+      await supabase.from("blobs").insert([blob]);
+    }
+  }
+
+  return deleted;
+}
+
+export {
+  findBlob,
+  hashStoredObject,
+  registerBlob,
+  storeUploadedBlob,
+  releaseBlobs,
+};
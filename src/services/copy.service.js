@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { supabase } from "../utils/supabaseClient.js";
+import ApiError from "../utils/ApiError.js";
+import { conflictError, isNameConflict } from "./naming.service.js";
+
+// Rows inserted per statement while copying a tree
+const INSERT_BATCH_SIZE = 500;
+
+const COPY_COLUMNS =
+  "id, type, name, size_bytes, mime_type, parent_id, path, checksum_sha256";
+
+// Insert copies of `folder` and its `descendants` (parents before children)
+// under `parentId`. Files keep pointing at the same storage object; the
+// object is only removed once no node references it any more.
+async function copyTree({
+  folder,
+  descendants,
+  parentId,
+  ownerId,
+  name,
+  onProgress,
+}) {
+  // 1. Pre-assign ids so children can point at their copied parent
+  const idMap = new Map([[folder.id, crypto.randomUUID()]]);
+  descendants.forEach((n) => idMap.set(n.id, crypto.randomUUID()));
+
+  const rows = [
+    {
+      id: idMap.get(folder.id),
+      owner_id: ownerId,
+      type: "folder",
+      name,
+      parent_id: parentId,
+    },
+    ...descendants.map((n) => ({
+      id: idMap.get(n.id),
+      owner_id: ownerId,
+      type: n.type,
+      name: n.name,
+      size_bytes: n.size_bytes,
+      mime_type: n.mime_type,
+      path: n.path, // same storage path (shared)
+      checksum_sha256: n.checksum_sha256,
+      parent_id: idMap.get(n.parent_id),
+    })),
+  ];
+
+  // 2. Insert level by level in batches, reporting progress as we go
+  const inserted = [];
+  try {
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+      const { error } = await supabase.from("nodes").insert(batch);
+      if (error) throw error;
+
+      inserted.push(...batch.map((r) => r.id));
+      await onProgress?.(inserted.length);
+    }
+  } catch (err) {
+    // Don't leave a half-copied tree behind
+    const deepestFirst = inserted.reverse();
+    for (let i = 0; i < deepestFirst.length; i += INSERT_BATCH_SIZE) {
+      await supabase
+        .from("nodes")
+        .delete()
+        .in("id", deepestFirst.slice(i, i + INSERT_BATCH_SIZE));
+    }
+
+    // The name was taken between resolving it and inserting the copy
+    if (isNameConflict(err)) throw conflictError({ type: "folder", name });
+
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to copy folder",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  const { data: copy, error } = await supabase
+    .from("nodes")
+    .select("id, name, parent_id, created_at")
+    .eq("id", idMap.get(folder.id))
+    .single();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch copied folder",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return { folder: copy, copied: rows.length };
+}
+
+export { COPY_COLUMNS, copyTree };
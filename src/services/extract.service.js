@@ -0,0 +1,278 @@
+import { Transform, pipeline } from "stream";
+import mime from "mime-types";
+import { storage } from "../storage/index.js";
+import { extractConfig } from "../config/index.js";
+import { openZip, openTar } from "./archive.service.js";
+import {
+  splitRelativePath,
+  ensureFolderPath,
+  saveUploadedFile,
+} from "./node.service.js";
+import { purgeNodes } from "./trash.service.js";
+import { createDigestStream } from "../utils/digestStream.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../utils/logger.js";
+
+// Small archives can legitimately expand a lot (a text file of spaces), so
+// the compression ratio is only enforced past this many bytes
+const RATIO_FLOOR_BYTES = 1024 * 1024;
+
+// Skipped entries listed on the job result (the count covers all of them)
+const MAX_REPORTED_SKIPS = 100;
+
+const PROGRESS_INTERVAL_MS = 1000;
+
+function limitExceeded(message) {
+  return new ApiError({
+    statusCode: 422,
+    message,
+    errorCode: "ARCHIVE_LIMIT_EXCEEDED",
+  });
+}
+
+// Reject `bytes` of extracted data coming out of `compressedBytes` of
+// archive when that's more than the limits allow
+function assertExpansion(bytes, compressedBytes) {
+  if (bytes > extractConfig.maxTotalBytes) {
+    throw limitExceeded(
+      `Archive expands to more than ${extractConfig.maxTotalBytes} bytes`
+    );
+  }
+
+  if (
+    bytes > RATIO_FLOOR_BYTES &&
+    bytes > compressedBytes * extractConfig.maxRatio
+  ) {
+    throw limitExceeded(
+      `Archive expands to more than ${extractConfig.maxRatio} times its compressed size`
+    );
+  }
+}
+
+// Check a ZIP's directory against the limits: every entry's ratio and the
+// archive's as a whole. yauzl then holds each entry to its declared size.
+async function checkZip(zip, archiveSize) {
+  if (zip.entryCount > extractConfig.maxEntries) {
+    throw limitExceeded(
+      `Archive has more than ${extractConfig.maxEntries} entries`
+    );
+  }
+
+  const entries = await zip.entries();
+  let totalBytes = 0;
+
+  for (const entry of entries) {
+    if (entry.type !== "file") continue;
+    assertExpansion(entry.size, entry.compressedSize);
+    totalBytes += entry.size;
+  }
+
+  assertExpansion(totalBytes, archiveSize);
+  return { entries, totalBytes };
+}
+
+// What can be known about an archive before extracting it. ZIPs are checked
+// against the limits up front and resolve to { entryCount, totalBytes };
+// tarballs can only be checked as they're read, so both are null for them.
+async function inspectArchive(archive, format) {
+  if (format !== "zip") return { entryCount: null, totalBytes: null };
+
+  const zip = await openZip(archive);
+  try {
+    const { entries, totalBytes } = await checkZip(
+      zip,
+      Number(archive.size_bytes)
+    );
+    return { entryCount: entries.length, totalBytes };
+  } finally {
+    zip.close();
+  }
+}
+
+// Pass-through that counts the bytes extracted so far, failing once they
+// break the limits. `compressedBytes()` is how much archive they came from.
+function createExpansionGuard(state, compressedBytes) {
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      state.extractedBytes += chunk.length;
+      try {
+        assertExpansion(state.extractedBytes, compressedBytes());
+        callback(null, chunk);
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+}
+
+// Write an entry's contents to storage, hashing them on the way
+async function storeEntry(state, entry, name, compressedBytes) {
+  const key = `${state.ownerId}/${Date.now()}_${state.filesCount}_${name}`;
+  const meter = createDigestStream("sha256");
+
+  pipeline(
+    await entry.open(),
+    createExpansionGuard(state, compressedBytes),
+    meter,
+    () => {} // errors reach storage.put through `meter`
+  );
+
+  try {
+    await storage.put(key, meter, {
+      contentType: mime.lookup(name) || "application/octet-stream",
+    });
+  } catch (err) {
+    await storage.delete(key).catch(() => {});
+    throw err;
+  }
+
+  return { key, size: meter.bytes, checksum: meter.digest("hex") };
+}
+
+function skip(state, entry, reason) {
+  state.skippedCount++;
+  if (state.skipped.length < MAX_REPORTED_SKIPS) {
+    state.skipped.push({ path: entry.name, reason });
+  }
+}
+
+// Recreate one entry under the extraction folder. Paths that would climb
+// out of it (zip-slip), links and unreadable entries are skipped.
+async function addEntry(state, entry, compressedBytes) {
+  const { ownerId, folder, folders } = state;
+  const target = /^([a-z]:)?[\\/]/i.test(entry.name)
+    ? null // absolute path
+    : splitRelativePath(entry.name);
+
+  if (!target) return skip(state, entry, "Unsafe path");
+
+  if (entry.type !== "file" && entry.type !== "directory") {
+    return skip(state, entry, "Links and special files are not extracted");
+  }
+
+  if (!entry.readable) {
+    return skip(state, entry, "Encrypted or unsupported compression method");
+  }
+
+  try {
+    if (entry.type === "directory") {
+      await ensureFolderPath({
+        ownerId,
+        parentId: folder.id,
+        segments: [...target.folders, target.name],
+        cache: folders,
+      });
+      return;
+    }
+
+    const parentId = await ensureFolderPath({
+      ownerId,
+      parentId: folder.id,
+      segments: target.folders,
+      cache: folders,
+    });
+
+    const stored = await storeEntry(state, entry, target.name, compressedBytes);
+
+    // Duplicate entries keep both copies
+    await saveUploadedFile({
+      ownerId,
+      name: target.name,
+      sizeBytes: stored.size,
+      mimeType: mime.lookup(target.name) || "application/octet-stream",
+      parentId,
+      path: stored.key,
+      checksum: stored.checksum,
+      policy: "rename",
+    });
+    state.filesCount++;
+  } catch (err) {
+    // e.g. a file and a folder with the same name
+    if (err instanceof ApiError && err.statusCode === 409) {
+      return skip(state, entry, err.message);
+    }
+    throw err;
+  }
+}
+
+// Report progress at most once per interval
+function throttle(onProgress) {
+  let last = 0;
+  return async (done) => {
+    if (!onProgress || Date.now() - last < PROGRESS_INTERVAL_MS) return;
+    last = Date.now();
+    await onProgress(done);
+  };
+}
+
+// Unpack `archive` into `folder` (already created, and owned by `ownerId`).
+// Progress counts entries for ZIPs and archive bytes read for tarballs. If
+// extraction fails, the folder and whatever was extracted into it are
+// deleted again.
+async function extractArchive({
+  archive,
+  format,
+  ownerId,
+  folder,
+  onProgress,
+}) {
+  const state = {
+    ownerId,
+    folder,
+    folders: new Map(), // ensureFolderPath cache
+    filesCount: 0,
+    extractedBytes: 0,
+    skipped: [],
+    skippedCount: 0,
+  };
+  const reportProgress = throttle(onProgress);
+
+  try {
+    if (format === "zip") {
+      const archiveSize = Number(archive.size_bytes);
+      const zip = await openZip(archive);
+
+      try {
+        const { entries } = await checkZip(zip, archiveSize);
+        for (const [i, entry] of entries.entries()) {
+          await addEntry(state, entry, () => archiveSize);
+          await reportProgress(i + 1);
+        }
+      } finally {
+        zip.close();
+      }
+    } else {
+      const tar = await openTar(archive, { gzip: format === "tar.gz" });
+      let entryCount = 0;
+
+      for await (const entry of tar.entries) {
+        if (++entryCount > extractConfig.maxEntries) {
+          throw limitExceeded(
+            `Archive has more than ${extractConfig.maxEntries} entries`
+          );
+        }
+        await addEntry(state, entry, tar.bytesRead);
+        await reportProgress(tar.bytesRead());
+      }
+    }
+  } catch (err) {
+    // Don't leave a half-extracted tree behind
+    await purgeNodes([folder]).catch((purgeErr) =>
+      logger.error(
+        `Failed to clean up extraction folder ${folder.id}: ${purgeErr.message}`
+      )
+    );
+    throw err;
+  }
+
+  return {
+    folder,
+    files_count: state.filesCount,
+    folders_count: state.folders.size,
+    extracted_bytes: state.extractedBytes,
+    skipped_count: state.skippedCount,
+    skipped: state.skipped,
+  };
+}
+
+export { inspectArchive, extractArchive };
@@ -0,0 +1,155 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { imageConfig } from "../config/index.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../utils/logger.js";
+
+// Renditions of stored images: resized, cropped, turned upright and
+// re-encoded on request, then cached in storage under a key derived from
+// the image's contents and the options, so a changed image or different
+// options never hit a stale copy.
+
+const IMAGE_FITS = ["cover", "contain", "fill", "inside", "outside"];
+
+const IMAGE_FORMATS = {
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+  png: "image/png",
+};
+
+// Canonical form of the options, shared by the cache key and the table
+const describeOptions = ({ width, height, fit, format, quality }) =>
+  `w${width ?? ""}_h${height ?? ""}_${fit}_q${quality}.${format}`;
+
+// Storage key of a rendition: next to the original, keyed by its contents
+function renditionKey(file, options) {
+  const params = describeOptions(options);
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${file.checksum_sha256 || file.path}:${params}`)
+    .digest("hex")
+    .slice(0, 32);
+
+  return `${file.path}.img-${digest}.${options.format}`;
+}
+
+async function countRenditions(path) {
+  const { count, error } = await supabase
+    .from("image_renditions")
+    .select("key", { count: "exact", head: true })
+    .eq("path", path);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to look up image renditions",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return count ?? 0;
+}
+
+// Render `file` (a stored image) with `options`. The result is cached under
+// `key` unless the image already has as many renditions as we keep; resolves
+// to { stored, data }.
+async function createRendition(file, options, key) {
+  if (Number(file.size_bytes) > imageConfig.maxSourceBytes) {
+    throw new ApiError({
+      statusCode: 413,
+      message: `Images over ${imageConfig.maxSourceBytes} bytes can't be transformed`,
+      errorCode: "IMAGE_TOO_LARGE",
+    });
+  }
+
+  const { width, height, fit, format, quality } = options;
+  const transformer = sharp({ failOn: "none" })
+    .rotate() // upright per EXIF orientation
+    .resize({
+      // Without a size, only keep the output within the limits
+      width: width ?? (height ? undefined : imageConfig.maxDimension),
+      height: height ?? (width ? undefined : imageConfig.maxDimension),
+      fit: width || height ? fit : "inside",
+      withoutEnlargement: true,
+    })
+    .toFormat(format, format === "png" ? {} : { quality });
+
+  const source = await storage.getStream(file.path);
+  source.on("error", (err) => transformer.destroy(err));
+
+  let data;
+  try {
+    data = await source.pipe(transformer).toBuffer();
+  } catch (err) {
+    throw new ApiError({
+      statusCode: 422,
+      message: `The image could not be processed: ${err.message}`,
+      errorCode: "INVALID_IMAGE",
+    });
+  }
+
+  if ((await countRenditions(file.path)) >= imageConfig.maxRenditions) {
+    return { stored: false, data };
+  }
+
+  await storage.put(key, data, {
+    contentType: IMAGE_FORMATS[format],
+    contentLength: data.length,
+  });
+
+  const { error } = await supabase.from("image_renditions").upsert(
+    [
+      {
+        key,
+        path: file.path,
+        params: describeOptions(options),
+        mime_type: IMAGE_FORMATS[format],
+        size_bytes: data.length,
+      },
+    ],
+    { onConflict: "key", ignoreDuplicates: true }
+  );
+
+  // Untracked, the object would outlive the original
+  if (error) {
+    await storage.delete(key).catch(() => {});
+    return { stored: false, data };
+  }
+
+  return { stored: true, data };
+}
+
+// Delete the renditions of contents that are going away
+async function deleteRenditions(path) {
+  const { data: renditions, error } = await supabase
+    .from("image_renditions")
+    .select("key")
+    .eq("path", path);
+
+  if (error) {
+    logger.warn(`Failed to fetch renditions of ${path}: ${error.message}`);
+    return;
+  }
+
+  if (renditions.length === 0) return;
+
+  for (const { key } of renditions) {
+    await storage
+      .delete(key)
+      .catch((err) =>
+        logger.warn(`Failed to delete rendition ${key}: ${err.message}`)
+      );
+  }
+
+  await supabase.from("image_renditions").delete().eq("path", path);
+}
+
+export {
+  IMAGE_FITS,
+  IMAGE_FORMATS,
+  renditionKey,
+  createRendition,
+  deleteRenditions,
+};
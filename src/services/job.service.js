@@ -0,0 +1,111 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { jobConfig } from "../config/index.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../utils/logger.js";
+
+const JOB_COLUMNS =
+  "id, type, status, progress_done, progress_total, result, error, created_at, updated_at";
+
+async function createJob({ userId, type, total = 0 }) {
+  const { data, error } = await supabase
+    .from("jobs")
+    .insert([{ user_id: userId, type, progress_total: total }])
+    .select(JOB_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to create job",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return data;
+}
+
+async function findJob(jobId, userId) {
+  const { data: job, error } = await supabase
+    .from("jobs")
+    .select(`${JOB_COLUMNS}, user_id`)
+    .eq("id", jobId)
+    .maybeSingle();
+
+  if (error || !job || job.user_id !== userId) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Job not found",
+      errorCode: "JOB_NOT_FOUND",
+    });
+  }
+
+  const { user_id, ...rest } = job;
+  return rest;
+}
+
+// Progress/status writes are best effort: a failed update shouldn't break
+// the operation the job is tracking
+async function updateJob(jobId, changes) {
+  const { error } = await supabase
+    .from("jobs")
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq("id", jobId);
+
+  if (error) logger.warn(`Failed to update job ${jobId}: ${error.message}`);
+}
+
+// Run `work(reportProgress)` in the background, recording the outcome on the
+// job. `work` resolves to the job's result. Until then the job heartbeats,
+// so the sweeper can tell it from one whose server went away.
+function runJob(job, work) {
+  const reportProgress = (done) => updateJob(job.id, { progress_done: done });
+
+  const heartbeat = setInterval(
+    () => updateJob(job.id, {}),
+    jobConfig.heartbeatMs
+  );
+  heartbeat.unref();
+
+  work(reportProgress)
+    .then((result) =>
+      updateJob(job.id, {
+        status: "completed",
+        progress_done: job.progress_total,
+        result,
+      })
+    )
+    .catch((err) => {
+      logger.error(`Job ${job.id} (${job.type}) failed: ${err.message}`);
+      return updateJob(job.id, { status: "failed", error: err.message });
+    })
+    .finally(() => clearInterval(heartbeat));
+}
+
+// Mark running jobs that have missed their heartbeats as failed; returns how
+// many were
+async function failStaleJobs() {
+  const cutoff = new Date(Date.now() - jobConfig.staleAfterMs).toISOString();
+
+  const { data, error } = await supabase
+    .from("jobs")
+    .update({
+      status: "failed",
+      error: "Interrupted before it finished",
+      updated_at: new Date().toISOString(),
+    })
+    .eq("status", "running")
+    .lt("updated_at", cutoff)
+    .select("id");
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to update stale jobs",
+      errorCode: "DB_UPDATE_FAILED",
+    });
+  }
+
+  return data.length;
+}
+
+export { createJob, findJob, runJob, failStaleJobs };
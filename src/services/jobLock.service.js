@@ -0,0 +1,31 @@
+import crypto from "crypto";
+import os from "os";
+import { supabase } from "../utils/supabaseClient.js";
+
+// Identifies this process as a lock holder
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+
+// Run `fn` only if this instance gets the named lease; resolves to
+// { acquired: false } when another instance holds it
+async function withJobLock(name, ttlMs, fn) {
+  const { data: acquired, error } = await supabase.rpc("try_acquire_job_lock", {
+    p_name: name,
+    p_owner: INSTANCE_ID,
+    p_ttl_seconds: Math.ceil(ttlMs / 1000),
+  });
+
+  if (error)
+    throw new Error(`Failed to acquire lock "${name}": ${error.message}`);
+  if (!acquired) return { acquired: false };
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await supabase.rpc("release_job_lock", {
+      p_name: name,
+      p_owner: INSTANCE_ID,
+    });
+  }
+}
+
+export { withJobLock };
@@ -0,0 +1,173 @@
+import { supabase } from "../utils/supabaseClient.js";
+import ApiError from "../utils/ApiError.js";
+
+// How to handle a sibling that already has the requested name:
+// fail (409), rename ("report (1).pdf") or replace the existing item
+const CONFLICT_POLICIES = ["fail", "rename", "replace"];
+
+// Postgres unique_violation (the case-insensitive sibling name index)
+const UNIQUE_VIOLATION = "23505";
+
+function parseConflictPolicy(value, fallback = "fail") {
+  const policy = value ?? fallback;
+
+  if (!CONFLICT_POLICIES.includes(policy)) {
+    throw new ApiError({
+      statusCode: 422,
+      message: `onConflict must be one of: ${CONFLICT_POLICIES.join(", ")}`,
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+
+  return policy;
+}
+
+// onConflict from the body (or query string, e.g. for file uploads)
+function getConflictPolicy(req, fallback = "fail") {
+  return parseConflictPolicy(
+    req.body?.onConflict ?? req.query?.onConflict,
+    fallback
+  );
+}
+
+function conflictError(existing) {
+  const isFolder = existing.type === "folder";
+
+  return new ApiError({
+    statusCode: 409,
+    message: `A ${isFolder ? "folder" : "file"} named "${existing.name}" already exists here`,
+    errorCode: isFolder ? "FOLDER_CONFLICT" : "FILE_CONFLICT",
+  });
+}
+
+// Map a unique-index violation from an insert/update to a 409
+function isNameConflict(error) {
+  return error?.code === UNIQUE_VIOLATION;
+}
+
+// Match a name literally in an ILIKE pattern
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// Live items in a folder; root is per owner
+function siblingsQuery({ ownerId, parentId, excludeId }, columns) {
+  let query = supabase.from("nodes").select(columns).is("deleted_at", null);
+
+  query = parentId
+    ? query.eq("parent_id", parentId)
+    : query.is("parent_id", null).eq("owner_id", ownerId);
+
+  return excludeId ? query.neq("id", excludeId) : query;
+}
+
+// The live sibling whose name matches case-insensitively, if any
+async function findNameConflict({ ownerId, parentId, name, excludeId }) {
+  const { data, error } = await siblingsQuery(
+    { ownerId, parentId, excludeId },
+    "id, name, type, parent_id, owner_id"
+  )
+    .ilike("name", escapeLike(name))
+    .limit(1);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to check for name conflicts",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return data[0] || null;
+}
+
+// "report.pdf" -> ["report", ".pdf"]; folders and dotfiles keep the whole name
+function splitName(name, type) {
+  const dot = name.lastIndexOf(".");
+  if (type === "folder" || dot <= 0) return [name, ""];
+  return [name.slice(0, dot), name.slice(dot)];
+}
+
+// First free "name (n).ext" in the folder
+async function nextAvailableName({ ownerId, parentId, name, type, excludeId }) {
+  const [rawBase, ext] = splitName(name, type);
+  const base = rawBase.replace(/ \(\d+\)$/, "");
+
+  const { data, error } = await siblingsQuery(
+    { ownerId, parentId, excludeId },
+    "name"
+  ).ilike("name", `${escapeLike(base)} (%)${escapeLike(ext)}`);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to check for name conflicts",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  const taken = new Set(data.map((row) => row.name.toLowerCase()));
+  for (let n = 1; ; n++) {
+    const candidate = `${base} (${n})${ext}`;
+    if (!taken.has(candidate.toLowerCase())) return candidate;
+  }
+}
+
+// Apply a conflict policy for placing `name` in a folder. Resolves to the
+// name to use and, for "replace", the existing sibling the caller should
+// replace. `sourceId` is the item being copied: replacing it with its own
+// copy falls back to renaming.
+async function resolveNameConflict({
+  ownerId,
+  parentId,
+  name,
+  type,
+  policy,
+  excludeId,
+  sourceId,
+}) {
+  const existing = await findNameConflict({
+    ownerId,
+    parentId,
+    name,
+    excludeId,
+  });
+
+  if (!existing) return { name, existing: null };
+
+  if (policy === "fail") throw conflictError(existing);
+
+  if (policy === "rename" || existing.id === sourceId) {
+    return {
+      name: await nextAvailableName({
+        ownerId,
+        parentId,
+        name,
+        type,
+        excludeId,
+      }),
+      existing: null,
+    };
+  }
+
+  // replace: only like for like
+  if (existing.type !== type) {
+    throw new ApiError({
+      statusCode: 409,
+      message: `Cannot replace a ${existing.type} with a ${type}`,
+      errorCode:
+        existing.type === "folder" ? "FOLDER_CONFLICT" : "FILE_CONFLICT",
+    });
+  }
+
+  return { name, existing };
+}
+
+export {
+  CONFLICT_POLICIES,
+  parseConflictPolicy,
+  getConflictPolicy,
+  conflictError,
+  isNameConflict,
+  findNameConflict,
+  nextAvailableName,
+  resolveNameConflict,
+};
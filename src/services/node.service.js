@@ -0,0 +1,338 @@
+import { supabase } from "../utils/supabaseClient.js";
+import ApiError from "../utils/ApiError.js";
+import {
+  resolveNameConflict,
+  findNameConflict,
+  conflictError,
+  isNameConflict,
+} from "./naming.service.js";
+import { trashSubtree } from "./trash.service.js";
+import { addFileVersion, VERSIONED_NODE_COLUMNS } from "./version.service.js";
+import { findBlob, storeUploadedBlob } from "./blob.service.js";
+import { assertQuota } from "./quota.service.js";
+import { assertRole, hasRole, resolveRole } from "./permission.service.js";
+
+const FILE_NODE_COLUMNS =
+  "id, name, type, size_bytes, mime_type, parent_id, path, created_at, updated_at";
+
+// Validate a target folder for new items (null/undefined means root): the
+// user must be able to write to it. Resolves to the folder row, or null for
+// root.
+async function assertParentFolder(parentId, userId) {
+  if (!parentId) return null;
+
+  const { data: folder, error } = await supabase
+    .from("nodes")
+    .select("id, owner_id, type, parent_id, deleted_at")
+    .eq("id", parentId)
+    .single();
+
+  if (error || !folder || folder.deleted_at) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Parent folder not found",
+      errorCode: "FOLDER_NOT_FOUND",
+    });
+  }
+
+  if (folder.type !== "folder") {
+    throw new ApiError({
+      statusCode: 400,
+      message: "Parent is not a folder",
+      errorCode: "INVALID_TARGET",
+    });
+  }
+
+  await assertRole(
+    folder,
+    userId,
+    "write",
+    "You do not have permission to add items to this folder"
+  );
+
+  return folder;
+}
+
+// Insert the `nodes` row for a file whose contents are already in storage
+async function createFileNode({
+  ownerId,
+  name,
+  sizeBytes,
+  mimeType = null,
+  parentId = null,
+  path,
+  checksum = null,
+  uploadedBy = ownerId,
+}) {
+  const { data, error } = await supabase
+    .from("nodes")
+    .insert([
+      {
+        owner_id: ownerId,
+        type: "file",
+        name,
+        size_bytes: sizeBytes,
+        mime_type: mimeType,
+        parent_id: parentId,
+        checksum_sha256: checksum,
+        uploaded_by: uploadedBy,
+        path, // saved file path
+      },
+    ])
+    .select(FILE_NODE_COLUMNS)
+    .single();
+
+  if (isNameConflict(error)) throw conflictError({ type: "file", name });
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to save file metadata",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return data;
+}
+
+// Whether `nodeId` is `folderId` or somewhere inside it
+async function isWithin(nodeId, folderId) {
+  for (let id = nodeId; id; ) {
+    if (id === folderId) return true;
+
+    const { data, error } = await supabase
+      .from("nodes")
+      .select("parent_id")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to resolve folder hierarchy",
+        errorCode: "DB_FETCH_FAILED",
+      });
+    }
+
+    id = data?.parent_id;
+  }
+
+  return false;
+}
+
+// The live folder called `name` in `parentId`, created if it doesn't exist
+async function findOrCreateFolder({ ownerId, parentId, name }) {
+  const existing = await findNameConflict({ ownerId, parentId, name });
+  if (existing?.type === "folder") return existing;
+  if (existing) throw conflictError(existing);
+
+  const { data, error } = await supabase
+    .from("nodes")
+    .insert([{ owner_id: ownerId, type: "folder", name, parent_id: parentId }])
+    .select("id, name, type, parent_id, owner_id")
+    .single();
+
+  // Created concurrently by another upload: use that one
+  if (isNameConflict(error)) {
+    const winner = await findNameConflict({ ownerId, parentId, name });
+    if (winner?.type === "folder") return winner;
+    throw conflictError(winner || { type: "folder", name });
+  }
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to create folder",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return data;
+}
+
+// Split a relative path ("photos/2024/a.jpg") into its folder names and the
+// file name. Null if it isn't a usable relative path.
+function splitRelativePath(relativePath) {
+  if (typeof relativePath !== "string") return null;
+
+  const segments = relativePath
+    .replace(/\\/g, "/")
+    .split("/")
+    .map((segment) => segment.trim())
+    .filter((segment) => segment !== "" && segment !== ".");
+
+  if (segments.length === 0 || segments.includes("..")) return null;
+
+  return { folders: segments.slice(0, -1), name: segments.at(-1) };
+}
+
+// Resolve folder names (e.g. ["photos", "2024"]) under `parentId` to the
+// innermost folder's id, reusing existing folders and creating missing
+// ones. Pass the same `cache` across a batch to look each folder up once.
+async function ensureFolderPath({
+  ownerId,
+  parentId = null,
+  segments,
+  cache = new Map(),
+}) {
+  let folderId = parentId;
+
+  for (const name of segments) {
+    const key = `${folderId}/${name.toLowerCase()}`;
+    if (!cache.has(key)) {
+      cache.set(key, findOrCreateFolder({ ownerId, parentId: folderId, name }));
+    }
+    folderId = (await cache.get(key)).id;
+  }
+
+  return folderId;
+}
+
+// Settle the name for an item being created/renamed/copied/moved into
+// `parentId` under the onConflict policy. With "replace" the conflicting
+// sibling goes to the trash, so it can still be restored; `userId` needs
+// write access to it (otherwise it's a plain 409).
+async function claimName({
+  userId,
+  ownerId,
+  parentId,
+  name,
+  type,
+  policy,
+  excludeId,
+  sourceId,
+}) {
+  const resolved = await resolveNameConflict({
+    ownerId,
+    parentId,
+    name,
+    type,
+    policy,
+    excludeId,
+    sourceId,
+  });
+  const { existing } = resolved;
+
+  if (existing) {
+    if (!hasRole(await resolveRole(existing, userId), "write")) {
+      throw conflictError(existing);
+    }
+
+    // e.g. replacing the folder that holds the item being moved
+    const itemId = sourceId || excludeId;
+    if (
+      itemId &&
+      existing.type === "folder" &&
+      (await isWithin(itemId, existing.id))
+    ) {
+      throw new ApiError({
+        statusCode: 409,
+        message: "Cannot replace a folder that contains the item itself",
+        errorCode: "FOLDER_CONFLICT",
+      });
+    }
+
+    await trashSubtree(existing);
+  }
+
+  return resolved.name;
+}
+
+// Record a file whose contents are stored at `path`, applying the onConflict
+// policy. Replacing an existing file adds a new version of it instead of
+// creating another node.
+async function placeFile({
+  ownerId,
+  name,
+  sizeBytes,
+  mimeType = null,
+  parentId = null,
+  path,
+  checksum = null,
+  policy = "rename",
+}) {
+  // The new contents count against the owner's quota (replaced contents
+  // are kept as a version, so they still count too)
+  await assertQuota(ownerId, sizeBytes);
+
+  const resolved = await resolveNameConflict({
+    ownerId,
+    parentId,
+    name,
+    type: "file",
+    policy,
+  });
+
+  if (!resolved.existing) {
+    const node = await createFileNode({
+      ownerId,
+      name: resolved.name,
+      sizeBytes,
+      mimeType,
+      parentId,
+      path,
+      checksum,
+    });
+    return { node, replaced: false };
+  }
+
+  const { data: current, error } = await supabase
+    .from("nodes")
+    .select(VERSIONED_NODE_COLUMNS)
+    .eq("id", resolved.existing.id)
+    .single();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch the file being replaced",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  const node = await addFileVersion(current, {
+    path,
+    sizeBytes,
+    mimeType,
+    checksum,
+    uploadedBy: ownerId,
+  });
+  return { node, replaced: true };
+}
+
+// Record a file just uploaded to `path`. If the owner already has identical
+// contents, the file shares that blob and the uploaded copy is dropped.
+async function saveUploadedFile(file) {
+  const { result, deduplicated } = await storeUploadedBlob(file, (path) =>
+    placeFile({ ...file, path })
+  );
+  return { ...result, deduplicated };
+}
+
+// Record a file from contents the owner has already stored (matched by
+// SHA-256 and size), without uploading them again. Resolves to null when
+// there is no such blob.
+async function saveDuplicateFile({ ownerId, checksum, sizeBytes, ...file }) {
+  const blob = await findBlob({ ownerId, checksum, sizeBytes });
+  if (!blob) return null;
+
+  const saved = await placeFile({
+    ...file,
+    ownerId,
+    sizeBytes: blob.size_bytes,
+    path: blob.path,
+    checksum: blob.sha256,
+  });
+  return { ...saved, deduplicated: true };
+}
+
+export {
+  assertParentFolder,
+  createFileNode,
+  isWithin,
+  splitRelativePath,
+  ensureFolderPath,
+  claimName,
+  saveUploadedFile,
+  saveDuplicateFile,
+};
@@ -0,0 +1,162 @@
+import { supabase } from "../utils/supabaseClient.js";
+import ApiError from "../utils/ApiError.js";
+
+// Roles from least to most permissive. A user's effective role on a node is
+// the most permissive of: owning it, owning a folder above it (write), and
+// any grant on it or on a folder above it.
+const ROLES = ["read", "comment", "write", "owner"];
+
+// Roles that can be granted to other users (ownership can't be shared)
+const SHARE_ROLES = ["read", "comment", "write"];
+
+// Validate a role to grant, failing with 422 otherwise
+function parseShareRole(value, field = "permission") {
+  if (!SHARE_ROLES.includes(value)) {
+    throw new ApiError({
+      statusCode: 422,
+      message: `${field} must be one of: ${SHARE_ROLES.join(", ")}`,
+      errorCode: "VALIDATION_ERROR",
+    });
+  }
+  return value;
+}
+
+// Whether `role` (null for no access) includes `required`
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function higherRole(a, b) {
+  return ROLES.indexOf(a) >= ROLES.indexOf(b) ? a : b;
+}
+
+// Fetch every folder above `nodes`, keyed by id
+async function collectAncestors(nodes) {
+  const known = new Map(nodes.map((n) => [n.id, n]));
+  let missing = [
+    ...new Set(
+      nodes.map((n) => n.parent_id).filter((id) => id && !known.has(id))
+    ),
+  ];
+
+  while (missing.length > 0) {
+    const { data: parents, error } = await supabase
+      .from("nodes")
+      .select("id, owner_id, parent_id")
+      .in("id", missing);
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to resolve permissions",
+        errorCode: "DB_FETCH_FAILED",
+      });
+    }
+
+    parents.forEach((p) => known.set(p.id, p));
+    missing = [
+      ...new Set(
+        parents.map((p) => p.parent_id).filter((id) => id && !known.has(id))
+      ),
+    ];
+  }
+
+  return known;
+}
+
+// The user's grants on any of `nodeIds`: node id -> most permissive role
+async function fetchGrants(nodeIds, userId) {
+  const { data, error } = await supabase
+    .from("permissions")
+    .select("node_id, permission")
+    .eq("shared_with", userId)
+    .in("node_id", nodeIds);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to resolve permissions",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  const grants = new Map();
+  for (const { node_id, permission } of data) {
+    if (!SHARE_ROLES.includes(permission)) continue;
+    grants.set(node_id, higherRole(grants.get(node_id) ?? null, permission));
+  }
+  return grants;
+}
+
+// The user's effective role on each of `nodes` (rows with id, owner_id and
+// parent_id): node id -> "owner" | "write" | "comment" | "read" | null
+async function resolveRoles(nodes, userId) {
+  const roles = new Map();
+  if (!userId) {
+    nodes.forEach((n) => roles.set(n.id, null));
+    return roles;
+  }
+
+  // Owners need no lookups
+  const others = nodes.filter((n) => n.owner_id !== userId);
+  nodes
+    .filter((n) => n.owner_id === userId)
+    .forEach((n) => roles.set(n.id, "owner"));
+  if (others.length === 0) return roles;
+
+  const known = await collectAncestors(others);
+  const grants = await fetchGrants([...known.keys()], userId);
+
+  for (const node of others) {
+    let role = grants.get(node.id) ?? null;
+
+    for (let id = node.parent_id; id && known.has(id); ) {
+      const folder = known.get(id);
+      role = higherRole(
+        role,
+        folder.owner_id === userId ? "write" : (grants.get(id) ?? null)
+      );
+      if (role === "write") break; // nothing inherited goes higher
+      id = folder.parent_id;
+    }
+
+    roles.set(node.id, role);
+  }
+
+  return roles;
+}
+
+async function resolveRole(node, userId) {
+  return (await resolveRoles([node], userId)).get(node.id);
+}
+
+// Resolve the user's role on `node`, failing with 403 if it doesn't include
+// `required`
+async function assertRole(
+  node,
+  userId,
+  required,
+  message = "You do not have permission to access this item"
+) {
+  const role = await resolveRole(node, userId);
+
+  if (!hasRole(role, required)) {
+    throw new ApiError({
+      statusCode: 403,
+      message,
+      errorCode: "ACCESS_DENIED",
+    });
+  }
+
+  return role;
+}
+
+export {
+  ROLES,
+  SHARE_ROLES,
+  parseShareRole,
+  hasRole,
+  resolveRoles,
+  resolveRole,
+  assertRole,
+};
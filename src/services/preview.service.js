@@ -0,0 +1,399 @@
+import sharp from "sharp";
+import mime from "mime-types";
+import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { previewConfig } from "../config/index.js";
+import logger from "../utils/logger.js";
+
+// Previews are generated per blob in the background: a `previews` row is
+// queued when new contents are stored, and the worker turns it into
+// thumbnails (images, first page of PDFs) or a text snippet.
+
+// Previews are made one at a time; don't keep decoded images around
+sharp.cache(false);
+
+// Fixed thumbnail sizes (longest side, in pixels)
+const THUMBNAIL_SIZES = [128, 256, 512];
+
+const SNIPPET_CHARS = 500;
+// How much of a text file is read to take the snippet from
+const SNIPPET_SOURCE_BYTES = 16 * 1024;
+
+// Previews claimed per run, and attempts before one is marked failed
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 3;
+
+// A preview still "processing" after this was abandoned by a worker that
+// went away, and is queued again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+const IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/avif",
+  "image/tiff",
+];
+
+const TEXT_TYPES = [
+  "application/json",
+  "application/xml",
+  "application/javascript",
+  "application/x-sh",
+  "application/x-yaml",
+  "application/yaml",
+  "application/sql",
+  "application/toml",
+];
+
+const thumbnailKey = (path, size) => `${path}.thumb-${size}.webp`;
+
+// "image", "pdf", "text", or null for contents that get no preview
+function previewKind(mimeType) {
+  const type = mimeType?.split(";")[0].trim().toLowerCase();
+  if (!type) return null;
+
+  if (IMAGE_TYPES.includes(type)) return "image";
+  if (type === "application/pdf") return "pdf";
+  if (type.startsWith("text/") || TEXT_TYPES.includes(type)) return "text";
+  return null;
+}
+
+// Source files mime-types doesn't know as text (or, like .ts, knows as
+// something else)
+const CODE_EXTENSIONS = (
+  "py rb php go rs java kt swift scala dart c h cpp hpp cs ts tsx jsx vue " +
+  "svelte lua pl r sh ps1 sql toml ini cfg env log"
+).split(" ");
+
+// Browsers send many files (code especially) as application/octet-stream:
+// go by the file name for those
+function resolveMimeType(mimeType, name) {
+  if (mimeType && mimeType !== "application/octet-stream") return mimeType;
+  if (!name) return mimeType || null;
+
+  const dot = name.lastIndexOf(".");
+  if (dot > 0 && CODE_EXTENSIONS.includes(name.slice(dot + 1).toLowerCase())) {
+    return "text/plain";
+  }
+  return mime.lookup(name) || mimeType || null;
+}
+
+// The smallest thumbnail size that covers `size` (the largest if none does)
+function pickThumbnailSize(size) {
+  return THUMBNAIL_SIZES.find((s) => s >= size) ?? THUMBNAIL_SIZES.at(-1);
+}
+
+/* ============================================================================
+   Queue
+============================================================================ */
+
+let running = null;
+let scheduled = null;
+
+// Queue a preview for contents just stored at `path` (best effort: a
+// missing preview only means a generic icon)
+async function queuePreview({ path, mimeType, name }) {
+  const { error } = await supabase
+    .from("previews")
+    .upsert([{ path, mime_type: resolveMimeType(mimeType, name) }], {
+      onConflict: "path",
+      ignoreDuplicates: true,
+    });
+
+  if (error) {
+    logger.warn(`Failed to queue preview for ${path}: ${error.message}`);
+    return;
+  }
+
+  // Start on it shortly instead of waiting for the worker's next run
+  if (!scheduled) {
+    scheduled = setTimeout(() => {
+      scheduled = null;
+      generatePendingPreviews().catch((err) =>
+        logger.error("Preview generation error: " + err.message)
+      );
+    }, 1000);
+    scheduled.unref();
+  }
+}
+
+// Claim queued previews, so that no other worker picks them up too
+async function claimPendingPreviews() {
+  const now = new Date().toISOString();
+  const staleCutoff = new Date(Date.now() - STALE_PROCESSING_MS).toISOString();
+
+  await supabase
+    .from("previews")
+    .update({ status: "pending", updated_at: now })
+    .eq("status", "processing")
+    .lt("updated_at", staleCutoff);
+
+  const { data: queued, error } = await supabase
+    .from("previews")
+    .select("path, mime_type, attempts")
+    .eq("status", "pending")
+    .order("updated_at", { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    logger.error("Failed to fetch queued previews: " + error.message);
+    return [];
+  }
+
+  const claimed = [];
+  for (const preview of queued) {
+    const { data } = await supabase
+      .from("previews")
+      .update({ status: "processing", updated_at: now })
+      .eq("path", preview.path)
+      .eq("status", "pending")
+      .select("path");
+
+    if (data?.length) claimed.push(preview);
+  }
+
+  return claimed;
+}
+
+/* ============================================================================
+   Generation
+============================================================================ */
+
+// The first `maxBytes` of an object, or (with `truncate: false`) null when
+// it is larger than that
+async function readObject(path, maxBytes, { truncate = false } = {}) {
+  const stream = await storage.getStream(path);
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    size += chunk.length;
+
+    if (size > maxBytes || (truncate && size === maxBytes)) {
+      stream.destroy();
+      if (!truncate) return null;
+      break;
+    }
+  }
+
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// Render the first page of a PDF to a PNG whose longest side is `size`
+async function renderPdfPage(data, size) {
+  // pdf.js is large: only load it once a PDF needs rendering
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+
+  const pdf = await getDocument({
+    data: new Uint8Array(data),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const page = await pdf.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({
+      scale: size / Math.max(width, height),
+    });
+
+    const { canvas, context } = pdf.canvasFactory.create(
+      Math.ceil(viewport.width),
+      Math.ceil(viewport.height)
+    );
+    await page.render({ canvas, canvasContext: context, viewport }).promise;
+
+    return canvas.toBuffer("image/png");
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Store a WebP thumbnail of `image` at every size (upright per EXIF, never
+// enlarged)
+async function storeThumbnails(path, image) {
+  for (const size of THUMBNAIL_SIZES) {
+    const data = await sharp(image, { failOn: "none" })
+      .rotate()
+      .resize(size, size, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    await storage.put(thumbnailKey(path, size), data, {
+      contentType: "image/webp",
+      contentLength: data.length,
+    });
+  }
+
+  return THUMBNAIL_SIZES;
+}
+
+// The start of a text file, or null if it looks binary
+function textSnippet(data) {
+  if (data.includes(0)) return null;
+
+  return data
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\uFFFD+$/, "") // a character cut off by the read
+    .slice(0, SNIPPET_CHARS);
+}
+
+// Work out the preview for one queued row: the columns to store on it
+async function generatePreview({ path, mime_type }) {
+  const kind = previewKind(mime_type);
+  if (!kind) return { status: "unsupported" };
+
+  if (kind === "text") {
+    const head = await readObject(path, SNIPPET_SOURCE_BYTES, {
+      truncate: true,
+    });
+    const snippet = textSnippet(head);
+    return snippet === null
+      ? { status: "unsupported" }
+      : { status: "ready", snippet };
+  }
+
+  const source = await readObject(path, previewConfig.maxSourceBytes);
+  if (!source) return { status: "unsupported", error: "Too large to preview" };
+
+  const image =
+    kind === "pdf"
+      ? await renderPdfPage(source, THUMBNAIL_SIZES.at(-1))
+      : source;
+
+  return {
+    status: "ready",
+    thumbnail_sizes: await storeThumbnails(path, image),
+  };
+}
+
+async function processPreview(preview) {
+  let changes;
+  try {
+    changes = { error: null, ...(await generatePreview(preview)) };
+  } catch (err) {
+    const attempts = preview.attempts + 1;
+    logger.warn(`Preview for ${preview.path} failed: ${err.message}`);
+    changes = {
+      status: attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+      attempts,
+      error: err.message,
+    };
+  }
+
+  const { data, error } = await supabase
+    .from("previews")
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq("path", preview.path)
+    .select("path");
+
+  if (error) {
+    logger.warn(`Failed to save preview for ${preview.path}: ${error.message}`);
+    return;
+  }
+
+  // The contents were deleted meanwhile: drop the thumbnails too
+  if (data.length === 0) await deletePreviewObjects(preview.path);
+}
+
+// Generate the queued previews, one at a time. Concurrent calls share the
+// run in progress.
+function generatePendingPreviews() {
+  if (!running) {
+    running = (async () => {
+      const claimed = await claimPendingPreviews();
+      for (const preview of claimed) await processPreview(preview);
+      return claimed.length;
+    })().finally(() => {
+      running = null;
+    });
+  }
+
+  return running;
+}
+
+/* ============================================================================
+   Lookups
+============================================================================ */
+
+// The preview row for stored contents, if any
+async function findPreview(path) {
+  const { data, error } = await supabase
+    .from("previews")
+    .select("path, mime_type, status, thumbnail_sizes, snippet")
+    .eq("path", path)
+    .maybeSingle();
+
+  if (error) {
+    logger.warn(`Failed to fetch preview for ${path}: ${error.message}`);
+    return null;
+  }
+
+  return data;
+}
+
+// Add each file's preview to a listing ({ status, thumbnail_sizes, snippet }
+// or null), dropping the storage path used to look it up
+async function withPreviews(nodes) {
+  const paths = [
+    ...new Set(
+      nodes.filter((n) => n.type !== "folder" && n.path).map((n) => n.path)
+    ),
+  ];
+
+  let byPath = new Map();
+  if (paths.length > 0) {
+    const { data, error } = await supabase
+      .from("previews")
+      .select("path, status, thumbnail_sizes, snippet")
+      .in("path", paths);
+
+    if (error) logger.warn("Failed to fetch previews: " + error.message);
+    else byPath = new Map(data.map((p) => [p.path, p]));
+  }
+
+  return nodes.map(({ path, ...node }) => {
+    const preview = byPath.get(path);
+    return {
+      ...node,
+      preview: preview
+        ? {
+            status: preview.status,
+            thumbnail_sizes: preview.thumbnail_sizes,
+            snippet: preview.snippet,
+          }
+        : null,
+    };
+  });
+}
+
+// Delete the thumbnails stored for contents that are going away
+async function deletePreviewObjects(path) {
+  await Promise.all(
+    THUMBNAIL_SIZES.map((size) =>
+      storage
+        .delete(thumbnailKey(path, size))
+        .catch((err) =>
+          logger.warn(`Failed to delete thumbnail of ${path}: ${err.message}`)
+        )
+    )
+  );
+}
+
+export {
+  THUMBNAIL_SIZES,
+  thumbnailKey,
+  previewKind,
+  pickThumbnailSize,
+  queuePreview,
+  generatePendingPreviews,
+  findPreview,
+  withPreviews,
+  deletePreviewObjects,
+};
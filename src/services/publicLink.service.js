@@ -0,0 +1,335 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { supabase } from "../utils/supabaseClient.js";
+import { publicLinkConfig } from "../config/index.js";
+import cookieOptions from "../constants/cookieOptions.js";
+import ApiError from "../utils/ApiError.js";
+
+const SALT_ROUNDS = 10;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+const UNLOCK_COOKIE = "public_link_unlock";
+
+// A counted download may be resumed without counting again for this long
+const RESUME_COOKIE = "public_link_download";
+const RESUME_WINDOW_SECONDS = 60 * 60;
+
+// Wrong passwords allowed per link before unlocking is blocked for
+// UNLOCK_BLOCK_SECONDS, doubling with every further failure
+const FREE_UNLOCK_ATTEMPTS = 5;
+const UNLOCK_BLOCK_SECONDS = 30;
+const MAX_UNLOCK_BLOCK_SECONDS = 60 * 60;
+
+const unlockSecret =
+  publicLinkConfig.unlockSecret || crypto.randomBytes(32).toString("hex");
+
+const LINK_COLUMNS =
+  "id, token, node_id, created_at, updated_at, expires_at, password_hash, max_downloads, download_count, allow_download, unlock_failures, unlock_blocked_until";
+
+function invalidOption(message) {
+  return new ApiError({
+    statusCode: 422,
+    message,
+    errorCode: "VALIDATION_ERROR",
+  });
+}
+
+// Validate the options of a create/update request into public_links
+// columns. Only the options present are returned; null clears one.
+async function parseLinkOptions(body = {}) {
+  const { expiresAt, password, maxDownloads, allowDownload } = body;
+  const options = {};
+
+  if (expiresAt !== undefined) {
+    if (expiresAt === null) {
+      options.expires_at = null;
+    } else {
+      const date = new Date(expiresAt);
+      if (typeof expiresAt !== "string" || Number.isNaN(date.getTime())) {
+        throw invalidOption("expiresAt must be an ISO 8601 date");
+      }
+      if (date <= new Date()) {
+        throw invalidOption("expiresAt must be in the future");
+      }
+      options.expires_at = date.toISOString();
+    }
+  }
+
+  if (password !== undefined) {
+    if (password === null || password === "") {
+      options.password_hash = null;
+    } else if (
+      typeof password !== "string" ||
+      password.length < MIN_PASSWORD_LENGTH ||
+      password.length > MAX_PASSWORD_LENGTH
+    ) {
+      throw invalidOption(
+        `password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`
+      );
+    } else {
+      options.password_hash = await bcrypt.hash(password, SALT_ROUNDS);
+    }
+  }
+
+  if (maxDownloads !== undefined) {
+    if (
+      maxDownloads !== null &&
+      (!Number.isInteger(maxDownloads) || maxDownloads < 1)
+    ) {
+      throw invalidOption("maxDownloads must be a positive integer or null");
+    }
+    options.max_downloads = maxDownloads;
+  }
+
+  if (allowDownload !== undefined) {
+    if (typeof allowDownload !== "boolean") {
+      throw invalidOption("allowDownload must be a boolean");
+    }
+    options.allow_download = allowDownload;
+  }
+
+  return options;
+}
+
+// What the owner sees of a link (never the password hash)
+function serializeLink(link) {
+  return {
+    token: link.token,
+    url: `${publicLinkConfig.baseUrl}/${link.token}`,
+    expiresAt: link.expires_at ?? null,
+    hasPassword: Boolean(link.password_hash),
+    maxDownloads: link.max_downloads ?? null,
+    downloadCount: link.download_count ?? 0,
+    allowDownload: link.allow_download ?? true,
+    createdAt: link.created_at,
+  };
+}
+
+async function findLinkByToken(token) {
+  const { data: link, error } = await supabase
+    .from("public_links")
+    .select(LINK_COLUMNS)
+    .eq("token", token)
+    .single();
+
+  if (error || !link) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Invalid or expired public link",
+      errorCode: "LINK_NOT_FOUND",
+    });
+  }
+
+  return link;
+}
+
+const isExpired = (link) =>
+  Boolean(link.expires_at) && new Date(link.expires_at) <= new Date();
+
+const isExhausted = (link) =>
+  link.max_downloads != null && link.download_count >= link.max_downloads;
+
+// Cookie value: "<expiry>.<signature>". The signature covers the password
+// hash, so changing or removing the password revokes earlier unlocks.
+function signUnlock(link, expires) {
+  return crypto
+    .createHmac("sha256", unlockSecret)
+    .update(`${link.id}.${expires}.${link.password_hash}`)
+    .digest("base64url");
+}
+
+function isUnlocked(req, link) {
+  const [expires, signature] = String(req.cookies?.[UNLOCK_COOKIE] || "").split(
+    "."
+  );
+  if (!signature || Number(expires) < Date.now()) return false;
+
+  const expected = Buffer.from(signUnlock(link, expires));
+  const given = Buffer.from(signature);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+function tooManyAttempts(until) {
+  const seconds = Math.max(1, Math.ceil((new Date(until) - Date.now()) / 1000));
+  const error = new ApiError({
+    statusCode: 429,
+    message: `Too many incorrect passwords, try again in ${seconds} seconds`,
+    errorCode: "TOO_MANY_ATTEMPTS",
+  });
+  error.headers = { "Retry-After": String(seconds) };
+  return error;
+}
+
+// Count a wrong password; resolves to when the next attempt is allowed
+async function recordUnlockFailure(link) {
+  const { data: blockedUntil, error } = await supabase.rpc(
+    "record_public_link_unlock_failure",
+    {
+      p_link_id: link.id,
+      p_free_attempts: FREE_UNLOCK_ATTEMPTS,
+      p_base_seconds: UNLOCK_BLOCK_SECONDS,
+      p_max_seconds: MAX_UNLOCK_BLOCK_SECONDS,
+    }
+  );
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to record unlock attempt",
+      errorCode: "DB_UPDATE_FAILED",
+    });
+  }
+
+  return blockedUntil;
+}
+
+// Check a password against a protected link and hand out the unlock cookie.
+// Guesses are throttled per link (429 while blocked).
+async function unlockLink(req, res, link, password) {
+  if (
+    link.unlock_blocked_until &&
+    new Date(link.unlock_blocked_until) > new Date()
+  ) {
+    throw tooManyAttempts(link.unlock_blocked_until);
+  }
+
+  const valid =
+    typeof password === "string" &&
+    Boolean(link.password_hash) &&
+    (await bcrypt.compare(password, link.password_hash));
+
+  if (!valid) {
+    const blockedUntil = await recordUnlockFailure(link);
+    if (blockedUntil) throw tooManyAttempts(blockedUntil);
+
+    throw new ApiError({
+      statusCode: 401,
+      message: "Incorrect password",
+      errorCode: "INVALID_PASSWORD",
+    });
+  }
+
+  if (link.unlock_failures > 0) {
+    await supabase
+      .from("public_links")
+      .update({ unlock_failures: 0, unlock_blocked_until: null })
+      .eq("id", link.id);
+  }
+
+  const expires = Date.now() + publicLinkConfig.unlockTtlSeconds * 1000;
+  // Only sent back to this link's endpoints
+  res.cookie(UNLOCK_COOKIE, `${expires}.${signUnlock(link, expires)}`, {
+    ...cookieOptions,
+    sameSite: "lax",
+    path: `${req.baseUrl}/public/${link.token}`,
+    maxAge: publicLinkConfig.unlockTtlSeconds * 1000,
+  });
+
+  return new Date(expires).toISOString();
+}
+
+// Fail unless the link can be used right now: not expired (410), downloads
+// left (410, unless `allowExhausted` for requests that don't count as one)
+// and, for a protected link, unlocked by this client (401)
+function assertLinkUsable(req, link, { allowExhausted = false } = {}) {
+  if (isExpired(link)) {
+    throw new ApiError({
+      statusCode: 410,
+      message: "This link has expired",
+      errorCode: "LINK_EXPIRED",
+    });
+  }
+
+  if (!allowExhausted && isExhausted(link)) {
+    throw new ApiError({
+      statusCode: 410,
+      message: "This link has reached its download limit",
+      errorCode: "LINK_EXHAUSTED",
+    });
+  }
+
+  if (link.password_hash && !isUnlocked(req, link)) {
+    throw new ApiError({
+      statusCode: 401,
+      message: "This link is password protected",
+      errorCode: "LINK_LOCKED",
+    });
+  }
+}
+
+function signResume(link, version, expires) {
+  return crypto
+    .createHmac("sha256", unlockSecret)
+    .update(`resume.${link.id}.${version}.${expires}`)
+    .digest("base64url");
+}
+
+// Whether the client holds a ticket from a download of this link's current
+// contents (`version`) that was counted within the resume window
+function hasResumeTicket(req, link, version) {
+  const [expires, signature] = String(req.cookies?.[RESUME_COOKIE] || "").split(
+    "."
+  );
+  if (!signature || Number(expires) < Date.now()) return false;
+
+  const expected = Buffer.from(signResume(link, version, expires));
+  const given = Buffer.from(signature);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+// Hand out the ticket that lets a counted download be resumed
+function grantResumeTicket(req, res, link, version) {
+  const expires = Date.now() + RESUME_WINDOW_SECONDS * 1000;
+  res.cookie(
+    RESUME_COOKIE,
+    `${expires}.${signResume(link, version, expires)}`,
+    {
+      ...cookieOptions,
+      sameSite: "lax",
+      path: `${req.baseUrl}/public/${link.token}/download`,
+      maxAge: RESUME_WINDOW_SECONDS * 1000,
+    }
+  );
+}
+
+// Count one download against the link's limit, atomically
+async function claimDownload(link) {
+  const { data: claimed, error } = await supabase.rpc(
+    "claim_public_link_download",
+    { p_link_id: link.id }
+  );
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to record download",
+      errorCode: "DB_UPDATE_FAILED",
+    });
+  }
+
+  if (!claimed) {
+    throw new ApiError({
+      statusCode: 410,
+      message: "This link has reached its download limit",
+      errorCode: "LINK_EXHAUSTED",
+    });
+  }
+}
+
+export {
+  LINK_COLUMNS,
+  parseLinkOptions,
+  serializeLink,
+  findLinkByToken,
+  unlockLink,
+  assertLinkUsable,
+  claimDownload,
+  hasResumeTicket,
+  grantResumeTicket,
+};
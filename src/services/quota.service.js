@@ -0,0 +1,68 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { quotaConfig } from "../config/index.js";
+import ApiError from "../utils/ApiError.js";
+
+// Usage counters are maintained by database triggers on nodes and
+// file_versions; this reads them against the user's quota.
+
+// Bytes the user is using, broken down, and their quota (null: unlimited)
+async function getStorageUsage(userId) {
+  const [usage, account] = await Promise.all([
+    supabase
+      .from("storage_usage")
+      .select("active_bytes, trashed_bytes, version_bytes")
+      .eq("user_id", userId)
+      .maybeSingle(),
+    supabase
+      .from("users")
+      .select("storage_quota_bytes")
+      .eq("id", userId)
+      .maybeSingle(),
+  ]);
+
+  if (usage.error || account.error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch storage usage",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  const activeBytes = Number(usage.data?.active_bytes ?? 0);
+  const trashedBytes = Number(usage.data?.trashed_bytes ?? 0);
+  const versionBytes = Number(usage.data?.version_bytes ?? 0);
+  const usedBytes = activeBytes + trashedBytes + versionBytes;
+
+  const quota = Number(
+    account.data?.storage_quota_bytes ?? quotaConfig.defaultQuotaBytes
+  );
+  const quotaBytes = quota > 0 ? quota : null;
+
+  return {
+    quota_bytes: quotaBytes,
+    used_bytes: usedBytes,
+    available_bytes:
+      quotaBytes === null ? null : Math.max(quotaBytes - usedBytes, 0),
+    active_bytes: activeBytes,
+    trashed_bytes: trashedBytes,
+    version_bytes: versionBytes,
+  };
+}
+
+// Reject with 507 if `additionalBytes` more would take the user over quota
+async function assertQuota(userId, additionalBytes) {
+  const usage = await getStorageUsage(userId);
+  if (usage.quota_bytes === null) return usage;
+
+  if (usage.used_bytes + Number(additionalBytes || 0) > usage.quota_bytes) {
+    throw new ApiError({
+      statusCode: 507,
+      message: `Storage quota exceeded: ${usage.available_bytes} of ${usage.quota_bytes} bytes available`,
+      errorCode: "QUOTA_EXCEEDED",
+    });
+  }
+
+  return usage;
+}
+
+export { getStorageUsage, assertQuota };
@@ -0,0 +1,317 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { mailer } from "../mail/index.js";
+import { mailConfig } from "../config/index.js";
+import { parseShareRole } from "./permission.service.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../utils/logger.js";
+
+// Longest personal message a share notification may carry
+const MAX_MESSAGE_LENGTH = 1000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+function invalidRecipients(message) {
+  return new ApiError({
+    statusCode: 422,
+    message,
+    errorCode: "VALIDATION_ERROR",
+  });
+}
+
+// Validate an optional personal message for the notification
+function parseShareMessage(message) {
+  if (message === undefined || message === null || message === "") {
+    return null;
+  }
+
+  if (typeof message !== "string" || message.length > MAX_MESSAGE_LENGTH) {
+    throw invalidRecipients(
+      `message must be text of at most ${MAX_MESSAGE_LENGTH} characters`
+    );
+  }
+
+  return message.trim() || null;
+}
+
+async function findUsersBy(column, values) {
+  if (values.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("users")
+    .select("id, email, username, full_name")
+    .in(column, values);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to look up recipients",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return data;
+}
+
+async function findUserByEmail(email) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("id, email, username, full_name")
+    .ilike("email", email.replace(/[\\%_]/g, "\\$&"))
+    .limit(1);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to look up recipients",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return data[0] || null;
+}
+
+// Resolve the `users` array of a share request. Each entry names the
+// recipient by `user_id`, `email` or `username`, with a `permission`.
+// Resolves to { users: [{ user, permission }], invitees: [{ email,
+// permission }] }: emails without an account become invitees, while an
+// unknown user id or username fails the request. When a recipient is named
+// more than once, the last entry wins.
+async function resolveRecipients(entries, sharerId) {
+  const parsed = entries.map((entry, i) => {
+    const { user_id, email, username, permission } = entry || {};
+    const given = [user_id, email, username].filter(
+      (v) => typeof v === "string" && v.trim()
+    );
+
+    if (given.length !== 1) {
+      throw invalidRecipients(
+        `users[${i}] must have exactly one of user_id, email or username`
+      );
+    }
+
+    if (email && !EMAIL_PATTERN.test(email.trim())) {
+      throw invalidRecipients(`users[${i}].email is not a valid email address`);
+    }
+
+    return {
+      user_id: user_id?.trim(),
+      email: email && normalizeEmail(email),
+      username: username?.trim(),
+      permission: parseShareRole(permission, `users[${i}].permission`),
+    };
+  });
+
+  const pick = (key) => [...new Set(parsed.map((p) => p[key]).filter(Boolean))];
+  const [byId, byEmail, byUsername] = await Promise.all([
+    findUsersBy("id", pick("user_id")),
+    findUsersBy("email", pick("email")),
+    findUsersBy("username", pick("username")),
+  ]);
+
+  // Stored emails keep the case they were signed up with; retry the misses
+  // case-insensitively
+  const found = new Set(byEmail.map((u) => normalizeEmail(u.email)));
+  for (const email of pick("email").filter((e) => !found.has(e))) {
+    const user = await findUserByEmail(email);
+    if (user) byEmail.push(user);
+  }
+
+  const ids = new Map(byId.map((u) => [u.id, u]));
+  const emails = new Map(byEmail.map((u) => [normalizeEmail(u.email), u]));
+  const usernames = new Map(byUsername.map((u) => [u.username, u]));
+
+  const users = new Map();
+  const invitees = new Map();
+  const unknown = [];
+
+  for (const { user_id, email, username, permission } of parsed) {
+    const user =
+      (user_id && ids.get(user_id)) ||
+      (email && emails.get(email)) ||
+      (username && usernames.get(username));
+
+    if (user) {
+      if (user.id === sharerId) {
+        throw invalidRecipients("You cannot share an item with yourself");
+      }
+      users.set(user.id, { user, permission });
+    } else if (email) {
+      invitees.set(email, { email, permission });
+    } else {
+      unknown.push(user_id || username);
+    }
+  }
+
+  if (unknown.length > 0) {
+    throw new ApiError({
+      statusCode: 404,
+      message: `No user found for: ${unknown.join(", ")}`,
+      errorCode: "USER_NOT_FOUND",
+    });
+  }
+
+  return { users: [...users.values()], invitees: [...invitees.values()] };
+}
+
+// Grant each of `recipients` ([{ user, permission }]) its role on `node`.
+// Sharing with someone again replaces their role, so a grantee has at most
+// one permission per node.
+async function grantPermissions(node, recipients, grantedBy) {
+  if (recipients.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("permissions")
+    .upsert(
+      recipients.map(({ user, permission }) => ({
+        node_id: node.id,
+        shared_with: user.id,
+        permission,
+        granted_by: grantedBy,
+        updated_at: new Date().toISOString(),
+      })),
+      { onConflict: "node_id,shared_with" }
+    )
+    .select("id, node_id, shared_with, permission, created_at, updated_at");
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: `Failed to share ${node.type}`,
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return data;
+}
+
+// Record pending invitations to `node` for people without an account yet;
+// they become permissions when the person signs up. Inviting an email
+// again updates its invitation.
+async function createInvitations(node, invitees, invitedBy, message) {
+  if (invitees.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from("share_invitations")
+    .upsert(
+      invitees.map(({ email, permission }) => ({
+        node_id: node.id,
+        email,
+        permission,
+        invited_by: invitedBy,
+        message,
+      })),
+      { onConflict: "node_id,email" }
+    )
+    .select("id, node_id, email, permission, created_at");
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to create invitations",
+      errorCode: "DB_INSERT_FAILED",
+    });
+  }
+
+  return data;
+}
+
+// Turn the invitations waiting for a Supabase Auth `user`'s email into
+// permissions, once that address is confirmed (anyone can sign up with an
+// address they don't own). Runs on sign-up, email verification and every
+// sign-in; best effort: a failure is logged and the invitations stay for
+// the next sign-in.
+async function acceptInvitations(user) {
+  const { id: userId, email, email_confirmed_at } = user || {};
+  if (!userId || !email || !email_confirmed_at) return 0;
+
+  try {
+    const { data: invitations, error } = await supabase
+      .from("share_invitations")
+      .select("id, node_id, permission, invited_by")
+      .eq("email", normalizeEmail(email));
+
+    if (error) throw error;
+    if (invitations.length === 0) return 0;
+
+    // Keep any role the user was already given directly
+    const { error: insertError } = await supabase.from("permissions").upsert(
+      invitations.map((inv) => ({
+        node_id: inv.node_id,
+        shared_with: userId,
+        permission: inv.permission,
+        granted_by: inv.invited_by,
+      })),
+      { onConflict: "node_id,shared_with", ignoreDuplicates: true }
+    );
+    if (insertError) throw insertError;
+
+    await supabase
+      .from("share_invitations")
+      .delete()
+      .in(
+        "id",
+        invitations.map((inv) => inv.id)
+      );
+
+    return invitations.length;
+  } catch (err) {
+    logger.warn(`Failed to accept invitations for ${userId}: ${err.message}`);
+    return 0;
+  }
+}
+
+function shareMessage({ sharer, node, message, invited }) {
+  const name = sharer.full_name || sharer.username || sharer.email;
+  const what = node.type === "folder" ? "a folder" : "a file";
+  const lines = [`${name} shared ${what} with you: "${node.name}"`, ""];
+
+  if (message) lines.push(`${name} wrote:`, message, "");
+  lines.push(
+    invited
+      ? `Create an account with this email address to open it: ${mailConfig.appUrl}`
+      : `Open it from "Shared with me": ${mailConfig.appUrl}`
+  );
+
+  return {
+    subject: `${name} shared "${node.name}" with you`,
+    text: lines.join("\n"),
+    replyTo: sharer.email || undefined,
+  };
+}
+
+// Let recipients of a share know about it (invitees get a sign-up link).
+// Runs after the response: failures are only logged.
+async function notifyRecipients({ sharerId, node, users, invitees, message }) {
+  const [sharer] = await findUsersBy("id", [sharerId]);
+  if (!sharer) return;
+
+  const recipients = new Map();
+  for (const { user } of users) {
+    if (user.email) recipients.set(normalizeEmail(user.email), false);
+  }
+  for (const { email } of invitees) recipients.set(email, true);
+
+  for (const [email, invited] of recipients) {
+    try {
+      await mailer.send({
+        to: email,
+        ...shareMessage({ sharer, node, message, invited }),
+      });
+    } catch (err) {
+      logger.warn(
+        `Failed to send share notification to ${email}: ${err.message}`
+      );
+    }
+  }
+}
+
+export {
+  parseShareMessage,
+  resolveRecipients,
+  grantPermissions,
+  createInvitations,
+  acceptInvitations,
+  notifyRecipients,
+};
@@ -0,0 +1,64 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { resolveRoles } from "./permission.service.js";
+import ApiError from "../utils/ApiError.js";
+
+// Shortcuts put items shared with a user into a folder of their own drive
+// ("add to my drive"). They are the user's alone: the item stays where its
+// owner keeps it, and the shortcut goes once the user loses access.
+
+const SHORTCUT_TARGET_COLUMNS =
+  "id, owner_id, name, type, mime_type, size_bytes, parent_id, path, created_at, updated_at, deleted_at";
+
+// The live items a user has shortcuts to in `parentId` (null: root), each
+// with `shortcut_id` and the user's `role` on it
+async function listShortcutTargets(userId, parentId) {
+  let query = supabase
+    .from("shortcuts")
+    .select("id, target_id")
+    .eq("owner_id", userId);
+  query = parentId
+    ? query.eq("parent_id", parentId)
+    : query.is("parent_id", null);
+
+  const { data: shortcuts, error } = await query;
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch shortcuts",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  if (shortcuts.length === 0) return [];
+
+  const { data: targets, error: targetsError } = await supabase
+    .from("nodes")
+    .select(SHORTCUT_TARGET_COLUMNS)
+    .in(
+      "id",
+      shortcuts.map((s) => s.target_id)
+    )
+    .is("deleted_at", null);
+
+  if (targetsError) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch shortcuts",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  const roles = await resolveRoles(targets, userId);
+  const byTarget = new Map(shortcuts.map((s) => [s.target_id, s.id]));
+
+  return targets
+    .filter((t) => roles.get(t.id))
+    .map(({ deleted_at, ...target }) => ({
+      ...target,
+      shortcut_id: byTarget.get(target.id),
+      role: roles.get(target.id),
+    }));
+}
+
+export { listShortcutTargets };
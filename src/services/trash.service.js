@@ -0,0 +1,279 @@
+import crypto from "crypto";
+import { supabase } from "../utils/supabaseClient.js";
+import { releaseBlobs } from "./blob.service.js";
+import ApiError from "../utils/ApiError.js";
+
+const TRASH_COLUMNS =
+  "id, name, type, size_bytes, mime_type, parent_id, path, deleted_at, deletion_batch_id";
+
+// Rows updated/deleted per statement when trashing or purging large folders
+const UPDATE_BATCH_SIZE = 500;
+
+// Fetch a trashed node owned by the user (404 if it isn't in their trash)
+async function findTrashedNode(id, userId) {
+  const { data: node, error } = await supabase
+    .from("nodes")
+    .select(`${TRASH_COLUMNS}, owner_id`)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch trash item",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  if (!node || node.owner_id !== userId || !node.deleted_at) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Item not found in trash",
+      errorCode: "TRASH_ITEM_NOT_FOUND",
+    });
+  }
+
+  return node;
+}
+
+// All descendants of the given folders, level by level (parents before
+// children). `narrow` adds filters to each level's query; only matching
+// folders are descended into.
+async function collectDescendants(
+  folderIds,
+  narrow = (query) => query,
+  columns = TRASH_COLUMNS
+) {
+  const descendants = [];
+  let frontier = folderIds;
+
+  while (frontier.length > 0) {
+    const level = [];
+    for (let i = 0; i < frontier.length; i += UPDATE_BATCH_SIZE) {
+      const { data: children, error } = await narrow(
+        supabase
+          .from("nodes")
+          .select(columns)
+          .in("parent_id", frontier.slice(i, i + UPDATE_BATCH_SIZE))
+      );
+
+      if (error) {
+        throw new ApiError({
+          statusCode: 500,
+          message: "Failed to fetch folder contents",
+          errorCode: "DB_FETCH_FAILED",
+        });
+      }
+
+      level.push(...children);
+    }
+
+    descendants.push(...level);
+    frontier = level.filter((c) => c.type === "folder").map((c) => c.id);
+  }
+
+  return descendants;
+}
+
+// The folder's descendants that went to the trash together with it. Items
+// trashed on their own earlier keep their own entry.
+async function collectDeletedWith(folder) {
+  return collectDescendants([folder.id], (query) =>
+    folder.deletion_batch_id
+      ? query.eq("deletion_batch_id", folder.deletion_batch_id)
+      : query.eq("deleted_at", folder.deleted_at)
+  );
+}
+
+// Move a node and its whole live subtree to the trash as one deletion batch
+async function trashSubtree(node) {
+  const deletedAt = new Date().toISOString();
+  const batchId = crypto.randomUUID();
+
+  // Already-trashed descendants (and everything under them) stay in their
+  // own batch
+  const ids = [node.id];
+  if (node.type === "folder") {
+    const live = await collectDescendants([node.id], (query) =>
+      query.is("deleted_at", null)
+    );
+    ids.push(...live.map((n) => n.id));
+  }
+
+  for (let i = 0; i < ids.length; i += UPDATE_BATCH_SIZE) {
+    const { error } = await supabase
+      .from("nodes")
+      .update({ deleted_at: deletedAt, deletion_batch_id: batchId })
+      .in("id", ids.slice(i, i + UPDATE_BATCH_SIZE));
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to move item to trash",
+        errorCode: "DB_UPDATE_FAILED",
+      });
+    }
+  }
+
+  return { deletedAt, batchId, count: ids.length };
+}
+
+// Take nodes back out of the trash
+async function restoreNodes(ids) {
+  for (let i = 0; i < ids.length; i += UPDATE_BATCH_SIZE) {
+    const { error } = await supabase
+      .from("nodes")
+      .update({
+        deleted_at: null,
+        deletion_batch_id: null,
+        updated_at: new Date().toISOString(),
+      })
+      .in("id", ids.slice(i, i + UPDATE_BATCH_SIZE));
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to restore item",
+        errorCode: "DB_UPDATE_FAILED",
+      });
+    }
+  }
+}
+
+// "/Documents/Reports" for each node id, built from the ancestor chain
+async function resolveLocations(nodes) {
+  const known = new Map();
+  let missing = [...new Set(nodes.map((n) => n.parent_id).filter(Boolean))];
+
+  while (missing.length > 0) {
+    const { data: parents, error } = await supabase
+      .from("nodes")
+      .select("id, name, parent_id")
+      .in("id", missing);
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to resolve item locations",
+        errorCode: "DB_FETCH_FAILED",
+      });
+    }
+
+    parents.forEach((p) => known.set(p.id, p));
+    missing = [
+      ...new Set(
+        parents.map((p) => p.parent_id).filter((id) => id && !known.has(id))
+      ),
+    ];
+  }
+
+  const locations = {};
+  for (const node of nodes) {
+    const names = [];
+    for (let id = node.parent_id; id && known.has(id); ) {
+      names.unshift(known.get(id).name);
+      id = known.get(id).parent_id;
+    }
+    locations[node.id] = "/" + names.join("/");
+  }
+
+  return locations;
+}
+
+// Delete the rows of `table` whose `column` is one of the node ids
+async function deleteReferences(table, column, ids) {
+  for (let i = 0; i < ids.length; i += UPDATE_BATCH_SIZE) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .in(column, ids.slice(i, i + UPDATE_BATCH_SIZE));
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to delete item",
+        errorCode: "DB_DELETE_FAILED",
+      });
+    }
+  }
+}
+
+// Permanently delete nodes (and their subtrees): the rows first, then the
+// storage objects nothing references any more. Objects shared with a
+// surviving copy or version are left in storage.
+async function purgeNodes(nodes) {
+  const folderIds = nodes.filter((n) => n.type === "folder").map((n) => n.id);
+  const descendants = await collectDescendants(folderIds);
+
+  // Roots nested in another purged folder are already among the descendants
+  const descendantIds = new Set(descendants.map((n) => n.id));
+  const all = [
+    ...nodes.filter((n) => !descendantIds.has(n.id)),
+    ...descendants,
+  ];
+  const ids = all.map((n) => n.id);
+
+  // 1. Note the objects in use (current contents and earlier versions)
+  const versions = [];
+  for (let i = 0; i < ids.length; i += UPDATE_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from("file_versions")
+      .select("path")
+      .in("node_id", ids.slice(i, i + UPDATE_BATCH_SIZE));
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to fetch file versions",
+        errorCode: "DB_FETCH_FAILED",
+      });
+    }
+
+    versions.push(...data);
+  }
+
+  const paths = [
+    ...new Set([
+      ...all.filter((n) => n.type === "file" && n.path).map((n) => n.path),
+      ...versions.map((v) => v.path),
+    ]),
+  ];
+
+  // 2. Drop rows that reference the nodes, then the nodes (children first)
+  await deleteReferences("permissions", "node_id", ids);
+  await deleteReferences("public_links", "node_id", ids);
+  await deleteReferences("stars", "file_id", ids);
+  await deleteReferences("file_versions", "node_id", ids);
+
+  const deepestFirst = [...ids].reverse();
+  for (let i = 0; i < deepestFirst.length; i += UPDATE_BATCH_SIZE) {
+    const { error } = await supabase
+      .from("nodes")
+      .delete()
+      .in("id", deepestFirst.slice(i, i + UPDATE_BATCH_SIZE));
+
+    if (error) {
+      throw new ApiError({
+        statusCode: 500,
+        message: "Failed to delete item",
+        errorCode: "DB_DELETE_FAILED",
+      });
+    }
+  }
+
+  // 3. Delete the objects whose last reference just went away
+  await releaseBlobs(paths);
+
+  return ids.length;
+}
+
+export {
+  TRASH_COLUMNS,
+  findTrashedNode,
+  collectDescendants,
+  collectDeletedWith,
+  trashSubtree,
+  restoreNodes,
+  resolveLocations,
+  purgeNodes,
+};
@@ -0,0 +1,93 @@
+import fsp from "fs/promises";
+import path from "path";
+import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { uploadConfig } from "../config/index.js";
+import ApiError from "../utils/ApiError.js";
+
+// Server-side record of a multipart or tus upload. Clients only ever see
+// the uploadId; the storage key is chosen and remembered by the server.
+const SESSION_COLUMNS =
+  "id, user_id, upload_id, protocol, storage_key, name, size_bytes, mime_type, parent_id, metadata, created_at, updated_at";
+
+// Where a tus upload is assembled before it is moved to storage
+const tusStagingPath = (uploadId) =>
+  path.join(uploadConfig.tusStagingDir, uploadId);
+
+// Fetch the caller's session for an uploadId (404 if it isn't theirs)
+async function findUploadSession(uploadId, userId, protocol = "multipart") {
+  const { data: session, error } = await supabase
+    .from("upload_sessions")
+    .select(SESSION_COLUMNS)
+    .eq("upload_id", uploadId)
+    .eq("user_id", userId)
+    .eq("protocol", protocol)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch upload session",
+      errorCode: "DB_QUERY_FAILED",
+    });
+  }
+
+  if (!session) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Upload session not found",
+      errorCode: "UPLOAD_NOT_FOUND",
+    });
+  }
+
+  return session;
+}
+
+// Mark the session as active so the sweeper leaves it alone
+async function touchUploadSession(session) {
+  await supabase
+    .from("upload_sessions")
+    .update({ updated_at: new Date().toISOString() })
+    .eq("id", session.id);
+}
+
+async function deleteUploadSession(session) {
+  const { error } = await supabase
+    .from("upload_sessions")
+    .delete()
+    .eq("id", session.id);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to delete upload session",
+      errorCode: "DB_DELETE_FAILED",
+    });
+  }
+}
+
+// Abort the upload (multipart in storage, or the tus staging file) and
+// forget the session
+async function abortUploadSession(session) {
+  if (session.protocol === "tus") {
+    await fsp.rm(tusStagingPath(session.upload_id), { force: true });
+    return deleteUploadSession(session);
+  }
+
+  try {
+    await storage.abortMultipartUpload(session.storage_key, session.upload_id);
+  } catch (err) {
+    // Already completed or aborted in storage: just drop the record
+    if (err.code !== "NoSuchUpload") throw err;
+  }
+  await deleteUploadSession(session);
+}
+
+export {
+  SESSION_COLUMNS,
+  tusStagingPath,
+  findUploadSession,
+  touchUploadSession,
+  deleteUploadSession,
+  abortUploadSession,
+};
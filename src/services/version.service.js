@@ -0,0 +1,146 @@
+import { supabase } from "../utils/supabaseClient.js";
+import { versionConfig } from "../config/index.js";
+import { releaseBlobs } from "./blob.service.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../utils/logger.js";
+
+// A file node always holds its current contents; earlier contents are kept
+// as rows in `file_versions`.
+const VERSIONED_NODE_COLUMNS =
+  "id, owner_id, name, type, parent_id, deleted_at, version, path, size_bytes, mime_type, checksum_sha256, uploaded_by, content_updated_at, created_at";
+
+const VERSION_COLUMNS =
+  "id, node_id, version, path, size_bytes, mime_type, checksum_sha256, uploaded_by, created_at";
+
+// Make `content` the file's current version, keeping the previous contents
+// in its history. Both happen in one transaction (add_file_version).
+async function addFileVersion(
+  node,
+  { path, sizeBytes, mimeType = null, checksum = null, uploadedBy }
+) {
+  // 1. Archive the current contents and point the node at the new ones
+  const { data: updated, error } = await supabase
+    .rpc("add_file_version", {
+      p_node_id: node.id,
+      p_version: node.version,
+      p_path: path,
+      p_size_bytes: sizeBytes,
+      p_mime_type: mimeType,
+      p_checksum: checksum,
+      p_uploaded_by: uploadedBy,
+    })
+    .select(VERSIONED_NODE_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to save file version",
+      errorCode: "DB_UPDATE_FAILED",
+    });
+  }
+
+  // Someone else added a version in the meantime
+  if (!updated) {
+    throw new ApiError({
+      statusCode: 409,
+      message: "The file was updated concurrently, please retry",
+      errorCode: "VERSION_CONFLICT",
+    });
+  }
+
+  // 2. Apply the retention rules; a failure here shouldn't fail the upload
+  await pruneFileVersions(node.id).catch((err) =>
+    logger.warn(`Failed to prune versions of ${node.id}: ${err.message}`)
+  );
+
+  return updated;
+}
+
+// Earlier versions of a file, newest first
+async function listFileVersions(nodeId) {
+  const { data, error } = await supabase
+    .from("file_versions")
+    .select(VERSION_COLUMNS)
+    .eq("node_id", nodeId)
+    .order("version", { ascending: false });
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch file versions",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  return data;
+}
+
+async function findFileVersion(nodeId, versionId) {
+  const { data, error } = await supabase
+    .from("file_versions")
+    .select(VERSION_COLUMNS)
+    .eq("id", versionId)
+    .eq("node_id", nodeId)
+    .maybeSingle();
+
+  if (error || !data) {
+    throw new ApiError({
+      statusCode: 404,
+      message: "Version not found",
+      errorCode: "VERSION_NOT_FOUND",
+    });
+  }
+
+  return data;
+}
+
+// Whether an earlier version falls outside the retention rules. `index` is
+// its position among earlier versions, newest first.
+function isPrunable(version, index, now = Date.now()) {
+  const { keepLast, keepDays } = versionConfig;
+  if (!(keepLast > 0) && !(keepDays > 0)) return false;
+
+  const beyondLast = !(keepLast > 0) || index >= keepLast;
+  const tooOld =
+    !(keepDays > 0) ||
+    now - new Date(version.created_at).getTime() > keepDays * 86400000;
+
+  return beyondLast && tooOld;
+}
+
+// Drop earlier versions outside the retention rules, along with their
+// storage objects once nothing else points at them. Resolves to the number
+// of versions removed.
+async function pruneFileVersions(nodeId) {
+  const versions = await listFileVersions(nodeId);
+  const prunable = versions.filter((v, index) => isPrunable(v, index));
+  if (prunable.length === 0) return 0;
+
+  const { error } = await supabase
+    .from("file_versions")
+    .delete()
+    .in(
+      "id",
+      prunable.map((v) => v.id)
+    );
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to prune file versions",
+      errorCode: "DB_DELETE_FAILED",
+    });
+  }
+
+  await releaseBlobs([...new Set(prunable.map((v) => v.path))]);
+  return prunable.length;
+}
+
+export {
+  VERSIONED_NODE_COLUMNS,
+  addFileVersion,
+  listFileVersions,
+  findFileVersion,
+  pruneFileVersions,
+};
@@ -0,0 +1,164 @@
+import { Readable } from "stream";
+import { ZipArchive } from "archiver";
+import { supabase } from "../utils/supabaseClient.js";
+import { storage } from "../storage/index.js";
+import { collectDescendants } from "./trash.service.js";
+import { resolveRoles } from "./permission.service.js";
+import ApiError from "../utils/ApiError.js";
+import logger from "../utils/logger.js";
+
+const ZIP_COLUMNS =
+  "id, owner_id, type, name, parent_id, path, size_bytes, deleted_at, updated_at, content_updated_at";
+
+// Fetch the live nodes a download was asked for, in the requested order,
+// failing unless the user can read every one of them
+async function findZipRoots(ids, userId) {
+  const { data, error } = await supabase
+    .from("nodes")
+    .select(ZIP_COLUMNS)
+    .in("id", ids);
+
+  if (error) {
+    throw new ApiError({
+      statusCode: 500,
+      message: "Failed to fetch items",
+      errorCode: "DB_FETCH_FAILED",
+    });
+  }
+
+  const byId = new Map(data.filter((n) => !n.deleted_at).map((n) => [n.id, n]));
+  const roles = await resolveRoles([...byId.values()], userId);
+
+  return ids.map((id) => {
+    const node = byId.get(id);
+
+    if (!node) {
+      throw new ApiError({
+        statusCode: 404,
+        message: `Item ${id} not found`,
+        errorCode: "NODE_NOT_FOUND",
+      });
+    }
+
+    if (!roles.get(node.id)) {
+      throw new ApiError({
+        statusCode: 403,
+        message: `You do not have permission to download "${node.name}"`,
+        errorCode: "ACCESS_DENIED",
+      });
+    }
+
+    return node;
+  });
+}
+
+// Zip entry names can't contain separators of their own
+const entrySafe = (name) => name.replace(/[\\/]/g, "_");
+
+// Entry names that stay unique within one directory of the archive
+function uniqueName(taken, name) {
+  if (!taken.has(name.toLowerCase())) {
+    taken.add(name.toLowerCase());
+    return name;
+  }
+
+  const dot = name.lastIndexOf(".");
+  const [base, ext] =
+    dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+  for (let n = 1; ; n++) {
+    const candidate = `${base} (${n})${ext}`;
+    if (!taken.has(candidate.toLowerCase())) {
+      taken.add(candidate.toLowerCase());
+      return candidate;
+    }
+  }
+}
+
+// Lay out `roots` (files and folders) as archive entries: folders keep their
+// hierarchy and trashed items are left out. Access is checked on the roots
+// (see findZipRoots): whoever can read a folder can read everything in it.
+async function collectZipEntries(roots) {
+  const entries = [];
+  const paths = new Map(); // folder id -> its path in the archive
+  const rootNames = new Set();
+
+  const add = (node, dir) => {
+    const name = entrySafe(node.name);
+    const path = dir ? `${dir}/${name}` : uniqueName(rootNames, name);
+    const date = node.content_updated_at || node.updated_at;
+
+    if (node.type === "folder") {
+      paths.set(node.id, path);
+      entries.push({ type: "directory", name: path, date });
+    } else if (node.path) {
+      entries.push({ type: "file", name: path, date, storagePath: node.path });
+    }
+  };
+
+  roots.forEach((node) => add(node, null));
+
+  const folderIds = roots.filter((n) => n.type === "folder").map((n) => n.id);
+  const descendants = await collectDescendants(
+    folderIds,
+    (query) => query.is("deleted_at", null),
+    ZIP_COLUMNS
+  );
+
+  // Parents come before children, so a skipped folder's contents find no
+  // parent path and are skipped too
+  for (const node of descendants) {
+    const dir = paths.get(node.parent_id);
+    if (dir === undefined) continue;
+    add(node, dir);
+  }
+
+  return entries;
+}
+
+// Open the object only once the archive gets to the entry
+const lazyObjectStream = (path) =>
+  Readable.from(
+    (async function* () {
+      yield* await storage.getStream(path);
+    })()
+  );
+
+// Stream `entries` to `res` as a ZIP64 archive, reading each object from
+// storage as the archive reaches it (nothing is buffered whole)
+function streamZip(res, entries) {
+  const archive = new ZipArchive({ forceZip64: true, zlib: { level: 6 } });
+
+  // The archive is already on its way: all we can do is cut it short
+  let failed = false;
+  const fail = (err) => {
+    if (failed) return;
+    failed = true;
+    logger.error(`Zip download failed: ${err.message}`);
+    archive.unpipe(res);
+    archive.abort();
+    res.destroy(err);
+  };
+
+  archive.on("warning", (err) => logger.warn(`Zip warning: ${err.message}`));
+  archive.on("error", fail);
+  res.on("close", () => {
+    if (!res.writableFinished) archive.abort();
+  });
+
+  archive.pipe(res);
+
+  for (const entry of entries) {
+    if (entry.type === "directory") {
+      archive.append(null, { name: `${entry.name}/`, date: entry.date });
+    } else {
+      const source = lazyObjectStream(entry.storagePath);
+      source.on("error", fail);
+      archive.append(source, { name: entry.name, date: entry.date });
+    }
+  }
+
+  // Failures are handled by `fail`
+  archive.finalize().catch(() => {});
+}
+
+export { ZIP_COLUMNS, findZipRoots, collectZipEntries, streamZip };
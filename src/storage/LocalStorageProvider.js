@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import StorageProvider from "./StorageProvider.js";
+
+// Layout under the configured root:
+//   objects/<key>            object data
+//   meta/<key>.json          { contentType, etag } for each object
+//   multipart/<uploadId>/    upload.json + one file per part
+//   tmp/                     in-progress writes (renamed into place)
+const partFileName = (partNumber) => String(partNumber).padStart(5, "0");
+
+// Pass-through stream that computes an MD5 etag like S3 does
+function createEtagStream() {
+  const hash = crypto.createHash("md5");
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  stream.etag = () => `"${hash.digest("hex")}"`;
+  return stream;
+}
+
+const ignoreMissing = (err) => {
+  if (err.code !== "ENOENT") throw err;
+};
+
+class LocalStorageProvider extends StorageProvider {
+  constructor({ root, signingSecret, publicUrl }) {
+    super();
+    this.root = path.resolve(root);
+    this.publicUrl = publicUrl;
+    // Without a configured secret, signed URLs only live as long as the process
+    this.signingSecret =
+      signingSecret || crypto.randomBytes(32).toString("hex");
+  }
+
+  // Resolve a key inside `dir`, refusing anything that escapes it
+  resolvePath(dir, key) {
+    const base = path.join(this.root, dir);
+    const resolved = path.resolve(base, key);
+    if (!resolved.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return resolved;
+  }
+
+  objectPath(key) {
+    return this.resolvePath("objects", key);
+  }
+
+  metaPath(key) {
+    return this.resolvePath("meta", `${key}.json`);
+  }
+
+  multipartDir(uploadId) {
+    return this.resolvePath("multipart", uploadId);
+  }
+
+  // Stream `body` into a temp file, then move it to `destination`
+  async writeFile(destination, body, { signal } = {}) {
+    const tmpDir = path.join(this.root, "tmp");
+    const tmpPath = path.join(tmpDir, crypto.randomUUID());
+    await fsp.mkdir(tmpDir, { recursive: true });
+
+    const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+    const etagStream = createEtagStream();
+
+    try {
+      await pipeline(source, etagStream, fs.createWriteStream(tmpPath), {
+        signal,
+      });
+      await fsp.mkdir(path.dirname(destination), { recursive: true });
+      await fsp.rename(tmpPath, destination);
+    } catch (err) {
+      await fsp.rm(tmpPath, { force: true });
+      throw err;
+    }
+
+    return etagStream.etag();
+  }
+
+  async writeMeta(key, meta) {
+    const metaPath = this.metaPath(key);
+    await fsp.mkdir(path.dirname(metaPath), { recursive: true });
+    await fsp.writeFile(metaPath, JSON.stringify(meta));
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fsp.readFile(this.metaPath(key), "utf8"));
+    } catch (err) {
+      ignoreMissing(err);
+      return {};
+    }
+  }
+
+  async put(key, body, { contentType, signal } = {}) {
+    const etag = await this.writeFile(this.objectPath(key), body, { signal });
+    await this.writeMeta(key, { contentType: contentType || null, etag });
+    return { key, etag, location: null };
+  }
+
+  async getStream(key, { start, end } = {}) {
+    const filePath = this.objectPath(key);
+    // Fail fast (rather than on the stream) when the object is missing
+    await fsp.access(filePath);
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  async head(key) {
+    try {
+      const stats = await fsp.stat(this.objectPath(key));
+      const meta = await this.readMeta(key);
+      return {
+        size: stats.size,
+        contentType: meta.contentType ?? null,
+        etag: meta.etag ?? null,
+        lastModified: stats.mtime,
+      };
+    } catch (err) {
+      ignoreMissing(err);
+      return null;
+    }
+  }
+
+  async delete(key) {
+    await fsp.rm(this.objectPath(key), { force: true });
+    await fsp.rm(this.metaPath(key), { force: true });
+  }
+
+  async copy(sourceKey, destinationKey) {
+    const destination = this.objectPath(destinationKey);
+    await fsp.mkdir(path.dirname(destination), { recursive: true });
+    await fsp.copyFile(this.objectPath(sourceKey), destination);
+    await this.writeMeta(destinationKey, await this.readMeta(sourceKey));
+  }
+
+  async createMultipartUpload(key, { contentType } = {}) {
+    const uploadId = crypto.randomUUID();
+    const dir = this.multipartDir(uploadId);
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(
+      path.join(dir, "upload.json"),
+      JSON.stringify({ key, contentType: contentType || null })
+    );
+    return uploadId;
+  }
+
+  async readUpload(uploadId) {
+    try {
+      const dir = this.multipartDir(uploadId);
+      return JSON.parse(
+        await fsp.readFile(path.join(dir, "upload.json"), "utf8")
+      );
+    } catch (err) {
+      ignoreMissing(err);
+      throw new Error(`Multipart upload "${uploadId}" not found`);
+    }
+  }
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    await this.readUpload(uploadId);
+    const partPath = path.join(
+      this.multipartDir(uploadId),
+      partFileName(partNumber)
+    );
+    const etag = await this.writeFile(partPath, body);
+    await fsp.writeFile(`${partPath}.etag`, etag);
+    return { partNumber, etag };
+  }
+
+  async listParts(key, uploadId) {
+    await this.readUpload(uploadId);
+    const dir = this.multipartDir(uploadId);
+    const names = (await fsp.readdir(dir)).filter((name) => /^\d+$/.test(name));
+
+    const parts = await Promise.all(
+      names.map(async (name) => ({
+        partNumber: parseInt(name, 10),
+        etag: await fsp.readFile(path.join(dir, `${name}.etag`), "utf8"),
+        size: (await fsp.stat(path.join(dir, name))).size,
+      }))
+    );
+    return parts.sort((a, b) => a.partNumber - b.partNumber);
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const { contentType } = await this.readUpload(uploadId);
+    const dir = this.multipartDir(uploadId);
+    const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+
+    const body = Readable.from(
+      (async function* () {
+        for (const part of ordered) {
+          yield* fs.createReadStream(
+            path.join(dir, partFileName(part.partNumber))
+          );
+        }
+      })()
+    );
+
+    const result = await this.put(key, body, { contentType });
+    await this.abortMultipartUpload(key, uploadId);
+    return result;
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await fsp.rm(this.multipartDir(uploadId), { recursive: true, force: true });
+  }
+
+  sign(key, expires) {
+    return crypto
+      .createHmac("sha256", this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest("hex");
+  }
+
+  // Signed URLs are served by GET /storage/local (see storage.controller.js)
+  async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      key,
+      expires: String(expires),
+      signature: this.sign(key, expires),
+    });
+    return `${this.publicUrl}?${query}`;
+  }
+
+  verifySignature(key, expires, signature) {
+    if (!key || !expires || !signature) return false;
+    if (Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const actual = Buffer.from(String(signature));
+    return (
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(expected, actual)
+    );
+  }
+}
+
+export default LocalStorageProvider;
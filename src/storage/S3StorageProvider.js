@@ -0,0 +1,166 @@
+import AWS from "aws-sdk";
+import StorageProvider from "./StorageProvider.js";
+
+// S3 expects CopySource to be URL-encoded, but with "/" left intact
+const encodeCopySource = (bucket, key) =>
+  `${bucket}/${encodeURIComponent(key).replace(/%2F/g, "/")}`;
+
+class S3StorageProvider extends StorageProvider {
+  constructor({ accessKeyId, secretAccessKey, region, bucket }) {
+    super();
+    this.bucket = bucket;
+    this.s3 = new AWS.S3({ accessKeyId, secretAccessKey, region });
+  }
+
+  async put(key, body, { contentType, contentLength, signal } = {}) {
+    const managedUpload = this.s3.upload({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ...(contentLength !== undefined && { ContentLength: contentLength }),
+    });
+
+    signal?.addEventListener("abort", () => managedUpload.abort(), {
+      once: true,
+    });
+
+    const response = await managedUpload.promise();
+    return {
+      key: response.Key,
+      etag: response.ETag,
+      location: response.Location,
+    };
+  }
+
+  async getStream(key, { start, end } = {}) {
+    const params = { Bucket: this.bucket, Key: key };
+    if (start !== undefined || end !== undefined) {
+      params.Range = `bytes=${start ?? 0}-${end ?? ""}`;
+    }
+    return this.s3.getObject(params).createReadStream();
+  }
+
+  async head(key) {
+    try {
+      const response = await this.s3
+        .headObject({ Bucket: this.bucket, Key: key })
+        .promise();
+
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        etag: response.ETag,
+        lastModified: response.LastModified,
+      };
+    } catch (err) {
+      if (err.code === "NotFound" || err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async delete(key) {
+    await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise();
+  }
+
+  async copy(sourceKey, destinationKey) {
+    await this.s3
+      .copyObject({
+        Bucket: this.bucket,
+        CopySource: encodeCopySource(this.bucket, sourceKey),
+        Key: destinationKey,
+      })
+      .promise();
+  }
+
+  async createMultipartUpload(key, { contentType } = {}) {
+    const response = await this.s3
+      .createMultipartUpload({
+        Bucket: this.bucket,
+        Key: key,
+        ContentType: contentType,
+      })
+      .promise();
+    return response.UploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body, { contentLength } = {}) {
+    const response = await this.s3
+      .uploadPart({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+        Body: body,
+        ...(contentLength !== undefined && { ContentLength: contentLength }),
+      })
+      .promise();
+    return { partNumber, etag: response.ETag };
+  }
+
+  async listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+
+    // S3 pages parts 1000 at a time
+    do {
+      const response = await this.s3
+        .listParts({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: marker,
+        })
+        .promise();
+
+      for (const part of response.Parts || []) {
+        parts.push({
+          partNumber: part.PartNumber,
+          etag: part.ETag,
+          size: part.Size,
+        });
+      }
+      marker = response.IsTruncated ? response.NextPartNumberMarker : null;
+    } while (marker);
+
+    return parts;
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const response = await this.s3
+      .completeMultipartUpload({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map((p) => ({ PartNumber: p.partNumber, ETag: p.etag })),
+        },
+      })
+      .promise();
+    return {
+      key: response.Key,
+      etag: response.ETag,
+      location: response.Location,
+    };
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await this.s3
+      .abortMultipartUpload({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+      })
+      .promise();
+  }
+
+  async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    return this.s3.getSignedUrlPromise("getObject", {
+      Bucket: this.bucket,
+      Key: key,
+      Expires: expiresIn,
+    });
+  }
+}
+
+export default S3StorageProvider;
@@ -0,0 +1,67 @@
+// Base class for storage drivers. Controllers only talk to this interface,
+// so the backend (S3, Supabase Storage, local disk) is picked by config.
+//
+// Conventions shared by every driver:
+// - `key` is the object path stored in `nodes.path`
+// - `body` may be a Buffer or a Readable stream
+// - byte ranges are inclusive ({ start: 0, end: 99 } is the first 100 bytes)
+// - parts are { partNumber, etag } objects
+class StorageProvider {
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // Store an object. Resolves to { key, etag, location }
+  async put(key, body, { contentType, contentLength, signal } = {}) {
+    this.notImplemented("put");
+  }
+
+  // Readable stream of the object (optionally a byte range)
+  async getStream(key, { start, end } = {}) {
+    this.notImplemented("getStream");
+  }
+
+  // { size, contentType, etag, lastModified } or null when missing
+  async head(key) {
+    this.notImplemented("head");
+  }
+
+  async delete(key) {
+    this.notImplemented("delete");
+  }
+
+  async copy(sourceKey, destinationKey) {
+    this.notImplemented("copy");
+  }
+
+  // Resolves to the uploadId
+  async createMultipartUpload(key, { contentType } = {}) {
+    this.notImplemented("createMultipartUpload");
+  }
+
+  // Resolves to { partNumber, etag }
+  async uploadPart(key, uploadId, partNumber, body, { contentLength } = {}) {
+    this.notImplemented("uploadPart");
+  }
+
+  // Resolves to [{ partNumber, etag, size }] ordered by partNumber
+  async listParts(key, uploadId) {
+    this.notImplemented("listParts");
+  }
+
+  // Resolves to { key, etag, location }
+  async completeMultipartUpload(key, uploadId, parts) {
+    this.notImplemented("completeMultipartUpload");
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    this.notImplemented("abortMultipartUpload");
+  }
+
+  // Time-limited download URL
+  async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    this.notImplemented("getSignedUrl");
+  }
+}
+
+export default StorageProvider;
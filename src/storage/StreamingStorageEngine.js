@@ -0,0 +1,68 @@
+import { createDigestStream } from "../utils/digestStream.js";
+
+// Multer storage engine that pipes each incoming file straight into a
+// storage provider instead of buffering it in memory. Size and SHA-256 are
+// computed on the fly, and the write is aborted when the file hits the size
+// limit or the client disconnects mid-upload.
+class StreamingStorageEngine {
+  constructor({ provider, getKey }) {
+    this.provider = provider;
+    this.getKey = getKey;
+  }
+
+  _handleFile(req, file, cb) {
+    const key = this.getKey(req, file);
+    const controller = new AbortController();
+    const meter = createDigestStream("sha256");
+
+    const onClose = () => {
+      if (!req.complete) {
+        controller.abort(new Error("Client disconnected during upload"));
+      }
+    };
+
+    req.on("close", onClose);
+    file.stream.on("limit", () =>
+      controller.abort(new Error("File size limit reached"))
+    );
+    file.stream.on("error", (err) => meter.destroy(err));
+    file.stream.pipe(meter);
+
+    this.provider
+      .put(key, meter, {
+        contentType: file.mimetype,
+        signal: controller.signal,
+      })
+      .then((stored) => {
+        // Aborted after the provider already finished the write: clean up
+        if (controller.signal.aborted) {
+          return this.provider
+            .delete(stored.key)
+            .catch(() => {})
+            .then(() => cb(controller.signal.reason));
+        }
+
+        cb(null, {
+          key: stored.key,
+          size: meter.bytes,
+          checksum: meter.digest("hex"),
+          etag: stored.etag,
+          location: stored.location,
+        });
+      })
+      // Multer hands `key` back to _removeFile if the request is aborted
+      .catch((err) => cb(err, { key }))
+      .finally(() => req.off("close", onClose));
+  }
+
+  _removeFile(req, file, cb) {
+    if (!file.key) return cb(null);
+
+    this.provider.delete(file.key).then(
+      () => cb(null),
+      (err) => cb(err)
+    );
+  }
+}
+
+export default StreamingStorageEngine;
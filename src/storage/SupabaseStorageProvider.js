@@ -0,0 +1,179 @@
+import crypto from "crypto";
+import { Readable } from "stream";
+import { supabase } from "../utils/supabaseClient.js";
+import StorageProvider from "./StorageProvider.js";
+
+// Supabase Storage has no S3-style multipart API, so parts are stored as
+// temporary objects under this prefix and concatenated on completion
+const MULTIPART_PREFIX = ".multipart";
+
+const partKey = (uploadId, partNumber) =>
+  `${MULTIPART_PREFIX}/${uploadId}/${String(partNumber).padStart(5, "0")}`;
+
+// Turn a StorageError from supabase-js into a thrown Error
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+class SupabaseStorageProvider extends StorageProvider {
+  constructor({ bucket }) {
+    super();
+    this.bucket = bucket;
+  }
+
+  get client() {
+    return supabase.storage.from(this.bucket);
+  }
+
+  async put(key, body, { contentType, signal } = {}) {
+    if (body instanceof Readable) {
+      signal?.addEventListener("abort", () => body.destroy(signal.reason), {
+        once: true,
+      });
+    }
+
+    const data = unwrap(
+      await this.client.upload(key, body, {
+        contentType,
+        upsert: true,
+        // Required by fetch when the body is a stream
+        ...(body instanceof Readable && { duplex: "half" }),
+      })
+    );
+
+    const info = await this.head(data.path);
+    return { key: data.path, etag: info?.etag ?? null, location: null };
+  }
+
+  async getStream(key, { start, end } = {}) {
+    // Download through a short-lived signed URL so the body can be streamed
+    // (supabase-js `download` buffers the whole object into a Blob)
+    const url = await this.getSignedUrl(key, { expiresIn: 60 });
+    const headers = {};
+    if (start !== undefined || end !== undefined) {
+      headers.Range = `bytes=${start ?? 0}-${end ?? ""}`;
+    }
+
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      throw new Error(`Failed to download "${key}" (${response.status})`);
+    }
+    return Readable.fromWeb(response.body);
+  }
+
+  async head(key) {
+    const { data, error } = await this.client.info(key);
+    if (error) {
+      if (error.status === 404 || error.statusCode === "404") return null;
+      throw error;
+    }
+
+    return {
+      size: data.size,
+      contentType: data.contentType,
+      etag: data.etag,
+      lastModified: data.lastModified ? new Date(data.lastModified) : null,
+    };
+  }
+
+  async delete(key) {
+    unwrap(await this.client.remove([key]));
+  }
+
+  async copy(sourceKey, destinationKey) {
+    unwrap(await this.client.copy(sourceKey, destinationKey));
+  }
+
+  async createMultipartUpload(key, { contentType } = {}) {
+    const uploadId = crypto.randomUUID();
+    const manifest = Buffer.from(JSON.stringify({ key, contentType }));
+
+    unwrap(
+      await this.client.upload(
+        `${MULTIPART_PREFIX}/${uploadId}/upload.json`,
+        manifest,
+        { contentType: "application/json" }
+      )
+    );
+    return uploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body) {
+    const { etag } = await this.put(partKey(uploadId, partNumber), body, {
+      contentType: "application/octet-stream",
+    });
+    return { partNumber, etag };
+  }
+
+  async listParts(key, uploadId) {
+    const objects = unwrap(
+      await this.client.list(`${MULTIPART_PREFIX}/${uploadId}`, {
+        limit: 10000,
+        sortBy: { column: "name", order: "asc" },
+      })
+    );
+
+    return objects
+      .filter((object) => /^\d+$/.test(object.name))
+      .map((object) => ({
+        partNumber: parseInt(object.name, 10),
+        etag: object.metadata?.eTag ?? null,
+        size: object.metadata?.size ?? null,
+      }));
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const { contentType } = await this.readJson(
+      `${MULTIPART_PREFIX}/${uploadId}/upload.json`
+    );
+
+    // Concatenate the parts, in order, into the final object
+    const ordered = [...parts].sort((a, b) => a.partNumber - b.partNumber);
+    const readPart = (part) =>
+      this.getStream(partKey(uploadId, part.partNumber));
+    const body = Readable.from(
+      (async function* () {
+        for (const part of ordered) {
+          yield* await readPart(part);
+        }
+      })()
+    );
+
+    const result = await this.put(key, body, { contentType });
+    await this.abortMultipartUpload(key, uploadId);
+    return result;
+  }
+
+  async readJson(key) {
+    const chunks = [];
+    for await (const chunk of await this.getStream(key)) {
+      chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    const objects = unwrap(
+      await this.client.list(`${MULTIPART_PREFIX}/${uploadId}`, {
+        limit: 10000,
+      })
+    );
+    if (objects.length === 0) return;
+
+    unwrap(
+      await this.client.remove(
+        objects.map(
+          (object) => `${MULTIPART_PREFIX}/${uploadId}/${object.name}`
+        )
+      )
+    );
+  }
+
+  async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+    const data = unwrap(await this.client.createSignedUrl(key, expiresIn));
+    return data.signedUrl;
+  }
+}
+
+export default SupabaseStorageProvider;
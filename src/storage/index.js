@@ -0,0 +1,26 @@
+import { storageConfig } from "../config/index.js";
+import S3StorageProvider from "./S3StorageProvider.js";
+import SupabaseStorageProvider from "./SupabaseStorageProvider.js";
+import LocalStorageProvider from "./LocalStorageProvider.js";
+
+const drivers = {
+  s3: S3StorageProvider,
+  supabase: SupabaseStorageProvider,
+  local: LocalStorageProvider,
+};
+
+// Build the provider for a driver name ("s3" | "supabase" | "local")
+function createStorageProvider(driver = storageConfig.driver) {
+  const Provider = drivers[driver];
+  if (!Provider) {
+    throw new Error(
+      `Unknown STORAGE_DRIVER "${driver}" (expected one of: ${Object.keys(drivers).join(", ")})`
+    );
+  }
+  return new Provider(storageConfig[driver]);
+}
+
+// Shared provider used by every controller
+const storage = createStorageProvider();
+
+export { storage, createStorageProvider };
@@ -0,0 +1,34 @@
+// Stored contents come from users, so the browser must never run them on the
+// API's origin. Only these types are ever displayed inline; with nosniff, a
+// file labelled as one of them can't be rendered as anything else.
+const INLINE_TYPES = [
+  /^image\/(?:png|jpeg|gif|webp|avif|bmp)$/,
+  /^(?:audio|video)\/[\w.+-]+$/,
+  /^text\/plain$/,
+  /^application\/pdf$/,
+];
+
+function isInlineSafe(contentType) {
+  const type = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  return INLINE_TYPES.some((pattern) => pattern.test(type));
+}
+
+// Set the headers that keep served contents inert, and return the
+// disposition to send: inline only when it was asked for and the type is
+// safe to display, an attachment otherwise
+function applyContentSecurity(res, contentType, disposition) {
+  const inline = disposition === "inline" && isInlineSafe(contentType);
+
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  // Browsers' PDF viewers refuse to open in a sandboxed document
+  if (!inline || !/^application\/pdf/i.test(contentType)) {
+    res.setHeader("Content-Security-Policy", "sandbox");
+  }
+
+  return inline ? "inline" : "attachment";
+}
+
+export { isInlineSafe, applyContentSecurity };
@@ -0,0 +1,21 @@
+import crypto from "crypto";
+import { Transform } from "stream";
+
+// Pass-through stream that counts bytes and hashes them on the way
+function createDigestStream(algorithm = "sha256") {
+  const hash = crypto.createHash(algorithm);
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      stream.bytes += chunk.length;
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  stream.bytes = 0;
+  stream.digest = (encoding = "hex") => hash.digest(encoding);
+  return stream;
+}
+
+export { createDigestStream };
@@ -0,0 +1,208 @@
+import crypto from "crypto";
+import { Readable } from "stream";
+import contentDisposition from "content-disposition";
+import { storage } from "../storage/index.js";
+import ApiError from "./ApiError.js";
+import { applyContentSecurity } from "./contentSecurity.js";
+
+// More ranges than this in one request get the whole file instead
+const MAX_RANGES = 20;
+
+// If-Range holds either an ETag or an HTTP date; only a strong ETag match
+// (or an unchanged date) lets the range through
+function ifRangeMatches(req, etag, lastModified) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    return Boolean(etag) && ifRange === etag;
+  }
+
+  const since = Date.parse(ifRange);
+  return Boolean(lastModified) && !Number.isNaN(since)
+    ? Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000)
+    : false;
+}
+
+// Providers differ on whether their ETags come quoted
+function quoteEtag(etag) {
+  if (!etag) return null;
+  return etag.startsWith('"') || etag.startsWith("W/") ? etag : `"${etag}"`;
+}
+
+function downloadError() {
+  return new ApiError({
+    statusCode: 500,
+    message: "Error downloading file",
+    errorCode: "DOWNLOAD_ERROR",
+  });
+}
+
+async function openStream(path, range) {
+  try {
+    return await storage.getStream(path, range);
+  } catch {
+    throw downloadError();
+  }
+}
+
+// Pipe a storage stream, failing the request if it breaks before the
+// headers are out and cutting the connection otherwise
+function pipeStream(stream, res, next) {
+  stream.on("error", () => {
+    if (res.headersSent) return res.destroy();
+    next(downloadError());
+  });
+  stream.pipe(res);
+}
+
+/* ============================================================================
+   sendStoredFile - Serve a stored object with HTTP caching and range support
+   ETag / Last-Modified with If-None-Match / If-Modified-Since (304),
+   Range with If-Range (206, multipart/byteranges for several ranges) and an
+   RFC 6266 Content-Disposition (attachment, or inline for types that are
+   safe to display; see contentSecurity.js).
+   `beforeBody(ranges)` runs once a body is about to be sent (not for HEAD
+   or 304), with the ranges being served (null for the whole file); it may
+   throw to refuse the request.
+============================================================================ */
+async function sendStoredFile(
+  req,
+  res,
+  next,
+  {
+    path,
+    name,
+    mimeType,
+    size,
+    checksum,
+    lastModified,
+    disposition,
+    beforeBody,
+  }
+) {
+  // 1. Fill in whatever the database doesn't know from the object itself
+  let etag = checksum ? `"${checksum}"` : null;
+  if (size == null || !etag || !lastModified) {
+    const head = await storage.head(path).catch(() => null);
+    if (!head && size == null) {
+      throw new ApiError({
+        statusCode: 404,
+        message: "File contents not found",
+        errorCode: "FILE_NOT_FOUND",
+      });
+    }
+    size ??= head?.size;
+    etag ||= quoteEtag(head?.etag);
+    lastModified ||= head?.lastModified;
+  }
+
+  size = Number(size);
+  const modified = lastModified ? new Date(lastModified) : null;
+  const contentType = mimeType || "application/octet-stream";
+
+  // 2. Headers shared by every response
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("Cache-Control", "private, no-cache");
+  if (etag) res.setHeader("ETag", etag);
+  if (modified) res.setHeader("Last-Modified", modified.toUTCString());
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(name, {
+      type: applyContentSecurity(res, contentType, disposition),
+    })
+  );
+
+  // 3. The client's cached copy is still current
+  if (req.fresh) return res.status(304).end();
+
+  // 4. Pick the ranges to send (-1 unsatisfiable, -2 malformed => ignored)
+  let ranges = null;
+  if (req.headers.range && size > 0 && ifRangeMatches(req, etag, modified)) {
+    const parsed = req.range(size, { combine: true });
+
+    if (parsed === -1) {
+      const error = new ApiError({
+        statusCode: 416,
+        message: "Requested range not satisfiable",
+        errorCode: "RANGE_NOT_SATISFIABLE",
+      });
+      // Express's final handler strips Content-Range unless it rides on the error
+      error.headers = { "Content-Range": `bytes */${size}` };
+      throw error;
+    }
+
+    if (Array.isArray(parsed) && parsed.type === "bytes") {
+      ranges = parsed.length <= MAX_RANGES ? parsed : null;
+    }
+  }
+
+  const isHead = req.method === "HEAD";
+
+  if (beforeBody && !isHead) {
+    try {
+      await beforeBody(ranges);
+    } catch (err) {
+      res.removeHeader("Content-Disposition");
+      throw err;
+    }
+  }
+
+  // 5a. Whole file
+  if (!ranges) {
+    res.status(200);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Length", size);
+    if (isHead || size === 0) return res.end();
+
+    return pipeStream(await openStream(path), res, next);
+  }
+
+  // 5b. Single range
+  if (ranges.length === 1) {
+    const [{ start, end }] = ranges;
+
+    res.status(206);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${size}`);
+    res.setHeader("Content-Length", end - start + 1);
+    if (isHead) return res.end();
+
+    return pipeStream(await openStream(path, { start, end }), res, next);
+  }
+
+  // 5c. Several ranges: multipart/byteranges, one part per range
+  const boundary = crypto.randomBytes(16).toString("hex");
+  const partHeaders = ranges.map(
+    ({ start, end }, i) =>
+      `${i === 0 ? "" : "\r\n"}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  );
+  const closing = `\r\n--${boundary}--\r\n`;
+  const length =
+    partHeaders.reduce((sum, h) => sum + Buffer.byteLength(h), 0) +
+    ranges.reduce((sum, { start, end }) => sum + end - start + 1, 0) +
+    Buffer.byteLength(closing);
+
+  res.status(206);
+  res.setHeader("Content-Type", `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader("Content-Length", length);
+  if (isHead) return res.end();
+
+  // Open the first range up front so a storage failure can still be a 500
+  const first = await openStream(path, ranges[0]);
+
+  async function* parts() {
+    for (const [i, range] of ranges.entries()) {
+      yield Buffer.from(partHeaders[i]);
+      const stream = i === 0 ? first : await storage.getStream(path, range);
+      for await (const chunk of stream) yield chunk;
+    }
+    yield Buffer.from(closing);
+  }
+
+  return pipeStream(Readable.from(parts()), res, next);
+}
+
+export { sendStoredFile };
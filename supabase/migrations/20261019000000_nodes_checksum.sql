@@ -0,0 +1,3 @@
+-- SHA-256 of the file contents, computed while the upload is streamed
+alter table public.nodes
+  add column if not exists checksum_sha256 text;
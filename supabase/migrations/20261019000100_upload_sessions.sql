@@ -0,0 +1,18 @@
+-- Multipart uploads in progress. The storage key is reserved by the server
+-- at upload-init so clients can only write to their own sessions.
+create table if not exists public.upload_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  upload_id text not null unique,
+  storage_key text not null,
+  name text not null,
+  size_bytes bigint not null check (size_bytes > 0),
+  mime_type text,
+  parent_id uuid references public.nodes (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- The sweeper looks up stale sessions by last activity
+create index if not exists upload_sessions_updated_at_idx
+  on public.upload_sessions (updated_at);
@@ -0,0 +1,11 @@
+-- tus uploads share the upload_sessions table with multipart uploads
+alter table public.upload_sessions
+  add column if not exists protocol text not null default 'multipart'
+    check (protocol in ('multipart', 'tus')),
+  add column if not exists metadata jsonb not null default '{}'::jsonb;
+
+-- tus allows zero-length uploads
+alter table public.upload_sessions
+  drop constraint if exists upload_sessions_size_bytes_check;
+alter table public.upload_sessions
+  add constraint upload_sessions_size_bytes_check check (size_bytes >= 0);
@@ -0,0 +1,12 @@
+-- Top-level trash entries: trashed nodes that were not trashed together with
+-- their parent folder (those are restored/purged through that folder)
+create or replace view public.trash_items as
+select n.*
+from public.nodes n
+left join public.nodes p on p.id = n.parent_id
+where n.deleted_at is not null
+  and (p.id is null or p.deleted_at is null or p.deleted_at <> n.deleted_at);
+
+create index if not exists nodes_owner_deleted_at_idx
+  on public.nodes (owner_id, deleted_at)
+  where deleted_at is not null;
@@ -0,0 +1,40 @@
+-- Lease locks for background jobs, so only one server instance runs a job
+-- at a time. A lease that isn't released (crashed instance) simply expires.
+create table if not exists public.job_locks (
+  name text primary key,
+  locked_by text not null,
+  locked_until timestamptz not null
+);
+
+-- true if the caller now holds the lease (free, expired, or already theirs)
+create or replace function public.try_acquire_job_lock(
+  p_name text,
+  p_owner text,
+  p_ttl_seconds integer
+) returns boolean
+language plpgsql
+as $$
+begin
+  insert into public.job_locks (name, locked_by, locked_until)
+  values (p_name, p_owner, now() + make_interval(secs => p_ttl_seconds))
+  on conflict (name) do update
+    set locked_by = excluded.locked_by,
+        locked_until = excluded.locked_until
+    where public.job_locks.locked_until < now()
+       or public.job_locks.locked_by = excluded.locked_by;
+
+  return found;
+end;
+$$;
+
+create or replace function public.release_job_lock(p_name text, p_owner text)
+returns void
+language sql
+as $$
+  delete from public.job_locks where name = p_name and locked_by = p_owner;
+$$;
+
+-- The purger scans trash by age
+create index if not exists nodes_deleted_at_idx
+  on public.nodes (deleted_at)
+  where deleted_at is not null;
@@ -0,0 +1,45 @@
+-- Everything trashed by one delete shares a batch id, so a restore brings
+-- back exactly that set
+alter table public.nodes
+  add column if not exists deletion_batch_id uuid;
+
+create index if not exists nodes_deletion_batch_id_idx
+  on public.nodes (deletion_batch_id)
+  where deletion_batch_id is not null;
+
+-- Folder deletes used to only reach direct children: trash the live
+-- descendants of trashed folders along with their ancestor
+with recursive orphaned as (
+  select c.id, p.deleted_at
+  from public.nodes c
+  join public.nodes p on p.id = c.parent_id
+  where c.deleted_at is null and p.deleted_at is not null
+  union all
+  select c.id, o.deleted_at
+  from public.nodes c
+  join orphaned o on c.parent_id = o.id
+  where c.deleted_at is null
+)
+update public.nodes n
+set deleted_at = o.deleted_at
+from orphaned o
+where n.id = o.id;
+
+-- Top-level trash entries: trashed nodes that are not part of their parent
+-- folder's deletion batch (rows trashed before batches existed fall back to
+-- matching deleted_at)
+drop view if exists public.trash_items;
+create view public.trash_items as
+select n.*
+from public.nodes n
+left join public.nodes p on p.id = n.parent_id
+where n.deleted_at is not null
+  and (
+    p.id is null
+    or p.deleted_at is null
+    or (
+      n.deletion_batch_id is not null
+      and p.deletion_batch_id is distinct from n.deletion_batch_id
+    )
+    or (n.deletion_batch_id is null and p.deleted_at <> n.deleted_at)
+  );
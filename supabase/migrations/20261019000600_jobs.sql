@@ -0,0 +1,16 @@
+-- Long-running operations (e.g. copying a large folder) report progress here
+create table if not exists public.jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references public.users (id) on delete cascade,
+  type text not null,
+  status text not null default 'running'
+    check (status in ('running', 'completed', 'failed')),
+  progress_done integer not null default 0,
+  progress_total integer not null default 0,
+  result jsonb,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists jobs_user_id_idx on public.jobs (user_id);
@@ -0,0 +1,89 @@
+-- Sibling names are unique (case-insensitively) among live items. Rename
+-- existing duplicates first: "report.pdf" -> "report (1).pdf", or the next
+-- free number when a sibling already has that name.
+do $$
+declare
+  dup record;
+  n integer;
+  candidate text;
+begin
+  for dup in
+    select id, parent_id, owner_id, type, name
+    from (
+      select
+        id, parent_id, owner_id, type, name, created_at,
+        row_number() over (
+          partition by coalesce(parent_id::text, 'root:' || owner_id::text),
+            lower(name)
+          order by created_at, id
+        ) as rank
+      from public.nodes
+      where deleted_at is null
+    ) ranked
+    where rank > 1
+    order by created_at, id
+  loop
+    n := 1;
+    loop
+      candidate := case
+        when dup.type = 'file' and dup.name ~ '^.+\.[^.]+$'
+          then regexp_replace(dup.name, '\.([^.]+)$', ' (' || n || ').\1')
+        else dup.name || ' (' || n || ')'
+      end;
+
+      exit when not exists (
+        select 1 from public.nodes s
+        where s.deleted_at is null
+          and lower(s.name) = lower(candidate)
+          and (
+            s.parent_id = dup.parent_id
+            or (dup.parent_id is null and s.parent_id is null
+                and s.owner_id = dup.owner_id)
+          )
+      );
+      n := n + 1;
+    end loop;
+
+    update public.nodes set name = candidate where id = dup.id;
+  end loop;
+end;
+$$;
+
+create unique index if not exists nodes_unique_name_in_folder
+  on public.nodes (parent_id, lower(name))
+  where deleted_at is null and parent_id is not null;
+
+create unique index if not exists nodes_unique_name_in_root
+  on public.nodes (owner_id, lower(name))
+  where deleted_at is null and parent_id is null;
+
+-- File versions: the node holds the current contents, earlier contents are
+-- kept in file_versions
+alter table public.nodes
+  add column if not exists version integer not null default 1,
+  add column if not exists uploaded_by uuid
+    references public.users (id) on delete set null,
+  add column if not exists content_updated_at timestamptz;
+
+update public.nodes
+set content_updated_at = created_at
+where content_updated_at is null;
+
+alter table public.nodes
+  alter column content_updated_at set default now();
+
+create table if not exists public.file_versions (
+  id uuid primary key default gen_random_uuid(),
+  node_id uuid not null references public.nodes (id) on delete cascade,
+  version integer not null,
+  path text not null,
+  size_bytes bigint,
+  mime_type text,
+  checksum_sha256 text,
+  uploaded_by uuid references public.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (node_id, version)
+);
+
+create index if not exists file_versions_path_idx
+  on public.file_versions (path);
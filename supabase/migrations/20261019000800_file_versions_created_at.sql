@@ -0,0 +1,3 @@
+-- The version pruner scans file_versions by age
+create index if not exists file_versions_created_at_idx
+  on public.file_versions (created_at);
@@ -0,0 +1,95 @@
+-- Stored objects, identified by the SHA-256 of their contents. Nodes and
+-- file versions point at a blob through `path` (its storage key); copies,
+-- versions and deduplicated uploads share one blob, and the object is only
+-- deleted once nothing points at it any more.
+create table if not exists public.blobs (
+  path text primary key,
+  owner_id uuid references public.users (id) on delete set null,
+  sha256 text,
+  size_bytes bigint,
+  ref_count integer not null default 0 check (ref_count >= 0),
+  created_at timestamptz not null default now()
+);
+
+-- Dedup lookups: the owner's blob with given contents
+create index if not exists blobs_owner_sha256_idx
+  on public.blobs (owner_id, sha256)
+  where sha256 is not null;
+
+-- Unreferenced blobs waiting to be deleted
+create index if not exists blobs_unreferenced_idx
+  on public.blobs (created_at)
+  where ref_count = 0;
+
+-- Register everything already in storage
+insert into public.blobs (path, owner_id, sha256, size_bytes)
+select distinct on (path) path, owner_id, checksum_sha256, size_bytes
+from (
+  select n.path, n.owner_id, n.checksum_sha256, n.size_bytes, n.created_at
+  from public.nodes n
+  where n.path is not null
+  union all
+  select v.path, n.owner_id, v.checksum_sha256, v.size_bytes, v.created_at
+  from public.file_versions v
+  join public.nodes n on n.id = v.node_id
+) refs
+order by path, created_at
+on conflict (path) do nothing;
+
+update public.blobs b
+set ref_count =
+  (select count(*) from public.nodes n where n.path = b.path) +
+  (select count(*) from public.file_versions v where v.path = b.path);
+
+-- Keep ref_count in step with the rows pointing at each blob. A reference
+-- to a blob that doesn't exist (e.g. one deleted concurrently) is rejected.
+create or replace function public.adjust_blob_ref(p_path text, p_delta integer)
+returns void
+language plpgsql
+as $$
+begin
+  if p_path is null then
+    return;
+  end if;
+
+  update public.blobs
+  set ref_count = ref_count + p_delta
+  where path = p_path;
+
+  if not found and p_delta > 0 then
+    raise exception 'No blob stored at "%"', p_path
+      using errcode = 'foreign_key_violation';
+  end if;
+end;
+$$;
+
+create or replace function public.track_blob_refs()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE' and new.path is not distinct from old.path then
+    return new;
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') then
+    perform public.adjust_blob_ref(new.path, 1);
+  end if;
+
+  if tg_op in ('UPDATE', 'DELETE') then
+    perform public.adjust_blob_ref(old.path, -1);
+  end if;
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists nodes_blob_refs on public.nodes;
+create trigger nodes_blob_refs
+  after insert or update of path or delete on public.nodes
+  for each row execute function public.track_blob_refs();
+
+drop trigger if exists file_versions_blob_refs on public.file_versions;
+create trigger file_versions_blob_refs
+  after insert or update of path or delete on public.file_versions
+  for each row execute function public.track_blob_refs();
@@ -0,0 +1,163 @@
+-- Per-account quota override (null: use the server default, 0: unlimited)
+alter table public.users
+  add column if not exists storage_quota_bytes bigint
+    check (storage_quota_bytes >= 0);
+
+-- Bytes each user is using, kept up to date by triggers on nodes and
+-- file_versions. Every file counts in full, even when its contents are
+-- shared with a copy.
+create table if not exists public.storage_usage (
+  user_id uuid primary key references public.users (id) on delete cascade,
+  active_bytes bigint not null default 0,
+  trashed_bytes bigint not null default 0,
+  version_bytes bigint not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.storage_usage (user_id, active_bytes, trashed_bytes, version_bytes)
+select
+  u.id,
+  coalesce((
+    select sum(n.size_bytes) from public.nodes n
+    where n.owner_id = u.id and n.type = 'file' and n.deleted_at is null
+  ), 0),
+  coalesce((
+    select sum(n.size_bytes) from public.nodes n
+    where n.owner_id = u.id and n.type = 'file' and n.deleted_at is not null
+  ), 0),
+  coalesce((
+    select sum(v.size_bytes) from public.file_versions v
+    join public.nodes n on n.id = v.node_id
+    where n.owner_id = u.id
+  ), 0)
+from public.users u
+on conflict (user_id) do update
+  set active_bytes = excluded.active_bytes,
+      trashed_bytes = excluded.trashed_bytes,
+      version_bytes = excluded.version_bytes,
+      updated_at = now();
+
+create or replace function public.adjust_storage_usage(
+  p_user_id uuid,
+  p_active bigint,
+  p_trashed bigint,
+  p_versions bigint
+) returns void
+language plpgsql
+as $$
+begin
+  if p_user_id is null or (p_active = 0 and p_trashed = 0 and p_versions = 0) then
+    return;
+  end if;
+
+  insert into public.storage_usage as u
+    (user_id, active_bytes, trashed_bytes, version_bytes)
+  values (p_user_id, p_active, p_trashed, p_versions)
+  on conflict (user_id) do update
+    set active_bytes = u.active_bytes + excluded.active_bytes,
+        trashed_bytes = u.trashed_bytes + excluded.trashed_bytes,
+        version_bytes = u.version_bytes + excluded.version_bytes,
+        updated_at = now();
+end;
+$$;
+
+-- A file counts as active or trashed depending on deleted_at, so trashing,
+-- restoring, replacing contents and purging all move its bytes
+create or replace function public.track_node_usage()
+returns trigger
+language plpgsql
+as $$
+declare
+  size bigint;
+begin
+  if tg_op in ('UPDATE', 'DELETE') and old.type = 'file' then
+    size := coalesce(old.size_bytes, 0);
+    if old.deleted_at is null then
+      perform public.adjust_storage_usage(old.owner_id, -size, 0, 0);
+    else
+      perform public.adjust_storage_usage(old.owner_id, 0, -size, 0);
+    end if;
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') and new.type = 'file' then
+    size := coalesce(new.size_bytes, 0);
+    if new.deleted_at is null then
+      perform public.adjust_storage_usage(new.owner_id, size, 0, 0);
+    else
+      perform public.adjust_storage_usage(new.owner_id, 0, size, 0);
+    end if;
+  end if;
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists nodes_storage_usage on public.nodes;
+create trigger nodes_storage_usage
+  after insert or delete
+    or update of size_bytes, deleted_at, owner_id, type
+  on public.nodes
+  for each row execute function public.track_node_usage();
+
+-- Earlier versions count against the file's owner. When a node is deleted
+-- its versions go with it (on delete cascade): their bytes are released
+-- here, before the node row is gone.
+create or replace function public.release_node_version_usage()
+returns trigger
+language plpgsql
+as $$
+begin
+  perform public.adjust_storage_usage(
+    old.owner_id,
+    0,
+    0,
+    -coalesce((
+      select sum(v.size_bytes) from public.file_versions v
+      where v.node_id = old.id
+    ), 0)
+  );
+  return old;
+end;
+$$;
+
+drop trigger if exists nodes_version_usage on public.nodes;
+create trigger nodes_version_usage
+  before delete on public.nodes
+  for each row execute function public.release_node_version_usage();
+
+create or replace function public.track_version_usage()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_owner uuid;
+begin
+  select owner_id into v_owner
+  from public.nodes
+  where id = coalesce(new.node_id, old.node_id);
+
+  -- Deleted along with its node: already released above
+  if v_owner is null then
+    return coalesce(new, old);
+  end if;
+
+  if tg_op in ('UPDATE', 'DELETE') then
+    perform public.adjust_storage_usage(
+      v_owner, 0, 0, -coalesce(old.size_bytes, 0)
+    );
+  end if;
+
+  if tg_op in ('INSERT', 'UPDATE') then
+    perform public.adjust_storage_usage(
+      v_owner, 0, 0, coalesce(new.size_bytes, 0)
+    );
+  end if;
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists file_versions_storage_usage on public.file_versions;
+create trigger file_versions_storage_usage
+  after insert or delete or update of size_bytes on public.file_versions
+  for each row execute function public.track_version_usage();
@@ -0,0 +1,30 @@
+-- Thumbnails and text snippets generated in the background for stored
+-- contents. Keyed by blob, so copies and deduplicated uploads share one
+-- preview; thumbnail images sit in storage next to the object
+-- (<path>.thumb-<size>.webp) and go with it.
+create table if not exists public.previews (
+  path text primary key references public.blobs (path) on delete cascade,
+  mime_type text,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'ready', 'unsupported', 'failed')),
+  thumbnail_sizes integer[] not null default '{}',
+  snippet text,
+  error text,
+  attempts integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Work queue for the preview worker
+create index if not exists previews_queue_idx
+  on public.previews (updated_at)
+  where status in ('pending', 'processing');
+
+-- Queue previews for everything already stored
+insert into public.previews (path, mime_type)
+select distinct on (n.path) n.path, n.mime_type
+from public.nodes n
+join public.blobs b on b.path = n.path
+where n.type = 'file'
+order by n.path, n.updated_at desc
+on conflict (path) do nothing;
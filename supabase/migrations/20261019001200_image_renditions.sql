@@ -0,0 +1,14 @@
+-- Resized / re-encoded copies of stored images (GET /files/:id/image),
+-- kept in storage next to the original. Storage can't list objects, so they
+-- are recorded here to be deleted along with the original.
+create table if not exists public.image_renditions (
+  key text primary key,
+  path text not null,
+  params text not null,
+  mime_type text not null,
+  size_bytes bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists image_renditions_path_idx
+  on public.image_renditions (path);
@@ -0,0 +1,55 @@
+-- Shared-with-me: what recipients hide from the listing, and the shortcuts
+-- they add to their own drive. Neither changes the share itself.
+create table if not exists public.hidden_shares (
+  user_id uuid not null references public.users (id) on delete cascade,
+  node_id uuid not null references public.nodes (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, node_id)
+);
+
+create table if not exists public.shortcuts (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references public.users (id) on delete cascade,
+  target_id uuid not null references public.nodes (id) on delete cascade,
+  -- Folder of the owner's drive the shortcut sits in (null: root)
+  parent_id uuid references public.nodes (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (owner_id, target_id)
+);
+
+create index if not exists shortcuts_owner_parent_idx
+  on public.shortcuts (owner_id, parent_id);
+
+-- One row per live item shared directly with a user (not their own), with
+-- the most permissive grant and who made it
+create or replace view public.shared_items as
+select distinct on (p.shared_with, n.id)
+  p.shared_with,
+  n.id,
+  n.owner_id,
+  n.type,
+  n.name,
+  n.mime_type,
+  n.size_bytes,
+  n.parent_id,
+  n.path,
+  n.created_at,
+  n.updated_at,
+  p.permission as role,
+  p.granted_by as shared_by,
+  p.created_at as shared_at,
+  h.created_at as hidden_at
+from public.permissions p
+join public.nodes n on n.id = p.node_id
+left join public.hidden_shares h
+  on h.user_id = p.shared_with and h.node_id = n.id
+where n.deleted_at is null
+  and n.owner_id <> p.shared_with
+order by
+  p.shared_with,
+  n.id,
+  case p.permission when 'write' then 3 when 'comment' then 2 else 1 end desc,
+  p.created_at;
+
+create index if not exists permissions_shared_with_idx
+  on public.permissions (shared_with);
@@ -0,0 +1,15 @@
+-- Shares with people who don't have an account yet, by email. They turn
+-- into permissions when someone signs up with that email.
+create table if not exists public.share_invitations (
+  id uuid primary key default gen_random_uuid(),
+  node_id uuid not null references public.nodes (id) on delete cascade,
+  email text not null, -- lowercase
+  permission text not null,
+  invited_by uuid references public.users (id) on delete cascade,
+  message text,
+  created_at timestamptz not null default now(),
+  unique (node_id, email)
+);
+
+create index if not exists share_invitations_email_idx
+  on public.share_invitations (email);
@@ -0,0 +1,41 @@
+-- A grantee holds at most one permission per node, with one of the roles
+-- that can be shared. Grants with any other role never gave access, and the
+-- owner needs none, so those rows go first; duplicates keep the most
+-- permissive (then latest) grant.
+delete from public.permissions p
+using public.nodes n
+where p.node_id = n.id
+  and (p.shared_with = n.owner_id
+    or p.permission not in ('read', 'comment', 'write'));
+
+with ranked as (
+  select
+    id,
+    row_number() over (
+      partition by node_id, shared_with
+      order by
+        array_position(array['write', 'comment', 'read'], permission),
+        created_at desc,
+        id
+    ) as n
+  from public.permissions
+)
+delete from public.permissions p
+using ranked r
+where p.id = r.id and r.n > 1;
+
+create unique index if not exists permissions_node_grantee_key
+  on public.permissions (node_id, shared_with);
+
+alter table public.permissions
+  drop constraint if exists permissions_permission_check,
+  add constraint permissions_permission_check
+    check (permission in ('read', 'comment', 'write'));
+
+delete from public.share_invitations
+where permission not in ('read', 'comment', 'write');
+
+alter table public.share_invitations
+  drop constraint if exists share_invitations_permission_check,
+  add constraint share_invitations_permission_check
+    check (permission in ('read', 'comment', 'write'));
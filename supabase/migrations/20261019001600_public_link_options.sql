@@ -0,0 +1,27 @@
+-- Options for public links: expiry, password, a download limit and a
+-- view-only mode
+alter table public.public_links
+  add column if not exists expires_at timestamptz,
+  add column if not exists password_hash text,
+  add column if not exists max_downloads integer
+    check (max_downloads is null or max_downloads > 0),
+  add column if not exists download_count integer not null default 0,
+  add column if not exists allow_download boolean not null default true,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- Count one download of a link; false once it has expired or run out
+create or replace function public.claim_public_link_download(p_link_id uuid)
+returns boolean
+language plpgsql
+as $$
+begin
+  update public.public_links
+  set download_count = download_count + 1
+  where id = p_link_id
+    and allow_download
+    and (expires_at is null or expires_at > now())
+    and (max_downloads is null or download_count < max_downloads);
+
+  return found;
+end;
+$$;
@@ -0,0 +1,64 @@
+-- Search names among the nodes a user can reach: their own, anything under
+-- a node shared with them, and what others added to their folders. Returns
+-- one page of ids with the user's role on each, newest first, plus the
+-- total number of matches.
+create or replace function public.search_nodes(
+  p_user_id uuid,
+  p_query text,
+  p_type text default null,
+  p_limit integer default 20,
+  p_offset integer default 0
+) returns table (id uuid, role text, total_count bigint)
+language sql
+stable
+as $$
+  with recursive reach (id, role) as (
+    select p.node_id, p.permission
+    from public.permissions p
+    join public.nodes n on n.id = p.node_id and n.deleted_at is null
+    where p.shared_with = p_user_id
+      and p.permission in ('read', 'comment', 'write')
+    union
+    select c.id, 'write'
+    from public.nodes c
+    join public.nodes f on f.id = c.parent_id
+    where f.owner_id = p_user_id
+      and c.owner_id <> p_user_id
+      and c.deleted_at is null
+    union
+    select c.id, r.role
+    from reach r
+    join public.nodes c on c.parent_id = r.id
+    where c.deleted_at is null
+  ),
+  candidates (id, role) as (
+    select n.id, 'owner'
+    from public.nodes n
+    where n.owner_id = p_user_id
+    union all
+    select id, role from reach
+  ),
+  best as (
+    select
+      c.id,
+      (array_agg(
+        c.role
+        order by array_position(array['owner', 'write', 'comment', 'read'], c.role)
+      ))[1] as role
+    from candidates c
+    group by c.id
+  )
+  select b.id, b.role, count(*) over () as total_count
+  from best b
+  join public.nodes n on n.id = b.id
+  where n.deleted_at is null
+    and n.name ilike '%' || replace(replace(replace(p_query, '\', '\\'),
+      '%', '\%'), '_', '\_') || '%'
+    and (p_type is null or n.type = p_type)
+  order by n.updated_at desc, n.id
+  limit p_limit
+  offset p_offset;
+$$;
+
+create index if not exists nodes_parent_id_idx on public.nodes (parent_id);
+create index if not exists nodes_owner_id_idx on public.nodes (owner_id);
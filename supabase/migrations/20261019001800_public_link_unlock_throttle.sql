@@ -0,0 +1,29 @@
+-- Throttle password guesses per public link: after a few failures, unlock
+-- attempts are refused for a while, doubling with each further failure
+alter table public.public_links
+  add column if not exists unlock_failures integer not null default 0,
+  add column if not exists unlock_blocked_until timestamptz;
+
+-- Record a wrong password; returns when attempts are allowed again (null
+-- while still under the free attempts)
+create or replace function public.record_public_link_unlock_failure(
+  p_link_id uuid,
+  p_free_attempts integer,
+  p_base_seconds integer,
+  p_max_seconds integer
+) returns timestamptz
+language sql
+as $$
+  update public.public_links
+  set unlock_failures = unlock_failures + 1,
+      unlock_blocked_until = case
+        when unlock_failures + 1 > p_free_attempts then now() + make_interval(
+          secs => least(
+            p_max_seconds,
+            p_base_seconds * power(2, least(unlock_failures - p_free_attempts, 20))
+          )
+        )
+      end
+  where id = p_link_id
+  returning unlock_blocked_until;
+$$;
@@ -0,0 +1,5 @@
+-- Running jobs heartbeat through updated_at; the sweeper looks for the ones
+-- that stopped
+create index if not exists jobs_running_updated_at_idx
+  on public.jobs (updated_at)
+  where status = 'running';
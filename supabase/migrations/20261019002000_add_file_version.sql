@@ -0,0 +1,57 @@
+-- Make new contents a file's current version, archiving the previous ones,
+-- in one transaction. Returns the updated node, or nothing when the file is
+-- no longer at `p_version` (someone else added a version in the meantime).
+create or replace function public.add_file_version(
+  p_node_id uuid,
+  p_version integer,
+  p_path text,
+  p_size_bytes bigint,
+  p_mime_type text,
+  p_checksum text,
+  p_uploaded_by uuid
+) returns setof public.nodes
+language plpgsql
+as $$
+declare
+  current_node public.nodes;
+begin
+  select * into current_node
+  from public.nodes
+  where id = p_node_id and version = p_version
+  for update;
+
+  if not found then
+    return;
+  end if;
+
+  -- A row left behind for this version already holds these contents
+  insert into public.file_versions (
+    node_id, version, path, size_bytes, mime_type, checksum_sha256,
+    uploaded_by, created_at
+  )
+  values (
+    current_node.id,
+    current_node.version,
+    current_node.path,
+    current_node.size_bytes,
+    current_node.mime_type,
+    current_node.checksum_sha256,
+    coalesce(current_node.uploaded_by, current_node.owner_id),
+    coalesce(current_node.content_updated_at, current_node.created_at)
+  )
+  on conflict (node_id, version) do nothing;
+
+  return query
+  update public.nodes
+  set version = current_node.version + 1,
+      path = p_path,
+      size_bytes = p_size_bytes,
+      mime_type = p_mime_type,
+      checksum_sha256 = p_checksum,
+      uploaded_by = p_uploaded_by,
+      content_updated_at = now(),
+      updated_at = now()
+  where id = p_node_id
+  returning *;
+end;
+$$;
@@ -0,0 +1,120 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { ZipArchive } from "archiver";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-archive-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+
+const { supabase, tables } = createFakeSupabase();
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+const { storage } = await import("../src/storage/index.js");
+const { default: archiveRouter } = await import(
+  "../src/routes/archive.routes.js"
+);
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: req.headers["x-user"] || "alice" };
+  next();
+});
+app.use(archiveRouter);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+// A ZIP with the given { name: contents } entries, in memory
+const zipOf = (files) =>
+  new Promise((resolve, reject) => {
+    const archive = new ZipArchive();
+    const chunks = [];
+    archive.on("data", (chunk) => chunks.push(chunk));
+    archive.on("end", () => resolve(Buffer.concat(chunks)));
+    archive.on("error", reject);
+    for (const [name, contents] of Object.entries(files)) {
+      archive.append(contents, { name });
+    }
+    archive.finalize();
+  });
+
+const entry = (entryPath, disposition) =>
+  request(app)
+    .get(`/files/bundle/archive/entries/${entryPath}`)
+    .query(disposition ? { disposition } : {});
+
+beforeAll(async () => {
+  const zip = await zipOf({
+    "docs/readme.txt": "hello",
+    "site/index.html": "<script>alert(1)</script>",
+    "site/logo.svg": "<svg onload='alert(1)'/>",
+  });
+  await storage.put("alice/bundle", zip);
+
+  tables.nodes = [
+    {
+      id: "bundle",
+      owner_id: "alice",
+      type: "file",
+      name: "bundle.zip",
+      mime_type: "application/zip",
+      parent_id: null,
+      path: "alice/bundle",
+      size_bytes: zip.length,
+      deleted_at: null,
+    },
+  ];
+  tables.permissions = [];
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("archive entries", () => {
+  test("lists the entries without extracting them", async () => {
+    const res = await request(app).get("/files/bundle/archive/entries");
+
+    expect(res.status).toBe(200);
+    expect(JSON.stringify(res.body.data)).toContain("docs/readme.txt");
+  });
+
+  test("streams one entry, inline when its type is safe", async () => {
+    const res = await entry("docs/readme.txt", "inline");
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe("hello");
+    expect(res.headers["content-disposition"]).toMatch(/^inline/);
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+  });
+
+  test("never serves markup inline or unsandboxed", async () => {
+    for (const entryPath of ["site/index.html", "site/logo.svg"]) {
+      const res = await entry(entryPath, "inline");
+
+      expect(res.status).toBe(200);
+      expect(res.headers["content-disposition"]).toMatch(/^attachment/);
+      expect(res.headers["content-security-policy"]).toBe("sandbox");
+      expect(res.headers["x-content-type-options"]).toBe("nosniff");
+    }
+  });
+
+  test("refuses missing entries and unknown dispositions", async () => {
+    expect((await entry("docs")).status).toBe(404);
+    expect((await entry("docs/missing.txt")).body.errorCode).toBe(
+      "ENTRY_NOT_FOUND"
+    );
+    expect((await entry("docs/readme.txt", "preview")).status).toBe(422);
+  });
+
+  test("needs read access to the archive", async () => {
+    const res = await entry("docs/readme.txt").set("X-User", "bob");
+
+    expect(res.status).toBe(403);
+  });
+});
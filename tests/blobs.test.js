@@ -0,0 +1,212 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-blobs-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+
+const { supabase, tables, rpcs, triggers } = createFakeSupabase({
+  defaults: {
+    nodes: { version: 1, deleted_at: null },
+    blobs: { ref_count: 0 },
+    upload_sessions: { protocol: "multipart" },
+  },
+});
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+// The ref_count trigger: nodes and file versions referencing each blob
+function countReferences() {
+  for (const blob of tables.blobs) {
+    blob.ref_count = [...tables.nodes, ...tables.file_versions].filter(
+      (row) => row.path === blob.path
+    ).length;
+  }
+}
+triggers.push((table) => {
+  if (table === "nodes" || table === "file_versions") countReferences();
+});
+
+rpcs.add_file_version = ({ p_node_id, p_version, ...contents }) => {
+  const node = tables.nodes.find(
+    (n) => n.id === p_node_id && n.version === p_version
+  );
+  tables.file_versions.push({
+    id: crypto.randomUUID(),
+    node_id: node.id,
+    version: node.version,
+    path: node.path,
+    size_bytes: node.size_bytes,
+  });
+  Object.assign(node, {
+    version: node.version + 1,
+    path: contents.p_path,
+    size_bytes: contents.p_size_bytes,
+    checksum_sha256: contents.p_checksum,
+  });
+  countReferences();
+  return [{ ...node }];
+};
+
+const { default: fileRouter } = await import("../src/routes/file.routes.js");
+const { default: fileManagementRouter } = await import(
+  "../src/routes/fileManagement.routes.js"
+);
+const { default: trashRouter } = await import("../src/routes/trash.routes.js");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: "u1" };
+  next();
+});
+app.use("/files", fileRouter);
+app.use(fileManagementRouter, trashRouter);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+
+// Storage objects of u1
+const objects = () => fs.readdirSync(path.join(root, "objects", "u1"));
+
+const upload = async (name, data) =>
+  (
+    await request(app)
+      .post("/files/upload")
+      .attach("file", Buffer.from(data), name)
+  ).body.data;
+
+// Chunked upload in one part; resolves to the completion response
+async function uploadChunked(name, data, declared) {
+  const init = await request(app)
+    .post("/files/upload-init")
+    .send({ name, size_bytes: data.length, sha256: declared });
+  if (init.body.data.deduplicated) return init;
+
+  const { uploadId } = init.body.data;
+  await request(app)
+    .post("/files/upload-chunk")
+    .field("uploadId", uploadId)
+    .field("partNumber", "1")
+    .attach("chunk", Buffer.from(data), "blob");
+  return request(app).post(`/files/upload-complete/${uploadId}`).send({});
+}
+
+// Trash a file and purge it for good
+async function purge(id) {
+  await request(app).delete(`/files/${id}`);
+  const res = await request(app).delete(`/trash/${id}`);
+  expect(res.status).toBe(200);
+}
+
+beforeEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  tables.nodes = [];
+  tables.blobs = [];
+  tables.file_versions = [];
+  tables.upload_sessions = [];
+  tables.users = [{ id: "u1" }];
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("deduplicated uploads", () => {
+  test("identical contents are stored once and referenced twice", async () => {
+    const first = await upload("a.txt", "same");
+    const second = await upload("b.txt", "same");
+
+    expect(first.deduplicated).toBe(false);
+    expect(second.deduplicated).toBe(true);
+    expect(objects()).toHaveLength(1);
+    expect(tables.blobs).toEqual([
+      expect.objectContaining({ sha256: sha256("same"), ref_count: 2 }),
+    ]);
+  });
+
+  test("upload-init with a known sha256 skips the transfer", async () => {
+    await upload("a.txt", "hello");
+
+    const res = await request(app)
+      .post("/files/upload-init")
+      .send({ name: "c.txt", size_bytes: 5, sha256: sha256("hello") });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.deduplicated).toBe(true);
+    expect(tables.nodes.map((n) => n.name)).toEqual(["a.txt", "c.txt"]);
+    expect(tables.blobs[0].ref_count).toBe(2);
+  });
+
+  test("chunked uploads are hashed and deduplicated when completed", async () => {
+    await uploadChunked("a.txt", "hello");
+    const res = await uploadChunked("b.txt", "hello");
+
+    expect(res.body.data.deduplicated).toBe(true);
+    expect(objects()).toHaveLength(1);
+    expect(tables.blobs[0]).toMatchObject({
+      sha256: sha256("hello"),
+      ref_count: 2,
+    });
+  });
+
+  test("rejects a chunked upload that doesn't match its declared sha256", async () => {
+    const res = await uploadChunked("a.txt", "world", sha256("other"));
+
+    expect(res.status).toBe(422);
+    expect(res.body.errorCode).toBe("CHECKSUM_MISMATCH");
+    expect(tables.nodes).toHaveLength(0);
+    expect(objects()).toHaveLength(0);
+  });
+
+  test("a new version with known contents shares their object", async () => {
+    await upload("a.txt", "v2");
+    const { fileId } = await upload("b.txt", "v1");
+
+    const res = await request(app)
+      .post(`/files/${fileId}/versions`)
+      .attach("file", Buffer.from("v2"), "b.txt");
+
+    expect(res.status).toBe(201);
+    expect(objects()).toHaveLength(2);
+    expect(tables.blobs.map((b) => [b.sha256, b.ref_count])).toEqual([
+      [sha256("v2"), 2],
+      [sha256("v1"), 1],
+    ]);
+  });
+});
+
+describe("releasing objects", () => {
+  test("a copy keeps the object alive until it is purged too", async () => {
+    const { fileId } = await upload("a.txt", "shared");
+    const copy = await request(app).post(`/files/${fileId}/copy`).send({});
+
+    await purge(fileId);
+    expect(objects()).toHaveLength(1);
+    expect(tables.blobs[0].ref_count).toBe(1);
+
+    await purge(copy.body.data.file.id);
+    expect(objects()).toHaveLength(0);
+    expect(tables.blobs).toHaveLength(0);
+  });
+
+  test("purging a file deletes the objects of its earlier versions", async () => {
+    const { fileId } = await upload("a.txt", "v1");
+    await request(app)
+      .post(`/files/${fileId}/versions`)
+      .attach("file", Buffer.from("v2"), "a.txt");
+    expect(objects()).toHaveLength(2);
+
+    await purge(fileId);
+
+    expect(objects()).toHaveLength(0);
+    expect(tables.file_versions).toHaveLength(0);
+  });
+});
@@ -0,0 +1,117 @@
+import express from "express";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const { supabase, tables } = createFakeSupabase();
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+const { default: fileManagementRouter } = await import(
+  "../src/routes/fileManagement.routes.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: req.headers["x-user"] || "alice" };
+  next();
+});
+app.use(fileManagementRouter);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+const node = (id, name, type, parent_id = "docs") => ({
+  id,
+  name,
+  type,
+  owner_id: "alice",
+  parent_id,
+  path: null,
+  deleted_at: null,
+  deletion_batch_id: null,
+});
+
+const rename = (id, name, onConflict, user = "alice") =>
+  request(app)
+    .put(`/files/${id}`)
+    .set("X-User", user)
+    .send({ name, onConflict });
+
+const find = (id) => tables.nodes.find((n) => n.id === id);
+
+// docs/
+//   draft.txt
+//   plan.txt
+//   inner/
+//     inner (a file)
+beforeEach(() => {
+  tables.nodes = [
+    node("docs", "docs", "folder", null),
+    node("draft", "draft.txt", "file"),
+    node("plan", "plan.txt", "file"),
+    node("inner", "inner", "folder"),
+    node("nested", "inner", "file", "inner"),
+  ];
+  tables.permissions = [];
+});
+
+describe("onConflict", () => {
+  test("fails by default, case-insensitively", async () => {
+    const res = await rename("draft", "PLAN.txt");
+
+    expect(res.status).toBe(409);
+    expect(res.body.errorCode).toBe("FILE_CONFLICT");
+    expect(find("draft").name).toBe("draft.txt");
+  });
+
+  test("rename picks the next free name", async () => {
+    tables.nodes.push(node("copy", "plan (1).txt", "file"));
+
+    const res = await rename("draft", "plan.txt", "rename");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.file.name).toBe("plan (2).txt");
+  });
+
+  test("replace sends the other item to the trash", async () => {
+    const res = await rename("draft", "plan.txt", "replace");
+
+    expect(res.status).toBe(200);
+    expect(find("draft").name).toBe("plan.txt");
+    expect(find("plan").deleted_at).not.toBeNull();
+  });
+
+  test("rejects unknown policies", async () => {
+    const res = await rename("draft", "plan.txt", "overwrite");
+
+    expect(res.status).toBe(422);
+    expect(res.body.errorCode).toBe("VALIDATION_ERROR");
+  });
+
+  test("replace needs write access to the item it replaces", async () => {
+    tables.permissions = [
+      { node_id: "draft", shared_with: "bob", permission: "write" },
+    ];
+
+    const res = await rename("draft", "plan.txt", "replace", "bob");
+
+    expect(res.status).toBe(409);
+    expect(res.body.errorCode).toBe("FILE_CONFLICT");
+    expect(find("plan").deleted_at).toBeNull();
+    expect(find("draft").name).toBe("draft.txt");
+  });
+
+  test("won't replace the folder that holds the item", async () => {
+    const res = await request(app)
+      .post("/files/nested/move")
+      .send({ target_folder_id: "docs", onConflict: "replace" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.errorCode).toBe("FOLDER_CONFLICT");
+    expect(find("inner").deleted_at).toBeNull();
+    expect(find("nested").parent_id).toBe("inner");
+  });
+});
@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { jest } from "@jest/globals";
+import { ZipArchive } from "archiver";
+import tar from "tar-stream";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-extract-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+process.env.EXTRACT_MAX_ENTRIES = "10";
+process.env.EXTRACT_MAX_TOTAL_BYTES = String(3 * 1024 * 1024);
+process.env.EXTRACT_MAX_RATIO = "100";
+
+// Folders and files are recorded here instead of in the database
+const nodeService = await import("../src/services/node.service.js");
+const saved = [];
+
+jest.unstable_mockModule("../src/services/node.service.js", () => ({
+  ...nodeService,
+  ensureFolderPath: async ({ parentId, segments, cache }) => {
+    let id = parentId;
+    for (const name of segments) {
+      id = `${id}/${name}`;
+      cache.set(id, id);
+    }
+    return id;
+  },
+  saveUploadedFile: async (file) => {
+    saved.push(file);
+    return { node: { id: file.path } };
+  },
+}));
+
+const purgeNodes = jest.fn(async () => 0);
+jest.unstable_mockModule("../src/services/trash.service.js", () => ({
+  purgeNodes,
+}));
+
+const { storage } = await import("../src/storage/index.js");
+const { inspectArchive, extractArchive } = await import(
+  "../src/services/extract.service.js"
+);
+
+const MiB = 1024 * 1024;
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// entries: [{ name, data }] (no data: a directory)
+async function buildZip(entries) {
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  const output = collect(archive);
+  for (const { name, data } of entries) {
+    archive.append(data ?? null, { name: data ? name : `${name}/` });
+  }
+  await archive.finalize();
+  return output;
+}
+
+// entries: [{ name, data, type }]
+async function buildTar(entries, { gzip = false } = {}) {
+  const pack = tar.pack();
+  for (const { name, data = "", type = "file", linkname } of entries) {
+    pack.entry({ name, type, linkname }, type === "file" ? data : undefined);
+  }
+  pack.finalize();
+  const buffer = await collect(pack);
+  return gzip ? zlib.gzipSync(buffer, { level: 9 }) : buffer;
+}
+
+let count = 0;
+async function storeArchive(buffer) {
+  const key = `u1/archive-${++count}`;
+  await storage.put(key, buffer);
+  return { path: key, size_bytes: buffer.length };
+}
+
+const extract = async (buffer, format) =>
+  extractArchive({
+    archive: await storeArchive(buffer),
+    format,
+    ownerId: "u1",
+    folder: { id: "root" },
+  });
+
+beforeEach(() => {
+  saved.length = 0;
+  purgeNodes.mockClear();
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("extractArchive path filtering", () => {
+  test("recreates a ZIP's folders and files under the folder", async () => {
+    const zip = await buildZip([
+      { name: "docs" },
+      { name: "docs/a.txt", data: "a" },
+      { name: "b.txt", data: "bb" },
+    ]);
+    const result = await extract(zip, "zip");
+
+    expect(saved.map((f) => [f.parentId, f.name, f.sizeBytes])).toEqual([
+      ["root/docs", "a.txt", 1],
+      ["root", "b.txt", 2],
+    ]);
+    expect(result).toMatchObject({
+      files_count: 2,
+      folders_count: 1,
+      extracted_bytes: 3,
+      skipped_count: 0,
+    });
+  });
+
+  test("skips entries that would escape the folder, and links", async () => {
+    const tarball = await buildTar([
+      { name: "ok/safe.txt", data: "safe" },
+      { name: "../evil.txt", data: "x" },
+      { name: "ok/../../evil.txt", data: "x" },
+      { name: "/etc/passwd", data: "x" },
+      { name: "C:\\evil.txt", data: "x" },
+      { name: "link", type: "symlink", linkname: "/etc/passwd" },
+    ]);
+    const result = await extract(tarball, "tar");
+
+    expect(saved.map((f) => [f.parentId, f.name])).toEqual([
+      ["root/ok", "safe.txt"],
+    ]);
+    expect(result.skipped).toEqual([
+      { path: "../evil.txt", reason: "Unsafe path" },
+      { path: "ok/../../evil.txt", reason: "Unsafe path" },
+      { path: "/etc/passwd", reason: "Unsafe path" },
+      { path: "C:\\evil.txt", reason: "Unsafe path" },
+      { path: "link", reason: "Links and special files are not extracted" },
+    ]);
+  });
+});
+
+describe("extraction limits", () => {
+  test("rejects a ZIP that expands too much before extracting", async () => {
+    const zip = await buildZip([
+      { name: "zeros", data: Buffer.alloc(2 * MiB) },
+    ]);
+
+    await expect(
+      inspectArchive(await storeArchive(zip), "zip")
+    ).rejects.toMatchObject({
+      statusCode: 422,
+      errorCode: "ARCHIVE_LIMIT_EXCEEDED",
+    });
+  });
+
+  test("rejects a ZIP larger than the total limit", async () => {
+    const zip = await buildZip([
+      { name: "a", data: crypto.randomBytes(2 * MiB) },
+      { name: "b", data: crypto.randomBytes(2 * MiB) },
+    ]);
+
+    await expect(
+      inspectArchive(await storeArchive(zip), "zip")
+    ).rejects.toThrow(/more than 3145728 bytes/);
+  });
+
+  test("accepts a ZIP within the limits", async () => {
+    const zip = await buildZip([{ name: "a", data: crypto.randomBytes(1024) }]);
+
+    await expect(
+      inspectArchive(await storeArchive(zip), "zip")
+    ).resolves.toEqual({ entryCount: 1, totalBytes: 1024 });
+  });
+
+  test("stops a tarball bomb while reading it and cleans up", async () => {
+    const tarball = await buildTar(
+      [{ name: "zeros", data: Buffer.alloc(2 * MiB) }],
+      { gzip: true }
+    );
+
+    await expect(extract(tarball, "tar.gz")).rejects.toMatchObject({
+      errorCode: "ARCHIVE_LIMIT_EXCEEDED",
+    });
+    expect(saved).toHaveLength(0);
+    expect(purgeNodes).toHaveBeenCalledWith([{ id: "root" }]);
+  });
+
+  test("rejects a tarball with too many entries", async () => {
+    const entries = Array.from({ length: 11 }, (_, i) => ({
+      name: `f${i}.txt`,
+      data: "x",
+    }));
+
+    await expect(extract(await buildTar(entries), "tar")).rejects.toThrow(
+      /more than 10 entries/
+    );
+    expect(purgeNodes).toHaveBeenCalled();
+  });
+});
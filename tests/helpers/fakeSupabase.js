@@ -0,0 +1,324 @@
+import crypto from "crypto";
+
+// In-memory stand-in for the supabase client: from(table) supports the
+// query builder calls the services make, rpc(name) calls `rpcs[name]`.
+// Tests seed `tables` directly, give column `defaults` per table and can add
+// `triggers`, called with the table name after every write, to play the part
+// of database triggers.
+export function createFakeSupabase({ defaults = {} } = {}) {
+  const tables = {};
+  const rpcs = {};
+  const triggers = [];
+  const db = { tables, defaults, triggers };
+
+  const supabase = {
+    from: (table) => new Query(table, db),
+    rpc: (name, args) => rpcCall(rpcs, name, args),
+  };
+
+  return { supabase, tables, rpcs, triggers };
+}
+
+// PostgREST LIKE pattern (% and _) to a regular expression
+function likePattern(pattern) {
+  const source = pattern
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".");
+  return new RegExp(`^${source}$`, "i");
+}
+
+// Split "a.eq.1,and(b.eq.2,c.gt.3)" at the top-level commas
+function splitFilters(expr) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const ch of expr) {
+    if (ch === "(") depth++;
+    if (ch === ")") depth--;
+    if (ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// One filter of an or() expression
+function matchFilter(row, filter) {
+  if (filter.startsWith("and(")) {
+    return splitFilters(filter.slice(4, -1)).every((f) => matchFilter(row, f));
+  }
+
+  const [column, op, ...rest] = filter.split(".");
+  const value = rest.join(".");
+  const actual = row[column];
+
+  switch (op) {
+    case "eq":
+      return String(actual) === value;
+    case "gt":
+      return actual != null && String(actual) > value;
+    case "ilike":
+      return (
+        actual != null && likePattern(value.replace(/\*/g, "%")).test(actual)
+      );
+    case "is":
+      return value === "null" ? actual == null : String(actual) === value;
+    default:
+      throw new Error(`fakeSupabase: unsupported or() operator ${op}`);
+  }
+}
+
+class Query {
+  constructor(table, { tables, defaults, triggers }) {
+    this.table = table;
+    this.tables = tables;
+    this.defaults = defaults[table];
+    this.triggers = triggers;
+    this.op = "select";
+    this.filters = [];
+    this.orders = [];
+    this.mode = "many";
+  }
+
+  get rows() {
+    return (this.tables[this.table] ||= []);
+  }
+
+  select(columns, { count, head } = {}) {
+    this.count = count;
+    this.head = head;
+    return this;
+  }
+
+  insert(rows) {
+    this.op = "insert";
+    this.payload = [rows].flat();
+    return this;
+  }
+
+  upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+    this.op = "upsert";
+    this.payload = [rows].flat();
+    this.conflictColumns = onConflict?.split(",").map((c) => c.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(patch) {
+    this.op = "update";
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.op = "delete";
+    return this;
+  }
+
+  where(filter) {
+    this.filters.push(filter);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.where((row) => row[column] === value);
+  }
+
+  neq(column, value) {
+    return this.where((row) => row[column] !== value);
+  }
+
+  is(column, value) {
+    return this.where((row) =>
+      value === null ? row[column] == null : row[column] === value
+    );
+  }
+
+  in(column, values) {
+    return this.where((row) => values.includes(row[column]));
+  }
+
+  not(column, op, value) {
+    if (op === "is") {
+      return this.where((row) =>
+        value === null ? row[column] != null : row[column] !== value
+      );
+    }
+    if (op === "in") {
+      const values = value.replace(/[()]/g, "").split(",");
+      return this.where((row) => !values.includes(String(row[column])));
+    }
+    throw new Error(`fakeSupabase: unsupported not() operator ${op}`);
+  }
+
+  lt(column, value) {
+    return this.where((row) => row[column] != null && row[column] < value);
+  }
+
+  lte(column, value) {
+    return this.where((row) => row[column] != null && row[column] <= value);
+  }
+
+  gt(column, value) {
+    return this.where((row) => row[column] != null && row[column] > value);
+  }
+
+  gte(column, value) {
+    return this.where((row) => row[column] != null && row[column] >= value);
+  }
+
+  ilike(column, pattern) {
+    return this.where(
+      (row) => row[column] != null && likePattern(pattern).test(row[column])
+    );
+  }
+
+  or(expr) {
+    const filters = splitFilters(expr);
+    return this.where((row) => filters.some((f) => matchFilter(row, f)));
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push([column, ascending ? 1 : -1]);
+    return this;
+  }
+
+  range(from, to) {
+    this.window = [from, to + 1];
+    return this;
+  }
+
+  limit(count) {
+    this.window = [0, count];
+    return this;
+  }
+
+  single() {
+    this.mode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = "maybe";
+    return this;
+  }
+
+  matching() {
+    return this.rows.filter((row) => this.filters.every((f) => f(row)));
+  }
+
+  write() {
+    const now = new Date().toISOString();
+
+    if (this.op === "update") {
+      const rows = this.matching();
+      rows.forEach((row) => Object.assign(row, this.payload));
+      return rows;
+    }
+
+    if (this.op === "delete") {
+      const rows = this.matching();
+      this.tables[this.table] = this.rows.filter((row) => !rows.includes(row));
+      return rows;
+    }
+
+    return this.payload.map((values) => {
+      const existing =
+        this.conflictColumns &&
+        this.rows.find((row) =>
+          this.conflictColumns.every((c) => row[c] === values[c])
+        );
+
+      if (existing) {
+        if (!this.ignoreDuplicates) Object.assign(existing, values);
+        return existing;
+      }
+
+      const row = {
+        id: crypto.randomUUID(),
+        created_at: now,
+        updated_at: now,
+        ...this.defaults,
+        ...values,
+      };
+      this.rows.push(row);
+      return row;
+    });
+  }
+
+  run() {
+    let rows = this.op === "select" ? this.matching() : this.write();
+
+    if (this.op !== "select") {
+      for (const trigger of this.triggers) {
+        const error = trigger(this.table, this.op, rows);
+        if (error) return { data: null, error };
+      }
+    }
+
+    for (const [column, direction] of [...this.orders].reverse()) {
+      rows = [...rows].sort(
+        (a, b) =>
+          (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) *
+          direction
+      );
+    }
+
+    const count = rows.length;
+    if (this.window) rows = rows.slice(...this.window);
+    rows = rows.map((row) => ({ ...row }));
+
+    if (this.mode === "single") {
+      return rows.length === 1
+        ? { data: rows[0], error: null, count }
+        : { data: null, error: { code: "PGRST116", message: "Not one row" } };
+    }
+    if (this.mode === "maybe") {
+      return { data: rows[0] ?? null, error: null, count };
+    }
+    return { data: this.head ? null : rows, error: null, count };
+  }
+
+  then(resolve, reject) {
+    return new Promise((done) => done(this.run())).then(resolve, reject);
+  }
+}
+
+// rpc(name, args), optionally followed by select() and (maybe)single()
+function rpcCall(rpcs, name, args) {
+  let single = false;
+
+  const run = async () => {
+    if (!rpcs[name]) {
+      return { data: null, error: { message: `No function ${name}` } };
+    }
+    try {
+      const data = await rpcs[name](args);
+      return {
+        data: single && Array.isArray(data) ? (data[0] ?? null) : data,
+        error: null,
+      };
+    } catch (err) {
+      return { data: null, error: { message: err.message } };
+    }
+  };
+
+  const builder = {
+    select: () => builder,
+    single: () => {
+      single = true;
+      return builder;
+    },
+    maybeSingle: () => {
+      single = true;
+      return builder;
+    },
+    then: (resolve, reject) => run().then(resolve, reject),
+  };
+  return builder;
+}
@@ -0,0 +1,128 @@
+import { jest } from "@jest/globals";
+
+// In-memory stand-in for the two queries resolveRoles makes:
+// from(table).select().in(column, values) and .eq(column, value)
+const tables = { nodes: [], permissions: [] };
+
+function query(table) {
+  const filters = [];
+  const builder = {
+    select: () => builder,
+    eq: (column, value) => {
+      filters.push((row) => row[column] === value);
+      return builder;
+    },
+    in: (column, values) => {
+      filters.push((row) => values.includes(row[column]));
+      return builder;
+    },
+    then: (resolve, reject) =>
+      Promise.resolve({
+        data: tables[table].filter((row) => filters.every((f) => f(row))),
+        error: null,
+      }).then(resolve, reject),
+  };
+  return builder;
+}
+
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase: { from: query },
+}));
+
+const { resolveRoles, assertRole } = await import(
+  "../src/services/permission.service.js"
+);
+
+// alice owns /shared/docs/report.pdf and /private/notes.txt; bob owns a
+// file he put into alice's folder
+const node = (id, owner_id, parent_id = null) => ({ id, owner_id, parent_id });
+const shared = node("shared", "alice");
+const docs = node("docs", "alice", "shared");
+const report = node("report", "alice", "docs");
+const privateFolder = node("private", "alice");
+const notes = node("notes", "alice", "private");
+const upload = node("upload", "bob", "docs");
+
+const grant = (node_id, shared_with, permission) => ({
+  node_id,
+  shared_with,
+  permission,
+});
+
+beforeEach(() => {
+  tables.nodes = [shared, docs, report, privateFolder, notes, upload];
+  tables.permissions = [];
+});
+
+describe("resolveRoles", () => {
+  test("owners get the owner role", async () => {
+    const roles = await resolveRoles([report, notes], "alice");
+
+    expect(roles.get("report")).toBe("owner");
+    expect(roles.get("notes")).toBe("owner");
+  });
+
+  test("without a user nothing is accessible", async () => {
+    const roles = await resolveRoles([report], null);
+
+    expect(roles.get("report")).toBeNull();
+  });
+
+  test("users without a grant get no role", async () => {
+    const roles = await resolveRoles([report], "carol");
+
+    expect(roles.get("report")).toBeNull();
+  });
+
+  test("grants on a folder are inherited by everything below it", async () => {
+    tables.permissions = [grant("shared", "carol", "read")];
+    const roles = await resolveRoles([docs, report, notes], "carol");
+
+    expect(roles.get("docs")).toBe("read");
+    expect(roles.get("report")).toBe("read");
+    expect(roles.get("notes")).toBeNull();
+  });
+
+  test("the most permissive grant on the way up wins", async () => {
+    tables.permissions = [
+      grant("shared", "carol", "write"),
+      grant("report", "carol", "comment"),
+    ];
+    const roles = await resolveRoles([report], "carol");
+
+    expect(roles.get("report")).toBe("write");
+  });
+
+  test("owning a folder gives write on others' items inside it", async () => {
+    const roles = await resolveRoles([upload], "alice");
+
+    expect(roles.get("upload")).toBe("write");
+  });
+
+  test("grants for other users and unknown roles are ignored", async () => {
+    tables.permissions = [
+      grant("report", "dave", "write"),
+      grant("report", "carol", "owner"),
+    ];
+    const roles = await resolveRoles([report], "carol");
+
+    expect(roles.get("report")).toBeNull();
+  });
+});
+
+describe("assertRole", () => {
+  test("returns the role when it includes the one required", async () => {
+    tables.permissions = [grant("docs", "carol", "write")];
+
+    await expect(assertRole(report, "carol", "read")).resolves.toBe("write");
+  });
+
+  test("fails with 403 otherwise", async () => {
+    tables.permissions = [grant("docs", "carol", "read")];
+
+    await expect(assertRole(report, "carol", "write")).rejects.toMatchObject({
+      statusCode: 403,
+      errorCode: "ACCESS_DENIED",
+    });
+  });
+});
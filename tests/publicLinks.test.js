@@ -0,0 +1,324 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import cookieParser from "cookie-parser";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-links-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+process.env.APP_BASE_URL = "https://drive.example.com";
+process.env.PUBLIC_LINK_SECRET = "test-secret";
+
+const { supabase, tables, rpcs } = createFakeSupabase({
+  defaults: {
+    public_links: {
+      expires_at: null,
+      password_hash: null,
+      max_downloads: null,
+      download_count: 0,
+      allow_download: true,
+      unlock_failures: 0,
+      unlock_blocked_until: null,
+    },
+  },
+});
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+const findLink = (id) => tables.public_links.find((l) => l.id === id);
+
+// Same rules as the SQL functions
+rpcs.claim_public_link_download = ({ p_link_id }) => {
+  const link = findLink(p_link_id);
+  if (link.max_downloads != null && link.download_count >= link.max_downloads)
+    return false;
+  link.download_count += 1;
+  return true;
+};
+
+rpcs.record_public_link_unlock_failure = ({
+  p_link_id,
+  p_free_attempts,
+  p_base_seconds,
+}) => {
+  const link = findLink(p_link_id);
+  link.unlock_failures += 1;
+  link.unlock_blocked_until =
+    link.unlock_failures > p_free_attempts
+      ? new Date(Date.now() + p_base_seconds * 1000).toISOString()
+      : null;
+  return link.unlock_blocked_until;
+};
+
+const { storage } = await import("../src/storage/index.js");
+const { default: publicRouter } = await import(
+  "../src/routes/public.routes.js"
+);
+const { default: sharingRouter } = await import(
+  "../src/routes/sharing.routes.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use("/api/v1", publicRouter);
+app.use(
+  "/api/v1",
+  (req, res, next) => {
+    req.user = { id: "alice" };
+    next();
+  },
+  sharingRouter
+);
+app.use((err, req, res, next) =>
+  res
+    .status(err.statusCode || 500)
+    .set(err.headers || {})
+    .json({ errorCode: err.errorCode })
+);
+
+const CONTENTS = "0123456789";
+
+const createLink = async (options = {}) => {
+  const res = await request(app)
+    .post("/api/v1/files/report/public-link")
+    .send(options);
+  expect(res.status).toBe(201);
+  return res.body.data.token;
+};
+
+const download = (token, headers = {}) =>
+  request(app).get(`/api/v1/public/${token}/download`).set(headers);
+
+// "name=value" of each cookie a response sets
+const cookies = (res) =>
+  (res.headers["set-cookie"] || []).map((c) => c.split(";")[0]);
+
+beforeAll(async () => {
+  await storage.put("alice/report.txt", Buffer.from(CONTENTS));
+});
+
+beforeEach(() => {
+  tables.nodes = [
+    {
+      id: "report",
+      owner_id: "alice",
+      type: "file",
+      name: "report.txt",
+      mime_type: "text/plain",
+      size_bytes: CONTENTS.length,
+      path: "alice/report.txt",
+      checksum_sha256: "abc123",
+      deleted_at: null,
+    },
+  ];
+  tables.public_links = [];
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("link options", () => {
+  test("creates a link at the public base URL without exposing the password", async () => {
+    const res = await request(app)
+      .post("/api/v1/files/report/public-link")
+      .send({ password: "correct horse", maxDownloads: 3 });
+
+    const { token } = res.body.data;
+    expect(res.body.data).toEqual(
+      expect.objectContaining({
+        url: `https://drive.example.com/api/v1/public/${token}`,
+        hasPassword: true,
+        maxDownloads: 3,
+        downloadCount: 0,
+        allowDownload: true,
+      })
+    );
+    expect(JSON.stringify(res.body)).not.toMatch(/password_hash|\$2[aby]\$/);
+  });
+
+  test("rejects invalid options", async () => {
+    for (const options of [
+      { expiresAt: "2000-01-01T00:00:00Z" },
+      { expiresAt: "soon" },
+      { password: "short" },
+      { maxDownloads: 0 },
+      { allowDownload: "yes" },
+    ]) {
+      const res = await request(app)
+        .post("/api/v1/files/report/public-link")
+        .send(options);
+
+      expect(res.status).toBe(422);
+    }
+    expect(tables.public_links).toHaveLength(0);
+  });
+
+  test("null clears an option", async () => {
+    await createLink({ maxDownloads: 1 });
+
+    const res = await request(app)
+      .patch("/api/v1/files/report/public-link")
+      .send({ maxDownloads: null });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.maxDownloads).toBeNull();
+  });
+});
+
+describe("using a link", () => {
+  test("an expired link is gone", async () => {
+    const token = await createLink({
+      expiresAt: new Date(Date.now() + 60_000).toISOString(),
+    });
+    tables.public_links[0].expires_at = new Date(Date.now() - 1).toISOString();
+
+    const view = await request(app).get(`/api/v1/public/${token}`);
+
+    expect(view.status).toBe(410);
+    expect(view.body.errorCode).toBe("LINK_EXPIRED");
+    expect((await download(token)).status).toBe(410);
+  });
+
+  test("a view-only link shows the file but doesn't serve it", async () => {
+    const token = await createLink({ allowDownload: false });
+
+    const view = await request(app).get(`/api/v1/public/${token}`);
+    const res = await download(token);
+
+    expect(view.status).toBe(200);
+    expect(view.body.data.downloadUrl).toBeNull();
+    expect(view.body.data.node).not.toHaveProperty("path");
+    expect(res.status).toBe(403);
+    expect(res.body.errorCode).toBe("DOWNLOAD_DISABLED");
+  });
+
+  test("a protected link needs the unlock cookie", async () => {
+    const token = await createLink({ password: "correct horse" });
+
+    const locked = await request(app).get(`/api/v1/public/${token}`);
+    const wrong = await request(app)
+      .post(`/api/v1/public/${token}/unlock`)
+      .send({ password: "wrong password" });
+    const unlock = await request(app)
+      .post(`/api/v1/public/${token}/unlock`)
+      .send({ password: "correct horse" });
+    const view = await request(app)
+      .get(`/api/v1/public/${token}`)
+      .set("Cookie", cookies(unlock));
+
+    expect(locked.status).toBe(401);
+    expect(locked.body.errorCode).toBe("LINK_LOCKED");
+    expect(wrong.status).toBe(401);
+    expect(unlock.headers["set-cookie"][0]).toMatch(
+      new RegExp(`Path=/api/v1/public/${token};`)
+    );
+    expect(view.status).toBe(200);
+  });
+
+  test("changing the password revokes earlier unlocks", async () => {
+    const token = await createLink({ password: "correct horse" });
+    const unlock = await request(app)
+      .post(`/api/v1/public/${token}/unlock`)
+      .send({ password: "correct horse" });
+
+    await request(app)
+      .patch("/api/v1/files/report/public-link")
+      .send({ password: "battery staple" });
+    const view = await request(app)
+      .get(`/api/v1/public/${token}`)
+      .set("Cookie", cookies(unlock));
+
+    expect(view.status).toBe(401);
+  });
+
+  test("blocks password guessing after a few failures", async () => {
+    const token = await createLink({ password: "correct horse" });
+    const unlock = (password) =>
+      request(app).post(`/api/v1/public/${token}/unlock`).send({ password });
+
+    for (let i = 0; i < 5; i++) {
+      expect((await unlock("wrong password")).status).toBe(401);
+    }
+    const blocked = await unlock("wrong password");
+    const right = await unlock("correct horse");
+
+    expect(blocked.status).toBe(429);
+    expect(blocked.headers["retry-after"]).toBe("30");
+    expect(right.status).toBe(429);
+  });
+});
+
+describe("download limits", () => {
+  test("every download with a body counts, ranges included", async () => {
+    const token = await createLink({ maxDownloads: 2 });
+
+    const whole = await download(token);
+    const partial = await download(token, { Range: "bytes=5-" });
+    const over = await download(token);
+
+    expect(whole.status).toBe(200);
+    expect(whole.text).toBe(CONTENTS);
+    expect(partial.status).toBe(206);
+    expect(over.status).toBe(410);
+    expect(over.body.errorCode).toBe("LINK_EXHAUSTED");
+    expect(tables.public_links[0].download_count).toBe(2);
+  });
+
+  test("HEAD requests don't count", async () => {
+    const token = await createLink({ maxDownloads: 1 });
+
+    await request(app).head(`/api/v1/public/${token}/download`);
+
+    expect(tables.public_links[0].download_count).toBe(0);
+  });
+
+  test("the last allowed download can be resumed, only with its ticket", async () => {
+    const token = await createLink({ maxDownloads: 1 });
+    const first = await download(token);
+    const resume = {
+      Range: "bytes=5-",
+      "If-Range": first.headers.etag,
+    };
+
+    const resumed = await download(token, {
+      ...resume,
+      Cookie: cookies(first),
+    });
+    const noTicket = await download(token, resume);
+    const noIfRange = await download(token, {
+      Range: "bytes=5-",
+      Cookie: cookies(first),
+    });
+    const fromStart = await download(token, {
+      ...resume,
+      Range: "bytes=0-",
+      Cookie: cookies(first),
+    });
+
+    expect(resumed.status).toBe(206);
+    expect(resumed.text).toBe("56789");
+    expect(noTicket.status).toBe(410);
+    expect(noIfRange.status).toBe(410);
+    expect(fromStart.status).toBe(410);
+    expect(tables.public_links[0].download_count).toBe(1);
+  });
+
+  test("a ticket doesn't survive new contents", async () => {
+    const token = await createLink({ maxDownloads: 1 });
+    const first = await download(token);
+    tables.nodes[0].checksum_sha256 = "def456";
+
+    const res = await download(token, {
+      Range: "bytes=5-",
+      "If-Range": first.headers.etag,
+      Cookie: cookies(first),
+    });
+
+    expect(res.status).toBe(410);
+  });
+});
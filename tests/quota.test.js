@@ -0,0 +1,201 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-quota-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+process.env.DEFAULT_STORAGE_QUOTA_BYTES = "100";
+
+const { supabase, tables, rpcs, triggers } = createFakeSupabase({
+  defaults: {
+    nodes: { version: 1, deleted_at: null },
+    blobs: { ref_count: 0 },
+  },
+});
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+// The usage triggers: each user's bytes in files, trash and versions
+const sum = (rows) => rows.reduce((total, row) => total + row.size_bytes, 0);
+triggers.push((table) => {
+  if (table !== "nodes" && table !== "file_versions") return;
+
+  tables.storage_usage = tables.users.map(({ id }) => {
+    const files = tables.nodes.filter(
+      (n) => n.owner_id === id && n.type === "file"
+    );
+    const ids = new Set(files.map((n) => n.id));
+    return {
+      user_id: id,
+      active_bytes: sum(files.filter((n) => !n.deleted_at)),
+      trashed_bytes: sum(files.filter((n) => n.deleted_at)),
+      version_bytes: sum(
+        tables.file_versions.filter((v) => ids.has(v.node_id))
+      ),
+    };
+  });
+});
+
+// Archive the current contents, then point the node at the new ones
+rpcs.add_file_version = async ({ p_node_id, p_path, p_size_bytes }) => {
+  const node = tables.nodes.find((n) => n.id === p_node_id);
+  await supabase.from("file_versions").insert([
+    {
+      node_id: node.id,
+      version: node.version,
+      path: node.path,
+      size_bytes: node.size_bytes,
+    },
+  ]);
+  const { data } = await supabase
+    .from("nodes")
+    .update({
+      version: node.version + 1,
+      path: p_path,
+      size_bytes: p_size_bytes,
+    })
+    .eq("id", node.id);
+  return data;
+};
+
+const { default: fileRouter } = await import("../src/routes/file.routes.js");
+const { default: fileManagementRouter } = await import(
+  "../src/routes/fileManagement.routes.js"
+);
+const { default: usageRouter } = await import("../src/routes/usage.routes.js");
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: req.headers["x-user"] || "u1" };
+  next();
+});
+app.use("/files", fileRouter);
+app.use(fileManagementRouter, usageRouter);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+// X-Upload-Size keeps the multipart framing out of the declared size
+const upload = (name, bytes, headers = {}) =>
+  request(app)
+    .post("/files/upload")
+    .set({ "X-Upload-Size": String(bytes), ...headers })
+    .attach("file", Buffer.alloc(bytes, "x"), name);
+
+const usage = async (user = "u1") =>
+  (await request(app).get("/me/storage").set("X-User", user)).body.data;
+
+// Storage objects of a user
+const objects = (user = "u1") => {
+  const dir = path.join(root, "objects", user);
+  return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+};
+
+beforeEach(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  tables.nodes = [];
+  tables.blobs = [];
+  tables.file_versions = [];
+  tables.storage_usage = [];
+  tables.users = [{ id: "u1" }, { id: "u2" }];
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("storage usage", () => {
+  test("reports the default quota and what is used", async () => {
+    await upload("a.txt", 30);
+
+    expect(await usage()).toEqual({
+      quota_bytes: 100,
+      used_bytes: 30,
+      available_bytes: 70,
+      active_bytes: 30,
+      trashed_bytes: 0,
+      version_bytes: 0,
+    });
+  });
+
+  test("counts trashed files and earlier versions", async () => {
+    const { fileId } = (await upload("a.txt", 10)).body.data;
+    await request(app)
+      .post(`/files/${fileId}/versions`)
+      .set("X-Upload-Size", "20")
+      .attach("file", Buffer.alloc(20, "y"), "a.txt");
+    const other = (await upload("b.txt", 5)).body.data;
+    await request(app).delete(`/files/${other.fileId}`);
+
+    expect(await usage()).toMatchObject({
+      used_bytes: 35,
+      active_bytes: 20,
+      trashed_bytes: 5,
+      version_bytes: 10,
+    });
+  });
+
+  test("a per-account quota overrides the default, 0 is unlimited", async () => {
+    tables.users[0].storage_quota_bytes = 500;
+    tables.users[1].storage_quota_bytes = 0;
+
+    expect((await usage("u1")).quota_bytes).toBe(500);
+    expect(await usage("u2")).toMatchObject({
+      quota_bytes: null,
+      available_bytes: null,
+    });
+    expect((await upload("big.bin", 200, { "X-User": "u2" })).status).toBe(201);
+  });
+});
+
+describe("quota enforcement", () => {
+  test("refuses an upload whose declared size doesn't fit before storing it", async () => {
+    await upload("a.txt", 90);
+
+    // Only the declared size is over; the file itself would fit
+    const res = await upload("b.txt", 5, { "X-Upload-Size": "20" });
+
+    expect(res.status).toBe(507);
+    expect(res.body.errorCode).toBe("QUOTA_EXCEEDED");
+    expect(objects()).toHaveLength(1);
+  });
+
+  test("checks the stored size again when the file is saved", async () => {
+    await upload("a.txt", 90);
+
+    const res = await upload("b.txt", 20, { "X-Upload-Size": "1" });
+
+    expect(res.status).toBe(507);
+    expect(tables.nodes).toHaveLength(1);
+    expect(objects()).toHaveLength(1);
+  });
+
+  test("copies count against the quota", async () => {
+    const { fileId } = (await upload("a.txt", 60)).body.data;
+
+    const res = await request(app).post(`/files/${fileId}/copy`).send({});
+
+    expect(res.status).toBe(507);
+    expect(tables.nodes).toHaveLength(1);
+  });
+
+  test("new versions count against the file owner's quota", async () => {
+    const { fileId } = (await upload("a.txt", 60)).body.data;
+    tables.permissions = [
+      { node_id: fileId, shared_with: "u2", permission: "write" },
+    ];
+
+    const res = await request(app)
+      .post(`/files/${fileId}/versions`)
+      .set({ "X-User": "u2", "X-Upload-Size": "50" })
+      .attach("file", Buffer.alloc(50, "y"), "a.txt");
+
+    expect(res.status).toBe(507);
+    expect(objects("u1")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,148 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-send-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+
+const { storage } = await import("../src/storage/index.js");
+const { sendStoredFile } = await import("../src/utils/sendStoredFile.js");
+const { asyncHandler } = await import("../src/utils/asyncHandler.js");
+
+const CONTENTS = "0123456789abcdef";
+const KEY = "u1/file.txt";
+
+const app = express();
+app.get(
+  "/file",
+  asyncHandler((req, res, next) =>
+    sendStoredFile(req, res, next, {
+      path: KEY,
+      name: "file.txt",
+      mimeType: req.query.type || "text/plain",
+      disposition: req.query.disposition || "attachment",
+    })
+  )
+);
+
+// Read the body as text whatever the content type
+const get = (headers = {}, query = {}) =>
+  request(app)
+    .get("/file")
+    .query(query)
+    .set(headers)
+    .buffer(true)
+    .parse((res, cb) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => cb(null, body));
+    });
+
+beforeAll(async () => {
+  await storage.put(KEY, Buffer.from(CONTENTS), { contentType: "text/plain" });
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("sendStoredFile", () => {
+  test("sends the whole file without a Range header", async () => {
+    const res = await get();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toBe(CONTENTS);
+    expect(res.headers["accept-ranges"]).toBe("bytes");
+    expect(res.headers["content-length"]).toBe(String(CONTENTS.length));
+    expect(res.headers.etag).toBeDefined();
+  });
+
+  test("sends a single range with Content-Range", async () => {
+    const res = await get({ Range: "bytes=2-5" });
+
+    expect(res.status).toBe(206);
+    expect(res.body).toBe("2345");
+    expect(res.headers["content-range"]).toBe("bytes 2-5/16");
+    expect(res.headers["content-length"]).toBe("4");
+  });
+
+  test("sends a suffix range", async () => {
+    const res = await get({ Range: "bytes=-3" });
+
+    expect(res.status).toBe(206);
+    expect(res.body).toBe("def");
+    expect(res.headers["content-range"]).toBe("bytes 13-15/16");
+  });
+
+  test("sends several ranges as multipart/byteranges", async () => {
+    const res = await get({ Range: "bytes=0-1,14-" });
+    const boundary = res.headers["content-type"].match(/boundary=(\S+)/)[1];
+
+    expect(res.status).toBe(206);
+    expect(res.headers["content-type"]).toMatch(/^multipart\/byteranges/);
+    expect(res.headers["content-length"]).toBe(
+      String(Buffer.byteLength(res.body))
+    );
+    expect(res.body).toContain("Content-Range: bytes 0-1/16\r\n\r\n01\r\n");
+    expect(res.body).toContain("Content-Range: bytes 14-15/16\r\n\r\nef\r\n");
+    expect(res.body.endsWith(`--${boundary}--\r\n`)).toBe(true);
+  });
+
+  test("answers an unsatisfiable range with 416", async () => {
+    const res = await get({ Range: "bytes=50-60" });
+
+    expect(res.status).toBe(416);
+    expect(res.headers["content-range"]).toBe("bytes */16");
+  });
+
+  test("ignores a malformed Range header", async () => {
+    const res = await get({ Range: "garbage" });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toBe(CONTENTS);
+  });
+
+  test("honours If-Range only while the ETag matches", async () => {
+    const { etag } = (await get()).headers;
+
+    const current = await get({ Range: "bytes=0-1", "If-Range": etag });
+    expect(current.status).toBe(206);
+    expect(current.body).toBe("01");
+
+    const stale = await get({ Range: "bytes=0-1", "If-Range": '"stale"' });
+    expect(stale.status).toBe(200);
+    expect(stale.body).toBe(CONTENTS);
+  });
+
+  test("answers a matching If-None-Match with 304", async () => {
+    const { etag } = (await get()).headers;
+    const res = await get({ "If-None-Match": etag });
+
+    expect(res.status).toBe(304);
+    expect(res.body).toBe("");
+  });
+
+  test("never lets the browser sniff or run the contents", async () => {
+    const res = await get();
+
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+    expect(res.headers["content-security-policy"]).toBe("sandbox");
+  });
+
+  test("displays safe types inline when asked to", async () => {
+    const res = await get({}, { disposition: "inline" });
+
+    expect(res.headers["content-disposition"]).toMatch(/^inline/);
+  });
+
+  test("sends active content as an attachment even when asked inline", async () => {
+    for (const type of ["text/html", "image/svg+xml", "text/javascript"]) {
+      const res = await get({}, { type, disposition: "inline" });
+
+      expect(res.headers["content-disposition"]).toMatch(/^attachment/);
+      expect(res.headers["content-security-policy"]).toBe("sandbox");
+    }
+  });
+});
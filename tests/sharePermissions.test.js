@@ -0,0 +1,201 @@
+import express from "express";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const { supabase, tables } = createFakeSupabase();
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+const { default: sharingRouter } = await import(
+  "../src/routes/sharing.routes.js"
+);
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = { id: req.headers["x-user"] || "alice" };
+  next();
+});
+app.use(sharingRouter);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+const share = (users, path = "/files/report/share") =>
+  request(app).post(path).send({ users, notify: false });
+
+const update = (body, path = "/files/report/permissions") =>
+  request(app).put(path).send(body);
+
+// Grantee -> role on the node
+const roles = (nodeId = "report") =>
+  Object.fromEntries(
+    tables.permissions
+      .filter((p) => p.node_id === nodeId)
+      .map((p) => [p.shared_with, p.permission])
+  );
+
+beforeEach(() => {
+  tables.users = ["alice", "bob", "carol"].map((name) => ({
+    id: name,
+    username: name,
+    email: `${name}@example.com`,
+  }));
+  tables.nodes = [
+    { id: "report", owner_id: "alice", type: "file", name: "report.pdf" },
+    { id: "docs", owner_id: "alice", type: "folder", name: "Docs" },
+  ];
+  tables.permissions = [];
+  tables.share_invitations = [];
+});
+
+describe("sharing", () => {
+  test("sharing with someone again changes their role", async () => {
+    await share([{ user_id: "bob", permission: "read" }]);
+    const res = await share([{ username: "bob", permission: "write" }]);
+
+    expect(res.status).toBe(201);
+    expect(tables.permissions).toHaveLength(1);
+    expect(roles()).toEqual({ bob: "write" });
+  });
+
+  test("rejects unknown roles and recipients without storing anything", async () => {
+    const badRole = await share([{ user_id: "bob", permission: "owner" }]);
+    const unknown = await share([
+      { user_id: "bob", permission: "read" },
+      { username: "mallory", permission: "read" },
+    ]);
+    const twoNames = await share([
+      { user_id: "bob", username: "bob", permission: "read" },
+    ]);
+
+    expect(badRole.status).toBe(422);
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.errorCode).toBe("USER_NOT_FOUND");
+    expect(twoNames.status).toBe(422);
+    expect(tables.permissions).toHaveLength(0);
+  });
+
+  test("only the owner can share, and only with others", async () => {
+    const notOwner = await request(app)
+      .post("/files/report/share")
+      .set("X-User", "bob")
+      .send({ users: [{ user_id: "carol", permission: "read" }] });
+    const self = await share([{ user_id: "alice", permission: "read" }]);
+
+    expect(notOwner.status).toBe(403);
+    expect(self.status).toBe(422);
+  });
+
+  test("file and folder routes only accept their own type", async () => {
+    const res = await share(
+      [{ user_id: "bob", permission: "read" }],
+      "/files/docs/share"
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.errorCode).toBe("INVALID_NODE_TYPE");
+  });
+});
+
+describe("changing permissions", () => {
+  beforeEach(async () => {
+    await share(
+      [
+        { user_id: "bob", permission: "read" },
+        { user_id: "carol", permission: "read" },
+      ],
+      "/folders/docs/share"
+    );
+    await share([{ user_id: "bob", permission: "read" }]);
+  });
+
+  test("updates one grant by its id", async () => {
+    const grant = tables.permissions.find((p) => p.node_id === "report");
+
+    const res = await update({ permissionId: grant.id, permission: "comment" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.permission.permission).toBe("comment");
+    expect(roles()).toEqual({ bob: "comment" });
+  });
+
+  test("updates several grants at once by user", async () => {
+    const res = await update(
+      {
+        permissions: [
+          { user_id: "bob", permission: "write" },
+          { user_id: "carol", permission: "comment" },
+        ],
+      },
+      "/folders/docs/permissions"
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.permissions).toHaveLength(2);
+    expect(roles("docs")).toEqual({ bob: "write", carol: "comment" });
+  });
+
+  test("applies nothing when one of the updates has no grant", async () => {
+    const res = await update({
+      permissions: [
+        { user_id: "bob", permission: "write" },
+        { user_id: "carol", permission: "write" },
+      ],
+    });
+
+    expect(res.status).toBe(404);
+    expect(res.body.errorCode).toBe("PERMISSION_NOT_FOUND");
+    expect(roles().bob).toBe("read");
+  });
+
+  test("validates every update before applying any", async () => {
+    const res = await update({
+      permissions: [
+        { user_id: "bob", permission: "write" },
+        { user_id: "carol", permissionId: "x", permission: "read" },
+      ],
+    });
+    const badRole = await update({
+      permissions: [{ user_id: "bob", permission: "admin" }],
+    });
+
+    expect(res.status).toBe(422);
+    expect(badRole.status).toBe(422);
+    expect(roles().bob).toBe("read");
+  });
+
+  test("the owner's own access can't be changed", async () => {
+    const res = await update({
+      permissions: [{ user_id: "alice", permission: "read" }],
+    });
+
+    expect(res.status).toBe(422);
+    expect(res.body.errorCode).toBe("CANNOT_MODIFY_OWNER");
+  });
+
+  test("removes a grant once", async () => {
+    const grant = tables.permissions.find((p) => p.node_id === "report");
+    const path = `/files/report/permissions/${grant.id}`;
+
+    const first = await request(app).delete(path);
+    const again = await request(app).delete(path);
+
+    expect(first.status).toBe(200);
+    expect(again.status).toBe(404);
+    expect(tables.permissions.some((p) => p.id === grant.id)).toBe(false);
+  });
+
+  test("a grant can only be removed through its own item", async () => {
+    const grant = tables.permissions.find((p) => p.node_id === "docs");
+
+    const res = await request(app).delete(
+      `/files/report/permissions/${grant.id}`
+    );
+
+    expect(res.status).toBe(404);
+    expect(tables.permissions).toContainEqual(grant);
+  });
+});
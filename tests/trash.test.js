@@ -0,0 +1,177 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-trash-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+
+const { supabase, tables, triggers } = createFakeSupabase();
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+// trash_items: trashed nodes that didn't go to the trash with their parent
+Object.defineProperty(tables, "trash_items", {
+  get: () =>
+    tables.nodes.filter((n) => {
+      const parent = tables.nodes.find((p) => p.id === n.parent_id);
+      return (
+        n.deleted_at &&
+        (!parent?.deleted_at ||
+          parent.deletion_batch_id !== n.deletion_batch_id)
+      );
+    }),
+});
+
+// The ref_count trigger
+triggers.push((table) => {
+  if (table !== "nodes") return;
+  for (const blob of tables.blobs) {
+    blob.ref_count = tables.nodes.filter((n) => n.path === blob.path).length;
+  }
+});
+
+const { storage } = await import("../src/storage/index.js");
+const { default: fileManagementRouter } = await import(
+  "../src/routes/fileManagement.routes.js"
+);
+const { default: trashRouter } = await import("../src/routes/trash.routes.js");
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: req.headers["x-user"] || "u1" };
+  next();
+});
+app.use(fileManagementRouter, trashRouter);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+const node = (id, type, parent_id = null, extra = {}) => ({
+  id,
+  name: type === "file" ? `${id}.txt` : id,
+  type,
+  owner_id: "u1",
+  parent_id,
+  path: null,
+  deleted_at: null,
+  deletion_batch_id: null,
+  ...extra,
+});
+
+const trash = () => request(app).get("/trash").query({ limit: 50 });
+const live = () => tables.nodes.filter((n) => !n.deleted_at).map((n) => n.id);
+
+// docs/
+//   report.txt (stored)
+//   sub/
+//     deep.txt
+// notes.txt
+beforeEach(async () => {
+  tables.nodes = [
+    node("docs", "folder"),
+    node("report", "file", "docs", { path: "u1/report" }),
+    node("sub", "folder", "docs"),
+    node("deep", "file", "sub"),
+    node("notes", "file"),
+  ];
+  tables.blobs = [{ path: "u1/report", owner_id: "u1", ref_count: 1 }];
+  tables.permissions = [
+    { node_id: "report", shared_with: "u2", permission: "read" },
+  ];
+  await storage.put("u1/report", Buffer.from("report"));
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("trash", () => {
+  test("a trashed folder is one entry, listed with where it was", async () => {
+    await request(app).delete("/files/report");
+    await request(app).delete("/folders/docs");
+
+    const res = await trash();
+
+    expect(live()).toEqual(["notes"]);
+    expect(res.body.data.items.map((i) => [i.id, i.original_location])).toEqual(
+      expect.arrayContaining([
+        ["docs", "/"],
+        ["report", "/docs"],
+      ])
+    );
+    expect(res.body.data.pagination.total).toBe(2);
+    expect(res.body.data.items[0]).not.toHaveProperty("path");
+  });
+
+  test("restoring a folder brings back what was deleted with it", async () => {
+    await request(app).delete("/files/report");
+    await request(app).delete("/folders/docs");
+
+    const res = await request(app).post("/trash/docs/restore");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.restored_count).toBe(3);
+    expect(live().sort()).toEqual(["deep", "docs", "notes", "sub"]);
+  });
+
+  test("restoring an item recreates its trashed folders", async () => {
+    await request(app).delete("/folders/docs");
+
+    const res = await request(app).post("/trash/deep/restore");
+
+    expect(res.body.data.recreated_folders).toEqual(["sub", "docs"]);
+    expect(res.body.data.restored_to.location).toBe("/docs/sub");
+    expect(live().sort()).toEqual(["deep", "docs", "notes", "sub"]);
+  });
+
+  test("a restored item doesn't take the name of a newer one", async () => {
+    await request(app).delete("/files/notes");
+    tables.nodes.push(node("newer", "file", null, { name: "notes.txt" }));
+
+    const res = await request(app).post("/trash/notes/restore");
+
+    expect(res.body.data.item.name).toBe("notes (1).txt");
+  });
+
+  test("deleting for good removes the subtree, its references and objects", async () => {
+    await request(app).delete("/folders/docs");
+
+    const res = await request(app).delete("/trash/docs");
+
+    expect(res.body.data.deleted_count).toBe(4);
+    expect(tables.nodes.map((n) => n.id)).toEqual(["notes"]);
+    expect(tables.permissions).toHaveLength(0);
+    expect(tables.blobs).toHaveLength(0);
+    expect(fs.existsSync(path.join(root, "objects", "u1", "report"))).toBe(
+      false
+    );
+  });
+
+  test("emptying the trash only touches trashed items", async () => {
+    await request(app).delete("/folders/docs");
+
+    const res = await request(app).delete("/trash");
+
+    expect(res.body.data.deleted_count).toBe(4);
+    expect(tables.nodes.map((n) => n.id)).toEqual(["notes"]);
+  });
+
+  test("other users can't see or touch the trash", async () => {
+    await request(app).delete("/files/notes");
+
+    const list = await trash().set("X-User", "u2");
+    const restore = await request(app)
+      .post("/trash/notes/restore")
+      .set("X-User", "u2");
+    const purge = await request(app).delete("/trash/notes").set("X-User", "u2");
+
+    expect(list.body.data.items).toHaveLength(0);
+    expect(restore.status).toBe(404);
+    expect(purge.status).toBe(404);
+    expect(tables.nodes.some((n) => n.id === "notes")).toBe(true);
+  });
+});
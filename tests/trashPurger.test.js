@@ -0,0 +1,97 @@
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+process.env.TRASH_RETENTION_DAYS = "30";
+
+const { supabase, tables, triggers } = createFakeSupabase();
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+// trash_items: every trashed node here is a top-level entry
+Object.defineProperty(tables, "trash_items", {
+  get: () => tables.nodes.filter((n) => n.deleted_at),
+});
+
+// Nodes whose references can't be dropped, so purging them fails
+const stuck = new Set();
+triggers.push((table, op, rows) => {
+  if (table === "permissions" && rows.some((r) => stuck.has(r.node_id))) {
+    return { message: "permission denied" };
+  }
+});
+
+const { purgeExpiredTrash } = await import("../src/jobs/trashPurger.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+// More expired files than one round fetches, most trashed at the same moment
+const EXPIRED = 150;
+const expiredAt = daysAgo(40);
+const trashed = (id, deleted_at) => ({
+  id,
+  name: `${id}.txt`,
+  type: "file",
+  owner_id: "u1",
+  parent_id: null,
+  path: null,
+  deleted_at,
+  deletion_batch_id: id,
+});
+
+beforeEach(() => {
+  stuck.clear();
+  tables.nodes = [
+    ...Array.from({ length: EXPIRED }, (_, i) =>
+      trashed(`n${String(i).padStart(3, "0")}`, expiredAt)
+    ),
+    trashed("recent", daysAgo(1)),
+    { ...trashed("live", null), deletion_batch_id: null },
+  ];
+  tables.permissions = tables.nodes.map((n) => ({
+    node_id: n.id,
+    shared_with: "u2",
+    permission: "read",
+  }));
+});
+
+const remaining = () => tables.nodes.map((n) => n.id);
+
+describe("trash purger", () => {
+  test("purges everything past the retention window, round after round", async () => {
+    const summary = await purgeExpiredTrash({ dryRun: false });
+
+    expect(summary).toEqual({ items: EXPIRED, nodes: EXPIRED, failed: 0 });
+    expect(remaining()).toEqual(["recent", "live"]);
+  });
+
+  test("a dry run counts without deleting", async () => {
+    const summary = await purgeExpiredTrash({ dryRun: true });
+
+    expect(summary).toEqual({ items: EXPIRED, nodes: 0, failed: 0 });
+    expect(tables.nodes).toHaveLength(EXPIRED + 2);
+  });
+
+  test("moves past items that fail and leaves them for the next run", async () => {
+    stuck.add("n000").add("n099");
+
+    const summary = await purgeExpiredTrash({ dryRun: false });
+
+    expect(summary).toEqual({
+      items: EXPIRED - 2,
+      nodes: EXPIRED - 2,
+      failed: 2,
+    });
+    expect(remaining()).toEqual(["n000", "n099", "recent", "live"]);
+  });
+
+  test("a full round of failures doesn't stop the run", async () => {
+    for (let i = 0; i < 100; i++) stuck.add(`n${String(i).padStart(3, "0")}`);
+
+    const summary = await purgeExpiredTrash({ dryRun: false });
+
+    expect(summary).toMatchObject({ items: EXPIRED - 100, failed: 100 });
+    expect(remaining()).toHaveLength(100 + 2);
+  });
+});
@@ -0,0 +1,207 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-tus-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = path.join(root, "storage");
+process.env.TUS_STAGING_DIR = path.join(root, "staging");
+
+const { supabase, tables } = createFakeSupabase({
+  defaults: { nodes: { version: 1, deleted_at: null } },
+});
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+const { storage } = await import("../src/storage/index.js");
+const { tusProtocol } = await import("../src/middlewares/tus.middleware.js");
+const { default: tusRouter } = await import("../src/routes/tus.routes.js");
+
+const app = express();
+app.use(
+  "/files/tus",
+  tusProtocol,
+  (req, res, next) => {
+    req.user = { id: "u1" };
+    next();
+  },
+  tusRouter
+);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+const TUS = { "Tus-Resumable": "1.0.0" };
+
+const metadata = (fields) =>
+  Object.entries(fields)
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString("base64")}`)
+    .join(",");
+
+// Create an upload and return its id
+async function create(length, fields = { filename: "notes.txt" }) {
+  const res = await request(app)
+    .post("/files/tus")
+    .set(TUS)
+    .set("Upload-Length", String(length))
+    .set("Upload-Metadata", metadata(fields));
+
+  expect(res.status).toBe(201);
+  return { id: res.headers.location.split("/").pop(), res };
+}
+
+const patch = (id, offset, body, headers = {}) =>
+  request(app)
+    .patch(`/files/tus/${id}`)
+    .set(TUS)
+    .set("Content-Type", "application/offset+octet-stream")
+    .set("Upload-Offset", String(offset))
+    .set(headers)
+    .send(Buffer.from(body));
+
+const offsetOf = async (id) =>
+  (await request(app).head(`/files/tus/${id}`).set(TUS)).headers[
+    "upload-offset"
+  ];
+
+const stored = async (node) => {
+  const chunks = [];
+  for await (const chunk of await storage.getStream(node.path)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+beforeEach(() => {
+  tables.nodes = [];
+  tables.blobs = [];
+  tables.upload_sessions = [];
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("tus protocol", () => {
+  test("advertises the version and extensions on OPTIONS", async () => {
+    const res = await request(app).options("/files/tus");
+
+    expect(res.headers["tus-version"]).toBe("1.0.0");
+    expect(res.headers["tus-extension"]).toBe("creation,termination,checksum");
+    expect(res.headers["tus-checksum-algorithm"]).toBe("sha1,sha256,md5");
+  });
+
+  test("rejects requests without a supported Tus-Resumable", async () => {
+    const res = await request(app).post("/files/tus").set("Upload-Length", "5");
+
+    expect(res.status).toBe(412);
+    expect(res.headers["tus-version"]).toBe("1.0.0");
+  });
+
+  test("requires an Upload-Length and a filename", async () => {
+    const noLength = await request(app)
+      .post("/files/tus")
+      .set(TUS)
+      .set("Upload-Metadata", metadata({ filename: "a.txt" }));
+    const noName = await request(app)
+      .post("/files/tus")
+      .set(TUS)
+      .set("Upload-Length", "5");
+
+    expect(noLength.status).toBe(400);
+    expect(noName.status).toBe(400);
+    expect(tables.upload_sessions).toHaveLength(0);
+  });
+});
+
+describe("tus uploads", () => {
+  test("resumes at the server's offset and creates the file at the end", async () => {
+    const { id } = await create(11);
+
+    const first = await patch(id, 0, "hello ");
+    expect(first.status).toBe(204);
+    expect(first.headers["upload-offset"]).toBe("6");
+    expect(await offsetOf(id)).toBe("6");
+    expect(tables.nodes).toHaveLength(0);
+
+    const last = await patch(id, 6, "world");
+    expect(last.status).toBe(204);
+    expect(last.headers["upload-offset"]).toBe("11");
+
+    const [node] = tables.nodes;
+    expect(last.headers["x-file-id"]).toBe(node.id);
+    expect(node).toMatchObject({ name: "notes.txt", size_bytes: 11 });
+    expect(await stored(node)).toBe("hello world");
+    expect(tables.upload_sessions).toHaveLength(0);
+    expect(fs.existsSync(path.join(root, "staging", id))).toBe(false);
+  });
+
+  test("rejects a PATCH at the wrong offset", async () => {
+    const { id } = await create(10);
+    await patch(id, 0, "abc");
+
+    const res = await patch(id, 0, "abc");
+
+    expect(res.status).toBe(409);
+    expect(res.body.errorCode).toBe("OFFSET_MISMATCH");
+    expect(await offsetOf(id)).toBe("3");
+  });
+
+  test("discards a chunk whose checksum doesn't match", async () => {
+    const { id } = await create(5);
+    const sha1 = (data) =>
+      `sha1 ${crypto.createHash("sha1").update(data).digest("base64")}`;
+
+    const bad = await patch(id, 0, "hello", {
+      "Upload-Checksum": sha1("other"),
+    });
+    expect(bad.status).toBe(460);
+    expect(await offsetOf(id)).toBe("0");
+
+    const good = await patch(id, 0, "hello", {
+      "Upload-Checksum": sha1("hello"),
+    });
+    expect(good.status).toBe(204);
+    expect(tables.nodes).toHaveLength(1);
+  });
+
+  test("refuses more bytes than the Upload-Length", async () => {
+    const { id } = await create(3);
+
+    const res = await patch(id, 0, "too long");
+
+    expect(res.status).toBe(413);
+    expect(await offsetOf(id)).toBe("0");
+    expect(tables.nodes).toHaveLength(0);
+  });
+
+  test("creates an empty file straight away", async () => {
+    const { res } = await create(0, { filename: "empty.txt" });
+
+    expect(res.headers["x-file-id"]).toBe(tables.nodes[0].id);
+    expect(tables.nodes[0]).toMatchObject({ name: "empty.txt", size_bytes: 0 });
+  });
+
+  test("terminates an upload and forgets it", async () => {
+    const { id } = await create(10);
+    await patch(id, 0, "abc");
+
+    const res = await request(app).delete(`/files/tus/${id}`).set(TUS);
+    const head = await request(app).head(`/files/tus/${id}`).set(TUS);
+
+    expect(res.status).toBe(204);
+    expect(head.status).toBe(404);
+    expect(fs.existsSync(path.join(root, "staging", id))).toBe(false);
+  });
+
+  test("only lets the owner of an upload resume it", async () => {
+    const { id } = await create(10);
+    tables.upload_sessions[0].user_id = "u2";
+
+    expect((await patch(id, 0, "abc")).status).toBe(404);
+  });
+});
@@ -0,0 +1,184 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import { createFakeSupabase } from "./helpers/fakeSupabase.js";
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "cloudnest-versions-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_ROOT = root;
+process.env.VERSION_KEEP_LAST = "2";
+process.env.VERSION_KEEP_DAYS = "0";
+
+const { supabase, tables, rpcs, triggers } = createFakeSupabase({
+  defaults: {
+    nodes: { version: 1, deleted_at: null },
+    blobs: { ref_count: 0 },
+  },
+});
+jest.unstable_mockModule("../src/utils/supabaseClient.js", () => ({
+  supabase,
+}));
+
+// The ref_count trigger
+triggers.push((table) => {
+  if (table !== "nodes" && table !== "file_versions") return;
+  for (const blob of tables.blobs) {
+    blob.ref_count = [...tables.nodes, ...tables.file_versions].filter(
+      (row) => row.path === blob.path
+    ).length;
+  }
+});
+
+// add_file_version: nothing happens unless the file is still at p_version
+rpcs.add_file_version = async ({ p_node_id, p_version, ...contents }) => {
+  const node = tables.nodes.find(
+    (n) => n.id === p_node_id && n.version === p_version
+  );
+  if (!node) return [];
+
+  await supabase.from("file_versions").insert([
+    {
+      node_id: node.id,
+      version: node.version,
+      path: node.path,
+      size_bytes: node.size_bytes,
+      uploaded_by: node.uploaded_by || node.owner_id,
+    },
+  ]);
+  const { data } = await supabase
+    .from("nodes")
+    .update({
+      version: node.version + 1,
+      path: contents.p_path,
+      size_bytes: contents.p_size_bytes,
+      checksum_sha256: contents.p_checksum,
+      uploaded_by: contents.p_uploaded_by,
+    })
+    .eq("id", node.id);
+  return data;
+};
+
+const { addFileVersion } = await import("../src/services/version.service.js");
+const { default: fileRouter } = await import("../src/routes/file.routes.js");
+
+const app = express();
+app.use((req, res, next) => {
+  req.user = { id: req.headers["x-user"] || "alice" };
+  next();
+});
+app.use("/files", fileRouter);
+app.use((err, req, res, next) =>
+  res.status(err.statusCode || 500).json({ errorCode: err.errorCode })
+);
+
+const text = (res, callback) => {
+  let body = "";
+  res.on("data", (chunk) => (body += chunk));
+  res.on("end", () => callback(null, body));
+};
+
+const uploadVersion = (id, contents, user = "alice") =>
+  request(app)
+    .post(`/files/${id}/versions`)
+    .set("X-User", user)
+    .attach("file", Buffer.from(contents), "notes.txt");
+
+const history = async (id) =>
+  (await request(app).get(`/files/${id}/versions`)).body.data.versions;
+
+let fileId;
+beforeEach(async () => {
+  fs.rmSync(root, { recursive: true, force: true });
+  tables.nodes = [];
+  tables.blobs = [];
+  tables.file_versions = [];
+  tables.permissions = [];
+  tables.users = [
+    { id: "alice", username: "alice" },
+    { id: "bob", username: "bob" },
+  ];
+
+  const res = await request(app)
+    .post("/files/upload")
+    .attach("file", Buffer.from("v1"), "notes.txt");
+  fileId = res.body.data.fileId;
+});
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe("file versions", () => {
+  test("a new version keeps the previous contents in the history", async () => {
+    const res = await uploadVersion(fileId, "v2");
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.version).toBe(2);
+    expect(
+      (await history(fileId)).map((v) => [v.version, v.is_current])
+    ).toEqual([
+      [2, true],
+      [1, false],
+    ]);
+  });
+
+  test("earlier versions can be downloaded and restored", async () => {
+    await uploadVersion(fileId, "v2");
+    const v1 = (await history(fileId)).find((v) => v.version === 1);
+
+    const old = await request(app)
+      .get(`/files/download/${fileId}`)
+      .query({ versionId: v1.id })
+      .buffer(true)
+      .parse(text);
+    const restore = await request(app).post(
+      `/files/${fileId}/versions/${v1.id}/restore`
+    );
+    const current = await request(app)
+      .get(`/files/download/${fileId}`)
+      .buffer(true)
+      .parse(text);
+
+    expect(old.body).toBe("v1");
+    expect(restore.body.data).toMatchObject({ version: 3, restored_from: 1 });
+    expect(current.body).toBe("v1");
+  });
+
+  test("only the newest versions are kept, with their objects", async () => {
+    for (const contents of ["v2", "v3", "v4"]) {
+      await uploadVersion(fileId, contents);
+    }
+
+    expect((await history(fileId)).map((v) => v.version)).toEqual([4, 3, 2]);
+    expect(tables.blobs).toHaveLength(3);
+    expect(fs.readdirSync(path.join(root, "objects", "alice"))).toHaveLength(3);
+  });
+
+  test("fails without archiving anything when the file changed meanwhile", async () => {
+    const stale = { ...tables.nodes[0] };
+    await uploadVersion(fileId, "v2");
+
+    await expect(
+      addFileVersion(stale, {
+        path: "alice/other",
+        sizeBytes: 1,
+        uploadedBy: "alice",
+      })
+    ).rejects.toMatchObject({ statusCode: 409, errorCode: "VERSION_CONFLICT" });
+    expect(tables.file_versions).toHaveLength(1);
+    expect(tables.nodes[0].version).toBe(2);
+  });
+
+  test("needs write access to the file", async () => {
+    const denied = await uploadVersion(fileId, "v2", "bob");
+    tables.permissions = [
+      { node_id: fileId, shared_with: "bob", permission: "write" },
+    ];
+    const allowed = await uploadVersion(fileId, "v2", "bob");
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(201);
+    expect((await history(fileId))[0].uploader.username).toBe("bob");
+  });
+});